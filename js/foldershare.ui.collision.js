@@ -0,0 +1,692 @@
+/**
+ * @file
+ * Implements the FolderShare name collision functions.
+ *
+ * The name collision functions are used by the folder table menu UI to
+ * find items that would collide with same-name items already in the
+ * destination of an upload, copy, or move. For each collision, the user
+ * chooses to replace the existing item, keep both by giving the new item
+ * a unique name, or skip the item. A choice may be applied to all of the
+ * remaining collisions.
+ *
+ * Names in the current folder are read from the folder table, unless the
+ * table is virtual. Names in any other folder are fetched using the REST
+ * "get-descendants" operation.
+ *
+ * Copies and moves with collisions are done one item at a time using the
+ * REST "copy-overwrite", "copy-no-overwrite", "move-overwrite", and
+ * "move-no-overwrite" operations.
+ *
+ * @ingroup foldershare
+ * @see \Drupal\foldershare\Form\UIFolderTableMenu
+ * @see \Drupal\foldershare\Plugin\rest\resource\FolderShareResource
+ */
+(function($, Drupal) {
+  // Check pre-requisits.
+  //
+  // The utility and upload libraries must have been loaded before this
+  // script.
+  if ("foldershare" in Drupal === false ||
+    "utility" in Drupal.foldershare === false ||
+    "UIUpload" in Drupal.foldershare === false) {
+    console.log(
+      "%cFolderShare: Javascript files included in wrong order%c\n%cfoldershare.ui.collision.js requires that foldershare.ui.utility.js and foldershare.ui.upload.js be included first.",
+      "font-weight: bold",
+      "font-weight: normal",
+      "padding-left: 2em",
+      "padding-left: 0");
+    window.stop();
+  }
+
+  Drupal.foldershare.UICollision = {
+    /*--------------------------------------------------------------------
+     *
+     * Constants - server.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The REST path for an existing entity, before its entity ID.
+     */
+    restEntityPath: "foldershare/",
+
+    /**
+     * The entity ID used in REST URLs when a source path is given instead.
+     */
+    restEmptyId: -1,
+
+    /*--------------------------------------------------------------------
+     *
+     * Destination names.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Gets the names of the items in a destination folder or root list.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {int} destinationId
+     *   The entity ID of the destination folder, or a negative root list ID.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to an array of names.
+     */
+    getNames(env, destinationId) {
+      const thisScript = Drupal.foldershare.UICollision;
+
+      // A virtual table only has rows for some of the folder's items.
+      if (String(destinationId) === String(env.settings.foldershare.page.id) &&
+        (typeof env.virtual === "undefined" || env.virtual === null)) {
+        return Promise.resolve(thisScript.getTableNames(env));
+      }
+
+      return thisScript.restGet(destinationId, "get-descendants")
+        .then(items => items.map(item => item.name));
+    },
+
+    /**
+     * Returns the names of the items in the folder table.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     *
+     * @return {string[]}
+     *   Returns an array of names.
+     */
+    getTableNames(env) {
+      const names = [];
+      $(`td.${env.gather.nameColumn} a`, env.gather.$tbody).each((index, value) => {
+        names.push($(value).text().trim());
+      });
+
+      return names;
+    },
+
+    /**
+     * Returns a name that is not in use, based on the given name.
+     *
+     * This mirrors the server's FolderShare::createUniqueName() by adding
+     * a number before the name's extension, counting up from 1.
+     *
+     * @param {string[]} namesInUse
+     *   The names already in use.
+     * @param {string} name
+     *   The proposed name.
+     *
+     * @return {string}
+     *   Returns the name if it is not in use, or a numbered name.
+     */
+    createUniqueName(namesInUse, name) {
+      if (namesInUse.includes(name) === false) {
+        return name;
+      }
+
+      const dot = name.lastIndexOf(".");
+      const base = (dot === -1) ? name : name.substring(0, dot);
+      const ext = (dot === -1) ? "" : name.substring(dot);
+
+      let num = 1;
+      while (namesInUse.includes(`${base} ${num}${ext}`) === true) {
+        ++num;
+      }
+
+      return `${base} ${num}${ext}`;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Server REST.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Sends a REST GET request for an entity or a root list.
+     *
+     * Negative IDs refer to the user's root list, which is selected using
+     * a "/" source path instead of an entity ID.
+     *
+     * @param {int} id
+     *   The entity ID, or a negative root list ID.
+     * @param {string} operation
+     *   The GET operation, such as "get-entity" or "get-descendants".
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to the key-value response, or an
+     *   empty array if the response has no content.
+     */
+    restGet(id, operation) {
+      const thisScript = Drupal.foldershare.UICollision;
+
+      const headers = {
+        "X-FolderShare-Get-Operation": operation,
+        "X-FolderShare-Return-Format": "keyvalue"
+      };
+
+      if (Number(id) < 0) {
+        id = thisScript.restEmptyId;
+        headers["X-FolderShare-Source-Path"] = encodeURIComponent("/");
+      }
+
+      return new Promise((resolve, reject) => {
+        $.ajax({
+          url: Drupal.url(`${thisScript.restEntityPath}${id}?_format=json`),
+          method: "GET",
+          dataType: "json",
+          headers
+        }).done((data, status, xhr) => {
+          resolve((xhr.status === 204 || data === null ||
+            typeof data === "undefined") ? [] : data);
+        }).fail((xhr, status, error) => {
+          reject(new Error(thisScript.restGetError(xhr, error)));
+        });
+      });
+    },
+
+    /**
+     * Gets the REST path for a destination folder or root list.
+     *
+     * @param {int} destinationId
+     *   The entity ID of the destination folder, or a negative root list ID.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to the path.
+     */
+    restGetPath(destinationId) {
+      if (Number(destinationId) < 0) {
+        return Promise.resolve("/");
+      }
+
+      return Drupal.foldershare.UICollision.restGet(destinationId, "get-entity")
+        .then(entity => entity.path);
+    },
+
+    /**
+     * Copies or moves an item using a REST PATCH operation.
+     *
+     * If the destination path names an existing folder, the item keeps its
+     * name. Otherwise the path's last name is the item's new name in the
+     * path's parent folder.
+     *
+     * @param {string} operation
+     *   The PATCH operation, one of "copy-overwrite", "copy-no-overwrite",
+     *   "move-overwrite", or "move-no-overwrite".
+     * @param {int} sourceId
+     *   The entity ID of the item to copy or move.
+     * @param {string} destinationPath
+     *   The destination path.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the operation is done.
+     */
+    restCopyMove(operation, sourceId, destinationPath) {
+      const thisScript = Drupal.foldershare.UICollision;
+
+      return Drupal.foldershare.UIUpload.restGetCsrfToken().then(token => new Promise((resolve, reject) => {
+        $.ajax({
+          url: Drupal.url(`${thisScript.restEntityPath}${sourceId}?_format=json`),
+          method: "PATCH",
+          headers: {
+            "X-CSRF-Token": token,
+            "X-FolderShare-Patch-Operation": operation,
+            "X-FolderShare-Destination-Path": encodeURIComponent(destinationPath)
+          }
+        }).done(() => {
+          resolve();
+        }).fail((xhr, status, error) => {
+          reject(new Error(thisScript.restGetError(xhr, error)));
+        });
+      }));
+    },
+
+    /**
+     * Returns the error message from a failed REST request.
+     *
+     * @param {object} xhr
+     *   The request.
+     * @param {string} error
+     *   The HTTP status text.
+     *
+     * @return {string}
+     *   Returns the server's message, or the status text if there is none.
+     */
+    restGetError(xhr, error) {
+      if (typeof xhr.responseJSON !== "undefined" &&
+        xhr.responseJSON !== null &&
+        typeof xhr.responseJSON.message !== "undefined") {
+        return xhr.responseJSON.message;
+      }
+
+      return error;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Collision choices.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Asks the user how to handle each name collision.
+     *
+     * Each item is an object with a "name" property, and an optional
+     * "canReplace" property that is false if the existing item cannot be
+     * replaced. Items that do not collide are given the choice "none".
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object[]} items
+     *   The items to add to the destination.
+     * @param {string[]} names
+     *   The names already in the destination.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to an array of choices, one per
+     *   item, each one of "none", "replace", "keep", or "skip". The promise
+     *   resolves to null if the user closed a dialog to cancel.
+     */
+    chooseAll(env, items, names) {
+      const thisScript = Drupal.foldershare.UICollision;
+
+      const choices = items.map(item =>
+        (names.includes(item.name) === true) ? null : "none");
+      let nRemaining = choices.filter(choice => choice === null).length;
+      let applyToAll = null;
+      let chain = Promise.resolve();
+
+      items.forEach((item, index) => {
+        if (choices[index] !== null) {
+          return;
+        }
+
+        chain = chain.then(() => {
+          const canReplace = (item.canReplace !== false);
+          if (applyToAll !== null &&
+            (applyToAll !== "replace" || canReplace === true)) {
+            choices[index] = applyToAll;
+            return null;
+          }
+
+          return thisScript.choose(env, item.name, canReplace, nRemaining)
+            .then(result => {
+              choices[index] = result.choice;
+              if (result.all === true) {
+                applyToAll = result.choice;
+              }
+
+              --nRemaining;
+            });
+        });
+      });
+
+      return chain.then(() => choices, () => null);
+    },
+
+    /**
+     * Shows a dialog asking the user how to handle one name collision.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {string} name
+     *   The name in use.
+     * @param {boolean} canReplace
+     *   True if the existing item may be replaced.
+     * @param {int} nRemaining
+     *   The number of collisions left to decide, including this one.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to an object with "choice" and
+     *   "all" properties. The choice is "replace", "keep", or "skip", and
+     *   "all" is true if the choice applies to the remaining collisions.
+     *   The promise rejects if the user closes the dialog to cancel.
+     */
+    choose(env, name, canReplace, nRemaining) {
+      const terminology = env.settings.foldershare.terminology;
+      const getText = Drupal.foldershare.utility.getText;
+
+      let html = "<div class=\"foldershare-collision\">";
+      html += getText(
+        terminology,
+        "collision_message",
+        "<p>An item named <strong>@name</strong> already exists in the destination.</p>",
+        {
+          "@name": Drupal.checkPlain(name)
+        });
+      if (nRemaining > 1) {
+        html += `<p><label><input type="checkbox" class="foldershare-collision-all"> ${getText(
+          terminology,
+          "collision_all",
+          "Do this for all @count conflicts",
+          {
+            "@count": nRemaining
+          })}</label></p>`;
+      }
+      html += "</div>";
+
+      return new Promise((resolve, reject) => {
+        const $content = $(html);
+        let dialog = null;
+        let chosen = false;
+
+        const choose = choice => {
+          chosen = true;
+          resolve({
+            choice,
+            all: $(".foldershare-collision-all", $content).prop("checked") === true
+          });
+          dialog.close();
+        };
+
+        const buttons = [];
+        if (canReplace === true) {
+          buttons.push({
+            text: getText(terminology, "collision_replace", "Replace"),
+            click() {
+              choose("replace");
+            }
+          });
+        }
+
+        buttons.push({
+          text: getText(terminology, "collision_keep", "Keep both"),
+          click() {
+            choose("keep");
+          }
+        });
+        buttons.push({
+          text: getText(terminology, "collision_skip", "Skip"),
+          click() {
+            choose("skip");
+          }
+        });
+
+        // Closing the dialog any other way cancels the whole operation.
+        $content.on("dialogclose", () => {
+          if (chosen === false) {
+            reject(new Error("canceled"));
+          }
+        });
+
+        dialog = Drupal.dialog($content, {
+          title: getText(terminology, "collision_title", "Name already in use"),
+          buttons
+        });
+        dialog.showModal();
+      });
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Upload.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns an upload tree with the user's name collision choices.
+     *
+     * Only the top of the tree is checked, since new folders are empty.
+     * A file to replace has its name added to the returned node's "replace"
+     * array. A file to keep is left as-is, since the server gives uploaded
+     * files unique names. A folder to keep is given a unique name, since
+     * the server does not rename new folders. Existing folders cannot be
+     * replaced by uploads.
+     *
+     * If the destination's names cannot be found, the tree is returned
+     * unchanged and the server handles any collisions.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} tree
+     *   The upload tree from readEntries().
+     * @param {int} parentId
+     *   The entity ID of the folder to upload into, or a negative root
+     *   list ID.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to the new tree, or null if the
+     *   user canceled the upload.
+     */
+    resolveTree(env, tree, parentId) {
+      const thisScript = Drupal.foldershare.UICollision;
+
+      const items = tree.files.map(file => ({
+        name: file.name
+      })).concat(tree.folders.map(child => ({
+        name: child.name,
+        canReplace: false
+      })));
+
+      return thisScript.getNames(env, parentId).then(names => {
+        if (items.some(item => names.includes(item.name)) === false) {
+          return tree;
+        }
+
+        return thisScript.chooseAll(env, items, names).then(choices => {
+          if (choices === null) {
+            return null;
+          }
+
+          const nFiles = tree.files.length;
+          const namesInUse = names.concat(items
+            .filter((item, index) => choices[index] === "none")
+            .map(item => item.name));
+          const resolved = {
+            name: tree.name,
+            path: tree.path,
+            files: [],
+            folders: [],
+            replace: []
+          };
+
+          tree.files.forEach((file, index) => {
+            if (choices[index] === "replace") {
+              resolved.replace.push(file.name);
+            }
+
+            if (choices[index] !== "skip") {
+              resolved.files.push(file);
+            }
+          });
+
+          tree.folders.forEach((child, index) => {
+            let newName = null;
+            switch (choices[nFiles + index]) {
+              case "skip":
+                break;
+
+              case "keep":
+                newName = thisScript.createUniqueName(namesInUse, child.name);
+                namesInUse.push(newName);
+                resolved.folders.push(Object.assign({}, child, {
+                  name: newName
+                }));
+                break;
+
+              default:
+                resolved.folders.push(child);
+                break;
+            }
+          });
+
+          return resolved;
+        });
+      }, () => tree);
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Copy and move.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Copies or moves items, handling name collisions.
+     *
+     * If none of the items collide with names in the destination, nothing
+     * is done here and the promise resolves to false. The caller should
+     * then issue the usual copy or move command.
+     *
+     * Otherwise the user is asked how to handle each collision, and the
+     * items are copied or moved one at a time by REST operations. When
+     * all are done, the page is reloaded to show the result.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {boolean} move
+     *   True to move the items, and false to copy them.
+     * @param {object[]} items
+     *   The items to copy or move, each an object with "id" and "name"
+     *   properties, and an optional "canReplace" property that is false if
+     *   a same-name item in the destination must not be replaced, such as
+     *   when the destination is the item's own parent.
+     * @param {int} destinationId
+     *   The entity ID of the destination folder, or a negative root list ID.
+     * @param {function} onDone
+     *   (optional, default = null = none) A function called with no
+     *   arguments after every item is copied or moved without a failure,
+     *   and before the page is reloaded.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to true if the items were handled
+     *   here or the user canceled, and false if the caller should issue
+     *   the usual command. The promise never rejects.
+     */
+    copyMove(env, move, items, destinationId, onDone = null) {
+      const thisScript = Drupal.foldershare.UICollision;
+      let names = null;
+
+      return thisScript.getNames(env, destinationId)
+        .then(destinationNames => {
+          names = destinationNames;
+          if (items.some(item => names.includes(item.name)) === false) {
+            return false;
+          }
+
+          return thisScript.chooseAll(env, items, names).then(choices => {
+            if (choices === null) {
+              return true;
+            }
+
+            return thisScript.restGetPath(destinationId)
+              .then(path => thisScript.copyMoveItems(
+                env,
+                move,
+                items,
+                choices,
+                names,
+                path,
+                onDone))
+              .then(() => true);
+          });
+        })
+        .catch(() => false);
+    },
+
+    /**
+     * Copies or moves items one at a time using REST operations.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {boolean} move
+     *   True to move the items, and false to copy them.
+     * @param {object[]} items
+     *   The items to copy or move.
+     * @param {string[]} choices
+     *   The choice for each item, from chooseAll().
+     * @param {string[]} names
+     *   The names already in the destination.
+     * @param {string} path
+     *   The REST path of the destination.
+     * @param {function} onDone
+     *   A function called if every item is done without a failure, or null.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when all items are done.
+     */
+    copyMoveItems(env, move, items, choices, names, path, onDone) {
+      const thisScript = Drupal.foldershare.UICollision;
+      const prefix = move === true ? "move" : "copy";
+      const parentPath = (path === "/") ? "" : path;
+      const failures = [];
+
+      // Unique names must not collide with existing names, or with the
+      // names of items that are added without a collision.
+      const namesInUse = names.concat(items
+        .filter((item, index) => choices[index] === "none")
+        .map(item => item.name));
+
+      let chain = Promise.resolve();
+      items.forEach((item, index) => {
+        let operation = `${prefix}-no-overwrite`;
+        let itemPath = path;
+        let newName = null;
+
+        // An item that may not replace its namesake keeps both instead.
+        // If the namesake is the item itself, overwriting would delete it.
+        let choice = choices[index];
+        if (choice === "replace" && item.canReplace === false) {
+          choice = "keep";
+        }
+
+        switch (choice) {
+          case "skip":
+            return;
+
+          case "replace":
+            operation = `${prefix}-overwrite`;
+            break;
+
+          case "keep":
+            newName = thisScript.createUniqueName(namesInUse, item.name);
+            namesInUse.push(newName);
+            itemPath = `${parentPath}/${newName}`;
+            break;
+
+          default:
+          case "none":
+            break;
+        }
+
+        chain = chain
+          .then(() => thisScript.restCopyMove(operation, item.id, itemPath))
+          .catch(er => {
+            failures.push(`${Drupal.checkPlain(item.name)}: ${Drupal.checkPlain(er.message)}`);
+          });
+      });
+
+      return chain.then(() => {
+        if (failures.length === 0 && onDone !== null) {
+          onDone();
+        }
+
+        thisScript.showResult(env, failures);
+      });
+    },
+
+    /**
+     * Reloads the page, after listing failures if there were any.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {string[]} failures
+     *   HTML descriptions of items that could not be copied or moved.
+     */
+    showResult(env, failures) {
+      if (failures.length === 0) {
+        window.location.reload();
+        return;
+      }
+
+      let html = "<div class=\"foldershare-collision\">";
+      html += Drupal.foldershare.utility.getText(
+        env.settings.foldershare.terminology,
+        "collision_failed",
+        "<p><strong>Some items could not be copied or moved.</strong></p>");
+      html += `<ul><li>${failures.join("</li><li>")}</li></ul></div>`;
+
+      const $content = $(html);
+      $content.on("dialogclose", () => window.location.reload());
+      Drupal.dialog($content, {}).showModal();
+    }
+  };
+})(jQuery, Drupal);
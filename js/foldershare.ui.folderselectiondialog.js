@@ -392,6 +392,11 @@ console.log('ancestor menu not found');
      *
      * - On mouse double-click, open the row's item into a new page.
      *
+     * Type-ahead.
+     * -----------
+     * When the table has focus, typing the start of a name selects the
+     * first row with that name.
+     *
      *--------------------------------------------------------------------*/
 
     /**
@@ -441,6 +446,18 @@ console.log('ancestor menu not found');
       $("tr", $tbody).once("row-touch").on("touchend.foldershare", function(e) {
         thisScript.tableSelect.call(this, e, env);
       });
+
+      //
+      // Select on type-ahead.
+      // ---------------------
+      // Make the table focusable so that it can receive keyboard events,
+      // then add a behavior to select rows by typing the start of a name.
+      const $table = env.gather.$table;
+      env.typeAhead = Drupal.foldershare.utility.typeAheadCreate();
+      $table.attr("tabindex", "0");
+      $table.off("keydown.foldershare");
+      $table.on("keydown.foldershare", ev =>
+        thisScript.tableKeyDown(ev, env));
     },
 
     /*--------------------------------------------------------------------
@@ -595,6 +612,60 @@ console.log('ancestor menu not found');
       // Such a "ghost click" is not useful here, so disable it.
       ev.preventDefault();
     },
+
+    /**
+     * Handles a key press on the table.
+     *
+     * A printable character adds to a type-ahead prefix and selects the
+     * first row whose name starts with the prefix. The prefix resets after
+     * a short pause.
+     *
+     * @param {object} ev
+     *   The key event to handle.
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {boolean}
+     *   Returns false if the key was handled, and true otherwise.
+     */
+    tableKeyDown(ev, env) {
+      const utility = Drupal.foldershare.utility;
+
+      // Ignore keys with modifiers, non-printable keys, and SPACE unless
+      // a prefix is being typed.
+      if (ev.key.length !== 1 ||
+        ev.ctrlKey === true ||
+        ev.metaKey === true ||
+        ev.altKey === true ||
+        (ev.key === " " && utility.typeAheadIsActive(env.typeAhead) === false)) {
+        return true;
+      }
+
+      const $rows = $("tr", env.gather.$tbody);
+      const tr = utility.typeAheadFind(
+        env.typeAhead,
+        ev.key,
+        $rows,
+        env.gather.nameColumn);
+      if (tr !== null) {
+        // Select the row, clearing any previous selection.
+        const $tr = $(tr);
+        $rows.toggleClass("selected", false);
+        $tr.toggleClass("selected", true);
+
+        const entityId = $(`td.${env.gather.nameColumn} a`, $tr)
+          .attr("data-foldershare-id");
+        env.gather.$selectionIdInput.val(
+          (typeof entityId === "undefined") ? -1 : entityId);
+
+        if (typeof tr.scrollIntoView === "function") {
+          tr.scrollIntoView({ block: "nearest" });
+        }
+      }
+
+      ev.preventDefault();
+      return false;
+    },
   };
 
   /*--------------------------------------------------------------------
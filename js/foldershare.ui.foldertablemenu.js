@@ -10,12 +10,28 @@
  * build commands and pre-validate them before submitting them to the server.
  *
  * Most commands use a selection, so this script supports selecting rows in
- * a file/folder table. Rows can be selected individually or in groups.
+ * a file/folder table. Rows can be selected individually or in groups, all
+ * rows can be selected, unselected, or inverted at once, and rows can be
+ * selected by a name pattern, kind, and extension. The selection is kept
+ * when the table changes pages, so it may include items on other pages,
+ * and a bar below the table summarizes its kinds, size, and access. Users
+ * may turn on a column of checkboxes for selecting rows by touch, and may
+ * switch between the table and a grid of tiles with image thumbnails.
  * Double-clicking a row opens the row's file or folder by advancing to its
- * page. Right-clicking on a row shows a context menu that shows a subset of
- * the main menu. Rows can be dragged and dropped onto subfolders to move
- * and copy, and files can be dragged from the host OS into the folder to
- * initiate a file upload.
+ * page. Right-clicking on a row, or a long press on a touch screen, shows
+ * a context menu that shows a subset of the main menu. Rows can be dragged
+ * and dropped onto subfolders to move and copy, by mouse or touch, and
+ * files and folders can be dragged from the host OS into the folder to
+ * initiate an upload. Files and images pasted from the system clipboard
+ * are uploaded too. Items with the same names as items already
+ * in the destination prompt the user to replace, keep both, or skip them.
+ * The table also supports keyboard navigation and selection using a row
+ * cursor. Clicking a column header sorts the rows already in the table, and
+ * a quick filter above the table hides rows by name, both without reloading
+ * the table. A column chooser shows, hides, and reorders columns, which may
+ * also be resized by dragging header edges. Folders with many items are
+ * shown in a virtual table that renders only the rows in view (see
+ * foldershare.ui.virtualtable.js).
  *
  * This script requires HTML elements added by a table view that uses a name
  * field formatter that attaches attributes to name field anchors. This script
@@ -27,6 +43,7 @@
  * - A set of fields holding command operands, including a parent ID,
  *   destination ID, and selection.
  * - A file field holding selected files for an upload.
+ * - A field listing files already sent by resumable uploads.
  * - Drupal settings that list all known commands, and sundry other attributes.
  *
  * @ingroup foldershare
@@ -36,11 +53,13 @@
 (function($, Drupal) {
   // Check pre-requisits.
   //
-  // The utility library must have been loaded before this script.
+  // The utility and virtual table libraries must have been loaded before
+  // this script.
   if ("foldershare" in Drupal === false ||
-    "utility" in Drupal.foldershare === false) {
+    "utility" in Drupal.foldershare === false ||
+    "UIVirtualTable" in Drupal.foldershare === false) {
     console.log(
-      "%cFolderShare: Javascript files included in wrong order%c\n%cfoldershare.ui.foldertablemenu.js requires that foldershare.ui.utility.js be included first.",
+      "%cFolderShare: Javascript files included in wrong order%c\n%cfoldershare.ui.foldertablemenu.js requires that foldershare.ui.utility.js and foldershare.ui.virtualtable.js be included first.",
       "font-weight: bold",
       "font-weight: normal",
       "padding-left: 2em",
@@ -118,6 +137,246 @@
      */
     tableDragRowIndex: "foldershare-drag-row-index",
 
+    /*--------------------------------------------------------------------
+     *
+     * Constants - table attributes for keyboard state.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The table attribute created to track the keyboard row cursor.
+     *
+     * Expected values are numeric row indexes (1 for the 1st row) or
+     * "NaN" if there is no cursor row. The cursor row is the row most
+     * recently moved to by the keyboard or clicked on by the mouse. It
+     * is the row that keyboard selection and open operations act upon.
+     */
+    tableCursorRowIndex: "foldershare-cursor-row-index",
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants - clipboard.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The session storage key for the clipboard.
+     *
+     * The stored value is a JSON object with:
+     * - "operation" is "cut" or "copy".
+     * - "userId" is the ID of the user that filled the clipboard.
+     * - "parentId" is the ID of the folder (or root list) containing
+     *   the items.
+     * - "ids" is the list of item entity IDs.
+     * - "names" is the list of item names, in the same order as the IDs.
+     * - "description" is text describing the items (e.g. "3 Files").
+     */
+    clipboardStorageKey: "foldershare-clipboard",
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants - selection.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The session storage key for the selection model.
+     *
+     * @see selection
+     */
+    selectionStorageKey: "foldershare-selection",
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants - sort.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The session storage key for the table's client-side sort.
+     *
+     * The stored value is a JSON object with:
+     * - "column" is the class of the sorted column (e.g. "views-field-name").
+     * - "descending" is true for a descending sort, and false otherwise.
+     *
+     * @see tableSortGet()
+     */
+    sortStorageKey: "foldershare-sort",
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants - preferences.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The local storage key prefix for the user's display preferences.
+     *
+     * The user's ID is appended so that users sharing a browser keep
+     * separate preferences.
+     *
+     * @see preferenceGet()
+     */
+    preferenceStorageKey: "foldershare-preferences-",
+
+    /**
+     * The narrowest width, in pixels, to which a column may be resized.
+     *
+     * @see tableColumnsResizeStart()
+     */
+    columnMinimumWidth: 40,
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants - keyboard shortcuts.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The keyboard shortcuts for commands.
+     *
+     * Each entry maps a key and modifiers to a list of command IDs:
+     * - "code" is the KeyboardEvent code for the key (e.g. "KeyN").
+     * - "label" is the key's name shown to the user.
+     * - "mod" is true if CTRL (or CMD on a Mac) is required.
+     * - "shift" is true if SHIFT is required.
+     * - "alt" is true if ALT (or OPTION on a Mac) is required.
+     * - "commandIds" lists command IDs in preference order. The first one
+     *   that is available on the page and valid for the selection is used.
+     * - "clipboard" (optional) is "cut", "copy", or "paste" for clipboard
+     *   shortcuts, which use no command IDs.
+     * - "selection" (optional) is "all", "none", or "invert" for selection
+     *   shortcuts, which use no command IDs.
+     *
+     * Keys are matched by code, rather than by character, so that the
+     * shortcuts are independent of the keyboard layout and of the
+     * characters generated by ALT/OPTION on some platforms.
+     */
+    shortcuts: [
+      {
+        code: "Delete",
+        label: "Del",
+        mod: false,
+        shift: false,
+        alt: false,
+        commandIds: [
+          "foldersharecommand_delete",
+          "foldersharecommand_delete_on_rootlist",
+          "foldersharecommand_delete_as_admin"
+        ]
+      },
+      {
+        code: "KeyX",
+        label: "X",
+        mod: true,
+        shift: false,
+        alt: false,
+        clipboard: "cut",
+        commandIds: []
+      },
+      {
+        code: "KeyC",
+        label: "C",
+        mod: true,
+        shift: false,
+        alt: false,
+        clipboard: "copy",
+        commandIds: []
+      },
+      {
+        code: "KeyV",
+        label: "V",
+        mod: true,
+        shift: false,
+        alt: false,
+        clipboard: "paste",
+        commandIds: []
+      },
+      {
+        code: "KeyA",
+        label: "A",
+        mod: true,
+        shift: false,
+        alt: false,
+        selection: "all",
+        commandIds: []
+      },
+      {
+        code: "Escape",
+        label: "Esc",
+        mod: false,
+        shift: false,
+        alt: false,
+        selection: "none",
+        commandIds: []
+      },
+      {
+        code: "KeyI",
+        label: "I",
+        mod: false,
+        shift: true,
+        alt: true,
+        selection: "invert",
+        commandIds: []
+      },
+      {
+        code: "F2",
+        label: "F2",
+        mod: false,
+        shift: false,
+        alt: false,
+        commandIds: ["foldersharecommand_rename"]
+      },
+      {
+        code: "KeyN",
+        label: "N",
+        mod: true,
+        shift: true,
+        alt: false,
+        commandIds: ["foldersharecommand_new_folder"]
+      },
+      {
+        code: "KeyU",
+        label: "U",
+        mod: true,
+        shift: true,
+        alt: false,
+        commandIds: ["foldersharecommand_upload_files"]
+      },
+      {
+        code: "KeyC",
+        label: "C",
+        mod: false,
+        shift: true,
+        alt: true,
+        commandIds: ["foldersharecommand_copy"]
+      },
+      {
+        code: "KeyM",
+        label: "M",
+        mod: false,
+        shift: true,
+        alt: true,
+        commandIds: ["foldersharecommand_move"]
+      },
+      {
+        code: "KeyD",
+        label: "D",
+        mod: false,
+        shift: true,
+        alt: true,
+        commandIds: ["foldersharecommand_download"]
+      },
+      {
+        code: "KeyE",
+        label: "E",
+        mod: false,
+        shift: true,
+        alt: true,
+        commandIds: ["foldersharecommand_edit"]
+      }
+    ],
+
     /*--------------------------------------------------------------------
      *
      * Constants - UI parameters.
@@ -130,6 +389,32 @@
      */
     maxCommandsBeforeSubmenu: 3,
 
+    /**
+     * The distance, in pixels, the mouse must move before a mouse down in
+     * blank table space becomes a marquee selection.
+     */
+    marqueeThreshold: 4,
+
+    /**
+     * The time, in milliseconds, a touch must be held still to be a long
+     * press that shows the context menu.
+     */
+    touchLongPressDelay: 500,
+
+    /**
+     * The distance, in pixels, a touch may move and still be held still.
+     * A touch that moves further before a long press is a scroll, while
+     * one that moves further after a long press starts a row drag.
+     */
+    touchMoveThreshold: 10,
+
+    /**
+     * The destination ID used to copy or move items to the user's root list.
+     *
+     * This matches FolderShareInterface::USER_ROOT_LIST on the server.
+     */
+    userRootListId: -100,
+
     /*--------------------------------------------------------------------
      *
      * Initialize.
@@ -152,6 +437,7 @@
      * - Table row drag-and-drop for copy and move.
      * - File drag-and-drop for upload.
      * - A file dialog for upload.
+     * - Keyboard shortcuts for commands.
      *
      * All UI elements and related elements are found, validated,
      * and behaviors attached.
@@ -302,8 +588,8 @@
      * for the UI. Nested within is a <form> that contains the UI's
      * elements. The principal elements are:
      * - Multiple input fields for the command and its parameters, including
-     *   the IDs of the current selection, parent, and destination, and
-     *   a file upload field.
+     *   the IDs of the current selection, parent, and destination, a file
+     *   upload field, and a list of resumable uploads.
      * - An <input> to submit the command form.
      *
      * This function searches for the UI's elements and saves them
@@ -316,8 +602,10 @@
      * - env.gather.$selectionIdInput = the selection <input>.
      * - env.gather.$parentIdInput = the parent ID <input>.
      * - env.gather.$destinationIdInput = the destination ID <input>.
+     * - env.gather.$resumableInput = the resumable uploads <input>.
      * - env.gather.$commandSubmitButton = the button for submitting the form.
      * - env.gather.nameColumn = the table column name for the name & attrib.
+     * - env.gather.sizeColumn = the table column name for the storage size.
      *
      * @param {object} env
      *   The environment object containing saved object references for
@@ -330,6 +618,7 @@
       const utility = Drupal.foldershare.utility;
       const base = "foldershare-folder-table";
       const nameColumn = "views-field-name";
+      const sizeColumn = "views-field-size";
 
       //
       // Find form
@@ -396,6 +685,7 @@
       // - A selection IDs <input>.
       // - A destination ID <input>.
       // - A parent ID <input>.
+      // - A resumable uploads <input>.
       //
       // The upload field's name uses special [] array syntax
       // imposed by the Drupal file module.
@@ -441,6 +731,15 @@
         return false;
       }
 
+      const $resumableInput = $(
+        'input[name="foldershare-folder-table-menu-resumable"]',
+        $commandForm).eq(0);
+      if ($resumableInput.length === 0) {
+        utility.printMalformedError(
+          "The main UI resumable uploads field is missing.");
+        return false;
+      }
+
       //
       // Find table
       // ----------
@@ -464,11 +763,13 @@
         $tbody: $table.find("tbody"),
         $thead: $table.find("thead"),
         nameColumn: nameColumn,
+        sizeColumn: sizeColumn,
         $uploadInput: $uploadInput,
         $commandInput: $commandInput,
         $selectionIdInput: $selectionIdInput,
         $destinationIdInput: $destinationIdInput,
         $parentIdInput: $parentIdInput,
+        $resumableInput: $resumableInput,
         $commandSubmitButton: $commandSubmitButton
       };
 
@@ -952,7 +1253,7 @@
       const menuTerm = Drupal.foldershare.utility.getTerm(
         env.settings.foldershare.terminology, "menu");
       env.gather.$subform.prepend(
-        `<button type="button" class="${buttonClasses}"><span>${menuTerm}</span></button>`);
+        `<button type="button" class="${buttonClasses}" aria-haspopup="menu"><span>${menuTerm}</span></button>`);
       const $menuButton = $(".foldershare-folder-table-mainmenu-button",
         env.gather.$subform);
       $menuButton.button().show();
@@ -960,6 +1261,108 @@
         $menuButton.button("disable");
       }
 
+      //
+      // Create clipboard badge
+      // ----------------------
+      // Create a badge after the menu button that shows the clipboard's
+      // content, if any. If there is a badge already there, remove it first.
+      $(".foldershare-clipboard-badge", env.gather.$subform).remove();
+      const clearTerm = Drupal.checkPlain(Drupal.foldershare.utility.getText(
+        env.settings.foldershare.terminology,
+        "clipboard_clear",
+        "Clear clipboard"));
+      $menuButton.after(
+        `<span class="foldershare-clipboard-badge hidden"><span class="foldershare-clipboard-badge-text"></span><button type="button" class="foldershare-clipboard-badge-clear" title="${clearTerm}" aria-label="${clearTerm}">&times;</button></span>`);
+      $(".foldershare-clipboard-badge-clear", env.gather.$subform)
+        .on("click.foldershare", () => {
+          thisScript.clipboardSet(env, null);
+          return false;
+        });
+
+      //
+      // Create selection badge
+      // ----------------------
+      // Create a badge beside the menu button that shows the size of the
+      // selection, including items selected on other pages. If there is a
+      // badge already there, remove it first.
+      $(".foldershare-selection-badge", env.gather.$subform).remove();
+      const selectNoneTerm = Drupal.checkPlain(
+        thisScript.selectionGetMenuName(env, "none"));
+      $menuButton.after(
+        `<span class="foldershare-selection-badge hidden"><span class="foldershare-selection-badge-text"></span><button type="button" class="foldershare-selection-badge-clear" title="${selectNoneTerm}" aria-label="${selectNoneTerm}">&times;</button></span>`);
+      $(".foldershare-selection-badge-clear", env.gather.$subform)
+        .on("click.foldershare", () => {
+          thisScript.selectionRun(env, "none");
+          return false;
+        });
+
+      //
+      // Create selection summary
+      // ------------------------
+      // Create a bar below the table that describes the selection. If there
+      // is a bar already there, remove it first.
+      env.gather.$table.next(".foldershare-selection-summary").remove();
+      env.gather.$table.after(
+        "<div class=\"foldershare-selection-summary hidden\"><span class=\"foldershare-selection-summary-text\"></span> <span class=\"foldershare-selection-summary-access hidden\"></span></div>");
+
+      //
+      // Create pending uploads badge
+      // ----------------------------
+      // Create a badge beside the menu button that counts uploads still
+      // to be sent, including those restored from an earlier page. If
+      // there is a badge already there, remove it first.
+      $(".foldershare-upload-pending", env.gather.$subform).remove();
+      $menuButton.after(
+        `<button type="button" class="foldershare-upload-pending hidden"></button>`);
+
+      //
+      // Create view toggle
+      // ------------------
+      // Create a button beside the menu button that switches between the
+      // table and grid views. If there is a button already there, remove
+      // it first.
+      $(".foldershare-view-toggle", env.gather.$subform).remove();
+      $menuButton.after(
+        "<button type=\"button\" class=\"foldershare-view-toggle\"></button>");
+      $(".foldershare-view-toggle", env.gather.$subform)
+        .on("click.foldershare", () => {
+          const view = thisScript.preferenceGet(env, "view", "table");
+          thisScript.preferenceSet(
+            env,
+            "view",
+            (view === "grid") ? "table" : "grid");
+          thisScript.tableViewAttach(env);
+          return false;
+        });
+
+      //
+      // Create column chooser button
+      // ----------------------------
+      // Create a button beside the menu button that shows the column
+      // chooser. If there is a button already there, remove it first.
+      $(".foldershare-columns-button", env.gather.$subform).remove();
+      const columnsTerm = Drupal.checkPlain(Drupal.foldershare.utility.getText(
+        env.settings.foldershare.terminology,
+        "columns_button",
+        "Columns"));
+      $menuButton.after(
+        `<button type="button" class="foldershare-columns-button" aria-haspopup="dialog">${columnsTerm}</button>`);
+      $(".foldershare-columns-button", env.gather.$subform)
+        .on("click.foldershare", () => {
+          thisScript.tableColumnsOpen(env);
+          return false;
+        });
+
+      //
+      // Create upload queue
+      // -------------------
+      // Create the upload queue panel after the clipboard badge. The panel
+      // stays hidden until files are uploaded, or until unfinished uploads
+      // saved by an earlier page are restored.
+      Drupal.foldershare.UIUpload.queueAttach(
+        env,
+        $(".foldershare-clipboard-badge", env.gather.$subform));
+
       //
       // Create main menu
       // ----------------
@@ -1044,25 +1447,31 @@
           // Insure the menu is hidden.
           $menu.menu().hide();
 
-          // Fill the server form.
-          const command = $(ui.item).attr("data-foldershare-command");
-          thisScript.serverCommandSetup(
-            env,
-            command,
-            null,
-            null,
-            thisScript.tableGetSelectionIds(env),
-            null);
+          // Run clipboard operations locally.
+          const clipboardOperation = $(ui.item).attr("data-foldershare-clipboard");
+          if (typeof clipboardOperation !== "undefined") {
+            thisScript.clipboardRun(env, clipboardOperation);
+            return true;
+          }
 
-          const specialHandling = env.mainCommands[command].specialHandling;
-          if ($.inArray("upload", specialHandling) !== -1) {
-            // Show file dialog.
-            env.gather.$uploadInput.click();
-          } else {
-            // Submit form.
-            thisScript.serverCommandSubmit(env);
+          // Run selection operations locally.
+          const selectionOperation = $(ui.item).attr("data-foldershare-selection");
+          if (typeof selectionOperation !== "undefined") {
+            thisScript.selectionRun(env, selectionOperation);
+            return true;
+          }
+
+          // Toggle display preferences locally.
+          const preference = $(ui.item).attr("data-foldershare-preference");
+          if (typeof preference !== "undefined") {
+            thisScript.preferenceToggle(env, preference);
+            return true;
           }
 
+          // Fill the server form and submit it.
+          const command = $(ui.item).attr("data-foldershare-command");
+          thisScript.serverCommandRun(env, command, env.mainCommands);
+
           return true;
         });
       }
@@ -1077,24 +1486,9 @@
           // Insure the menu is hidden.
           $contextMenu.menu().hide();
 
-          // Fill the server form.
+          // Fill the server form and submit it.
           const command = $(ui.item).attr("data-foldershare-command");
-          thisScript.serverCommandSetup(
-            env,
-            command,
-            null,
-            null,
-            thisScript.tableGetSelectionIds(env),
-            null);
-
-          const specialHandling = env.contextCommands[command].specialHandling;
-          if ($.inArray("upload", specialHandling) !== -1) {
-            // Show file dialog.
-            env.gather.$uploadInput.click();
-          } else {
-            // Submit form.
-            thisScript.serverCommandSubmit(env);
-          }
+          thisScript.serverCommandRun(env, command, env.contextCommands);
 
           return true;
         });
@@ -1104,17 +1498,83 @@
       // Attach upload behavior
       // ----------------------
       // When a file dialog is closed, and there is a file selection,
-      // trigger an upload command.
+      // upload the files and finish with an upload command.
       env.gather.$uploadInput.off("change.foldershare");
       if (pageDisabled !== true) {
         env.gather.$uploadInput.on("change.foldershare", () => {
           // When called, the upload field's file list has already been
           // set via the browser's file dialog. The other fields of the
           // command form were set up when the menu command was selected.
-          thisScript.serverCommandSubmit(env);
+          const files = Array.from(env.gather.$uploadInput[0].files);
+          if (files.length !== 0) {
+            Drupal.foldershare.UIUpload.uploadFiles(
+              env,
+              files,
+              Number(env.gather.$parentIdInput.val()));
+          }
         });
       }
 
+      //
+      // Attach keyboard shortcut behavior
+      // ---------------------------------
+      // When a shortcut key is pressed while focus is in the folder table
+      // or its toolbar, trigger the associated command.
+      $(document).off("keydown.foldershare");
+      if (pageDisabled !== true) {
+        $(document).on("keydown.foldershare", ev =>
+          thisScript.shortcutKeyDown(ev, env));
+      }
+
+      //
+      // Set columns
+      // -----------
+      // Order, hide, and size columns as the user prefers, and add resize
+      // handles to the column headers. This comes first so that virtual
+      // rows are laid out the same way.
+      thisScript.tableColumnsAttach(env);
+
+      //
+      // Add virtual rows
+      // ----------------
+      // If the folder is large, replace the rows with a virtual table
+      // that renders only the rows in view.
+      Drupal.foldershare.UIVirtualTable.attach(env);
+
+      // Show the clipboard and mark cut rows.
+      thisScript.clipboardUpdate(env);
+
+      //
+      // Add checkbox column
+      // -------------------
+      // If the user prefers, add a leading column of checkboxes that
+      // mirror and change the selection.
+      thisScript.tableCheckboxAttach(env);
+
+      //
+      // Set view
+      // --------
+      // Show the rows as a table or grid, as the user prefers.
+      thisScript.tableViewAttach(env);
+
+      //
+      // Add sort and filter
+      // -------------------
+      // Sort the rows by the user's last choice of column, and add a box
+      // above the table to hide rows that do not match a name filter.
+      thisScript.tableSortAttach(env);
+      thisScript.tableFilterAttach(env);
+
+      // Mark rows selected before the table was built or rebuilt, such as
+      // on another page of the table.
+      thisScript.selectionApply(env);
+
+      //
+      // Add screen reader support
+      // -------------------------
+      // Add table semantics, labels, and a live region for announcements.
+      thisScript.ariaAttach(env);
+
       //
       // Add table behaviors
       // -------------------
@@ -1175,6 +1635,37 @@
         }
       });
 
+      // Add clipboard operations, if any are available.
+      let clipboardHtml = "";
+      ["cut", "copy", "paste"].forEach(operation => {
+        if (thisScript.clipboardIsAvailable(env, operation) === true) {
+          const label = thisScript.clipboardGetMenuName(env, operation, null);
+          clipboardHtml += `<li data-foldershare-clipboard="${operation}"><div>${label}</div></li>`;
+        }
+      });
+
+      if (clipboardHtml.length !== 0) {
+        if (addSeparator === true) {
+          html += "<li>-</li>";
+        }
+        html += clipboardHtml;
+        addSeparator = true;
+      }
+
+      // Add selection operations.
+      if (addSeparator === true) {
+        html += "<li>-</li>";
+      }
+
+      ["all", "none", "invert", "pattern"].forEach(operation => {
+        const label = thisScript.selectionGetMenuName(env, operation);
+        html += `<li data-foldershare-selection="${operation}"><div>${label}</div></li>`;
+      });
+
+      // Add display preferences.
+      html += "<li>-</li>";
+      html += `<li data-foldershare-preference="checkboxes"><div>${thisScript.preferenceGetMenuName(env, "checkboxes")}</div></li>`;
+
       html += "</ul>";
 
       return html;
@@ -1268,6 +1759,9 @@
       // inserted into menu item labels.
       const operand = thisScript.menuGetOperandText(env, selection);
 
+      // Label the menu for screen readers.
+      $menu.attr("aria-label", thisScript.ariaGetMenuLabel(env));
+
       // Loop through the menu and enable items that are suitable for the
       // current selection, and disable those that are not.
       $(".ui-menu-item", $menu).each((index, value) => {
@@ -1284,6 +1778,46 @@
           return true;
         }
 
+        // Enable clipboard menu items if the operation is valid now.
+        const clipboardOperation = $item.attr("data-foldershare-clipboard");
+        if (typeof clipboardOperation !== "undefined") {
+          let clipboardOperand = null;
+          if (thisScript.clipboardIsValid(env, clipboardOperation) === true) {
+            $item.removeClass("ui-state-disabled");
+            $item.addClass("ui-state-enabled");
+            clipboardOperand = (clipboardOperation === "paste") ?
+              thisScript.clipboardGet(env).description : operand;
+          } else {
+            $item.removeClass("ui-state-enabled");
+            $item.addClass("ui-state-disabled");
+          }
+
+          $("div", $item).text(thisScript.clipboardGetMenuName(
+            env,
+            clipboardOperation,
+            clipboardOperand));
+          return true;
+        }
+
+        // Enable selection menu items if the operation is valid now.
+        const selectionOperation = $item.attr("data-foldershare-selection");
+        if (typeof selectionOperation !== "undefined") {
+          const valid = thisScript.selectionIsValid(env, selectionOperation);
+          $item.toggleClass("ui-state-enabled", valid);
+          $item.toggleClass("ui-state-disabled", !valid);
+          return true;
+        }
+
+        // Display preference menu items are always enabled, and show
+        // what choosing them will do.
+        const preference = $item.attr("data-foldershare-preference");
+        if (typeof preference !== "undefined") {
+          $item.removeClass("ui-state-disabled");
+          $item.addClass("ui-state-enabled");
+          $("div", $item).text(thisScript.preferenceGetMenuName(env, preference));
+          return true;
+        }
+
         // Get the menu item's command ID.
         const commandId = $item.attr("data-foldershare-command");
         if (typeof commandId === "undefined") {
@@ -1418,968 +1952,5102 @@
 
     /*--------------------------------------------------------------------
      *
-     * Server form.
+     * Screen reader.
+     *
+     * These functions describe the table, menus, and selection to
+     * assistive technologies such as screen readers. The table is given
+     * grid semantics with row indexes and selection states. Selection
+     * changes and drops are announced through a polite live region.
      *
      *--------------------------------------------------------------------*/
 
     /**
-     * Sets up a server command.
+     * Adds screen reader attributes and the live region.
      *
      * @param {object} env
      *   The environment object.
-     * @param {string} command
-     *   The id/name of the command.
-     * @param {int} parentId
-     *   (optional, default = null = current page) The parent entity ID.
-     *   If not given, the current page's parent ID is used.
-     * @param {int} destinationId
-     *   (optional, default = null = none) The destination entity ID.
-     *   If not given, the value is left empty.
-     * @param {int[]} selectionIdList
-     *   (optional, default = null = none) The list of selection IDs.
-     *   If not given, the value is left empty.
-     * @param {FileList} fileList
-     *   (optional, default = null = none) The file list. If not given,
-     *   the value is left empty.
      */
-    serverCommandSetup(
-      env,
-      command,
-      parentId = null,
-      destinationId = null,
-      selectionIdList = null,
-      fileList = null) {
+    ariaAttach(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-      env.gather.$commandForm[0].reset();
+      // Add a live region to announce changes. If there is one already
+      // there, remove it first.
+      $(".foldershare-folder-table-live-region", env.gather.$subform).remove();
+      env.gather.$subform.append(
+        '<div class="foldershare-folder-table-live-region visually-hidden" role="status" aria-live="polite" aria-atomic="true"></div>');
 
-      env.gather.$commandInput.val(command);
+      // Mark the table as a grid of selectable rows.
+      env.gather.$table.attr("role", "grid");
+      env.gather.$table.attr("aria-multiselectable", "true");
 
-      if (parentId === null) {
-        env.gather.$parentIdInput.val(env.settings.foldershare.page.id);
+      thisScript.ariaUpdate(env);
+    },
+
+    /**
+     * Updates screen reader attributes to match the table and selection.
+     *
+     * Each row is given its 1-based row index, including header rows.
+     * Each selectable body row is given its selection state. The menu
+     * button is labeled with a description of the current selection.
+     *
+     * In a virtual table, rows are counted and indexed as if every item
+     * in the listing had a row, and spacer rows are skipped.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    ariaUpdate(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const $table = env.gather.$table;
+
+      const $rows = $("tr", $table).not(".foldershare-virtual-spacer");
+      const nHeaderRows = $("tr", env.gather.$thead).length;
+      if (Drupal.foldershare.UIVirtualTable.isActive(env) === true) {
+        $table.attr("aria-rowcount", env.virtual.total + nHeaderRows);
       } else {
-        env.gather.$parentIdInput.val(parentId);
+        $table.attr("aria-rowcount", $rows.length);
       }
 
-      if (destinationId !== null) {
-        env.gather.$destinationIdInput.val(destinationId);
-      }
+      $rows.each((index, tr) => {
+        const listingIndex = $(tr).attr("data-foldershare-virtual-index");
+        if (typeof listingIndex === "undefined") {
+          $(tr).attr("aria-rowindex", tr.rowIndex + 1);
+        } else {
+          $(tr).attr("aria-rowindex", Number(listingIndex) + nHeaderRows + 1);
+        }
+      });
 
-      if (selectionIdList !== null) {
-        env.gather.$selectionIdInput.val(JSON.stringify(selectionIdList));
-      }
+      $("tr", env.gather.$tbody).each((index, tr) => {
+        const $tr = $(tr);
+        if ($(`td.${env.gather.nameColumn} a`, $tr).length === 0) {
+          // Rows without a linked name are not selectable.
+          $tr.removeAttr("aria-selected");
+        } else {
+          $tr.attr("aria-selected",
+            ($tr.hasClass("selected") === true) ? "true" : "false");
+        }
+      });
 
-      if (fileList !== null) {
-        // Setting the file list triggers a behavior which does
-        // a form submit.
-        env.gather.$uploadInput[0].files = fileList;
-        this.serverCommandSubmit(env);
-      }
+      $(".foldershare-folder-table-mainmenu-button", env.gather.$subform)
+        .attr("aria-label", thisScript.ariaGetMenuLabel(env));
     },
 
     /**
-     * Submits a previously set up server command.
+     * Returns a menu label describing the current selection.
      *
      * @param {object} env
      *   The environment object.
+     *
+     * @return {string}
+     *   Returns the label.
      */
-    serverCommandSubmit(env) {
-      if (env.settings.foldershare.ajaxEnabled === true) {
-        env.gather.$commandSubmitButton.submit();
-      } else {
-        env.gather.$commandForm.submit();
-      }
+    ariaGetMenuLabel(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const selection = thisScript.tableGetSelectionIdsByKind(env);
+
+      return Drupal.foldershare.utility.getText(
+        env.settings.foldershare.terminology,
+        "menu_label",
+        "Commands for @operand",
+        {
+          "@operand": thisScript.menuGetOperandText(env, selection)
+        });
     },
 
-    /*--------------------------------------------------------------------
+    /**
+     * Announces text to screen readers through the live region.
      *
-     * Feature checks.
+     * The live region is cleared first, then updated after a short delay
+     * so that the same text announced twice in a row is read twice.
      *
-     *--------------------------------------------------------------------*/
+     * @param {object} env
+     *   The environment object.
+     * @param {string} text
+     *   The plain text to announce.
+     */
+    ariaAnnounce(env, text) {
+      const $region = $(".foldershare-folder-table-live-region",
+        env.gather.$subform);
+      $region.text("");
+      setTimeout(() => {
+        $region.text(text);
+      }, 100);
+    },
 
     /**
-     * Checks command support of copy, move, and upload drag-and-drop.
-     *
-     * Copy, move, and upload drag-and-drop features are supported in the UI
-     * dependant upon available commands and the type of page being shown.
-     *
-     * - If the page is for a file, not a folder or root list, then there is
-     *   no drag-and-drop supported for the page.
-     *
-     * - If the copy command is available, then drag-and-drop row copy
-     *   is supported.
-     *
-     * - If the move command is available, then drag-and-drop row move
-     *   is supported.
+     * Returns text describing a count of items.
      *
-     * - If the upload command is available, then drag-and-drop of files
-     *   from off browser is supported.
+     * @param {object} env
+     *   The environment object.
+     * @param {object} selection
+     *   The items, as returned by tableGetSelectionIdsByKind().
      *
-     * Note that file drag-and-drop also requires checking if the browser
-     * supports the feature. This check is done separately.
+     * @return {string}
+     *   Returns text like "3 Files", or an empty string if there are
+     *   no items.
+     */
+    ariaGetCountText(env, selection) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      let nSelected = 0;
+      Object.keys(selection).forEach(kind => {
+        nSelected += selection[kind].length;
+      });
+
+      if (nSelected === 0) {
+        return "";
+      }
+
+      return `${nSelected} ${thisScript.menuGetOperandText(env, selection)}`;
+    },
+
+    /**
+     * Responds to a change in the table's selection.
      *
-     * Several environment flags are set:
-     * - env.dndCopyEnabled = true if enabled.
-     * - env.dndMoveEnabled = true if enabled.
-     * - env.dndUploadEnabled = true if enabled.
-     * - env.dndUploadChecked = false.
+     * This is called by every function that changes the selection. It
+     * copies the selection into the selection model, updates the selection
+     * badge, checkboxes, and screen reader attributes, and announces the
+     * new selection.
      *
      * @param {object} env
      *   The environment object.
-     *
-     * @see checkBrowserFileDragSupport()
      */
-    checkCommandDragAndDropSupport(env) {
+    tableSelectionChanged(env) {
       const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const terminology = env.settings.foldershare.terminology;
 
-      switch (env.settings.foldershare.page.kind) {
-        case "rootlist":
-        case "folder":
-          env.dndCopyEnabled = thisScript.copyCommand in env.mainCommands;
-          env.dndMoveEnabled = thisScript.moveCommand in env.mainCommands;
-          env.dndUploadEnabled = thisScript.uploadCommand in env.mainCommands;
-          env.dndUploadChecked = false;
-          break;
-
-        default:
-          // For any other kind (e.g. file, image, or media), there are no
-          // children so drag-and-drop doesn't make sense.
-          env.dndCopyEnabled = false;
-          env.dndMoveEnabled = false;
-          env.dndUploadEnabled = false;
-          env.dndUploadChecked = false;
-          break;
+      thisScript.selectionSync(env);
+      thisScript.selectionUpdate(env);
+      thisScript.tableCheckboxUpdate(env);
+      thisScript.ariaUpdate(env);
+
+      const count = thisScript.ariaGetCountText(
+        env,
+        thisScript.tableGetSelectionIdsByKind(env));
+      if (count === "") {
+        thisScript.ariaAnnounce(env, Drupal.foldershare.utility.getText(
+          terminology,
+          "selection_none_announce",
+          "No items selected"));
+      } else {
+        thisScript.ariaAnnounce(env, Drupal.foldershare.utility.getText(
+          terminology,
+          "selection_announce",
+          "@count selected",
+          {
+            "@count": count
+          }));
       }
     },
 
+    /*--------------------------------------------------------------------
+     *
+     * Keyboard shortcuts.
+     *
+     *--------------------------------------------------------------------*/
+
     /**
-     * Checks browser support of drag-and-drop of files for uploads.
+     * Handles a key press for keyboard shortcuts.
      *
-     * Modern browsers allow the "files" value of a file input field to
-     * be set with a FileList object. The only way to get such an object
-     * is from an event's dataTransfer, which is why we need to check
-     * this browser ability from within an event behavior.
+     * If the key matches a shortcut, the shortcut's commands are checked
+     * in order against the current selection. The first command that is
+     * available on the page and valid for the selection is run as if it
+     * had been chosen from the main menu. The "?" key shows a list of
+     * the page's shortcuts.
      *
-     * If the browser throws an exception when attempting to set the
-     * "files" value, then the browser is old and does not support the
-     * feature. Without that feature, we cannot put the names of dragged
-     * files into the file input field and therefore cannot do the upload.
+     * Keys are ignored unless focus is in the folder table or its toolbar,
+     * so that keys pressed elsewhere on the page, such as Delete on an
+     * unrelated link, do not run commands. Keys are also ignored while the
+     * user is typing into a form field or while a dialog is shown.
      *
      * @param {object} ev
-     *   The file drag event.
+     *   The key event to handle.
      * @param {object} env
      *   The environment object.
      *
      * @return {boolean}
-     *   Returns false if file drag support is not available.
+     *   Returns false if the key was handled, and true otherwise.
      */
-    checkBrowserFileDragSupport(ev, env) {
-      // If the file upload command is not available or if a prior call to
-      // this method has already determined that file drag-and-drop is not
-      // supported, then return false.
-      if (env.dndUploadEnabled === false) {
-        return false;
+    shortcutKeyDown(ev, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      // Ignore keys pressed outside of the folder table and its toolbar.
+      const $target = $(ev.target);
+      if ($target.closest(env.$topElement).length === 0) {
+        return true;
       }
 
-      // If file upload support in the browser has already been checked,
-      // then return true.
-      if (env.dndUploadChecked === true) {
-        return env.dndUploadEnabled;
+      // Ignore keys typed into form fields.
+      if ($target.is("input, textarea, select") === true ||
+        $target.is("[contenteditable]") === true) {
+        return true;
       }
 
-      // Check if the browser is not properly supporting data transfer
-      // properties.
-      if (typeof ev.originalEvent.dataTransfer === "undefined" ||
-        typeof ev.originalEvent.dataTransfer.files === "undefined") {
-        // Fail. The data transfer or files properties are missing.
-        // The browser does not appear to be supporting drag-and-drop.
-        env.dndUploadEnabled = false;
-        env.dndUploadChecked = true;
-        return env.dndUploadEnabled;
+      // Ignore keys while a dialog is shown. The dialog handles its own keys.
+      if ($(".ui-dialog:visible").length !== 0) {
+        return true;
       }
 
-      // Try to set the file upload field.
-      try {
-        env.gather.$uploadInput[0].files = ev.originalEvent.dataTransfer.files;
-      } catch (er) {
-        // Fail. Old browser does not support setting the "files" value.
-        // File drag not supportable.
-        env.dndUploadEnabled = false;
-        env.dndUploadChecked = true;
+      const isMac = navigator.appVersion.indexOf("Mac") !== -1;
+      const modKey = (isMac === true) ? ev.metaKey : ev.ctrlKey;
 
-        // Tell the user the drag is not supported.
-        let text = "<div>";
-        const translated = env.settings.foldershare.terminology.text.upload_dnd_not_supported;
-        if (typeof translated === "undefined") {
-          text += "<p><strong>Drag-and-drop file upload is not supported.</strong></p>";
-          text += "<p>This feature is not supported by this web browser.</p>";
-        } else {
-          text += translated;
+      //
+      // Show help
+      // ---------
+      // The "?" key is matched by character, since its key code varies
+      // with the keyboard layout.
+      if (ev.key === "?" &&
+        ev.ctrlKey === false &&
+        ev.metaKey === false &&
+        ev.altKey === false) {
+        thisScript.shortcutShowHelp(env);
+        ev.preventDefault();
+        return false;
+      }
+
+      //
+      // Find shortcut
+      // -------------
+      const shortcut = thisScript.shortcuts.find(s =>
+        s.code === ev.code &&
+        s.mod === modKey &&
+        s.shift === ev.shiftKey &&
+        s.alt === ev.altKey);
+      if (typeof shortcut === "undefined") {
+        return true;
+      }
+
+      //
+      // Use clipboard
+      // -------------
+      // Clipboard shortcuts are left for the browser when the user has
+      // selected text on the page, or when the clipboard operation is not
+      // valid right now.
+      if ("clipboard" in shortcut === true) {
+        if (window.getSelection().toString().length !== 0 ||
+          thisScript.clipboardIsValid(env, shortcut.clipboard) === false) {
+          return true;
         }
-        text += "</div>";
-        Drupal.dialog(text, {}).showModal();
-        return env.dndUploadEnabled;
+
+        // A paste into the table may carry files from the system clipboard,
+        // which are only available to the browser's paste event. Let that
+        // event go first, and paste from this clipboard if it does not
+        // upload files.
+        if (shortcut.clipboard === "paste" &&
+          $(ev.target).closest(env.gather.$table).length !== 0) {
+          env.clipboardPastePending = true;
+          setTimeout(() => {
+            if (env.clipboardPastePending === true) {
+              env.clipboardPastePending = false;
+              thisScript.clipboardRun(env, "paste");
+            }
+          }, 0);
+          return true;
+        }
+
+        thisScript.clipboardRun(env, shortcut.clipboard);
+        ev.preventDefault();
+        return false;
       }
 
-      env.dndUploadEnabled = true;
-      env.dndUploadChecked = true;
-      return env.dndUploadEnabled;
+      //
+      // Change selection
+      // ----------------
+      // Selection shortcuts only apply while focus is in the table, and
+      // are left for the browser when there is nothing to select or
+      // unselect. Elsewhere, and on an empty folder, CTRL-A still selects
+      // page text.
+      if ("selection" in shortcut === true) {
+        if ($(ev.target).closest(env.gather.$table).length === 0 ||
+          thisScript.selectionIsValid(env, shortcut.selection) === false) {
+          return true;
+        }
+
+        thisScript.selectionRun(env, shortcut.selection);
+        ev.preventDefault();
+        return false;
+      }
+
+      //
+      // Run command
+      // -----------
+      // Use the first of the shortcut's commands that is valid for the
+      // current selection.
+      const selection = thisScript.tableGetSelectionIdsByKind(env);
+      let nSelected = 0;
+      Object.keys(selection).forEach(kind => {
+        nSelected += selection[kind].length;
+      });
+
+      const commandId = shortcut.commandIds.find(id =>
+        id in env.mainCommands === true &&
+        thisScript.checkSelectionConstraints(
+          env,
+          nSelected,
+          selection,
+          id) === true);
+      if (typeof commandId === "undefined") {
+        // No command is valid right now. Leave the key for the browser.
+        return true;
+      }
+
+      thisScript.serverCommandRun(env, commandId, env.mainCommands);
+
+      ev.preventDefault();
+      return false;
     },
 
-    /*--------------------------------------------------------------------
+    /**
+     * Returns a user-visible label for a shortcut's key combination.
      *
-     * Operand checks.
+     * @param {object} shortcut
+     *   The shortcut entry.
      *
-     *--------------------------------------------------------------------*/
+     * @return {string}
+     *   Returns the key label, including modifiers (e.g. "Ctrl+Shift+N").
+     */
+    shortcutGetLabel(shortcut) {
+      const isMac = navigator.appVersion.indexOf("Mac") !== -1;
+      const keys = [];
+
+      if (shortcut.mod === true) {
+        keys.push((isMac === true) ? "Cmd" : "Ctrl");
+      }
+
+      if (shortcut.alt === true) {
+        keys.push((isMac === true) ? "Option" : "Alt");
+      }
+
+      if (shortcut.shift === true) {
+        keys.push("Shift");
+      }
+
+      keys.push(shortcut.label);
+      return keys.join("+");
+    },
 
     /**
-     * Check if a current file drag-and-drop is valid.
+     * Shows a dialog listing the keyboard shortcuts active for the page.
      *
-     * Users may select an arbitrary mix of files and folders in the
-     * file browser of modern OSes, such as the Mac Finder or the Windows
-     * Explorer. Those can be dragged to a browser window and into the
-     * drag-and-drop area of this module in order to trigger an upload.
+     * A shortcut is active if any of its commands is available in the
+     * main menu for this page and user. Whether the command is valid
+     * depends upon the selection when the shortcut is used.
      *
-     * HOWEVER, web browsers currently only support dragging and uploading
-     * files. And yet it remains possible for a user to try to drag in a
-     * folder.  This function checks the entries in the FileList being
-     * dragged and verifies that they are all files, and no folders.
-     * On success or failure the appropriate given function is called.
+     * @param {object} env
+     *   The environment object.
+     */
+    shortcutShowHelp(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+
+      let rows = "";
+      thisScript.shortcuts.forEach(shortcut => {
+        let name = "";
+        if ("clipboard" in shortcut === true) {
+          if (thisScript.clipboardIsAvailable(env, shortcut.clipboard) === false) {
+            return;
+          }
+
+          name = thisScript.clipboardGetMenuName(env, shortcut.clipboard, null);
+        } else if ("selection" in shortcut === true) {
+          name = thisScript.selectionGetMenuName(env, shortcut.selection);
+        } else {
+          const commandId = shortcut.commandIds.find(id =>
+            id in env.mainCommands === true);
+          if (typeof commandId === "undefined") {
+            return;
+          }
+
+          name = env.mainCommands[commandId].menuNameDefault;
+        }
+
+        const label = Drupal.checkPlain(thisScript.shortcutGetLabel(shortcut));
+        rows += `<tr><td><kbd>${label}</kbd></td><td>${Drupal.checkPlain(name)}</td></tr>`;
+      });
+
+      let html = '<div class="foldershare-shortcut-help">';
+      if (rows.length === 0) {
+        html += utility.getText(
+          terminology,
+          "shortcuts_none",
+          "<p>There are no keyboard shortcuts available on this page.</p>");
+      } else {
+        const keyTitle = Drupal.checkPlain(
+          utility.getText(terminology, "shortcuts_key", "Key"));
+        const commandTitle = Drupal.checkPlain(utility.getText(
+          terminology,
+          "shortcuts_command",
+          "Command"));
+        html += `<table><thead><tr><th>${keyTitle}</th><th>${commandTitle}</th></tr></thead>`;
+        html += `<tbody>${rows}</tbody></table>`;
+      }
+      html += "</div>";
+
+      Drupal.dialog(html, {
+        title: utility.getText(
+          terminology,
+          "shortcuts_title",
+          "Keyboard shortcuts")
+      }).showModal();
+    },
+
+    /*--------------------------------------------------------------------
      *
-     * Note that this function is ASYNCHRONOUS (because the underlying
-     * file reading API is), so it will return immediately while file
-     * checking continues in the background.
+     * Preferences.
+     *
+     * Display preferences, such as whether to show a checkbox column or
+     * a grid of tiles, are kept per user in local storage so that they
+     * last across pages and sessions in the same browser.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns one of the user's display preferences.
      *
-     * @param {object} ev
-     *   The file drag event.
      * @param {object} env
      *   The environment object.
-     * @param {function} onValid
-     *   The function to call if the file drag is valid. The function
-     *   is called with the original event, environment, and file list.
-     * @param {function} onInvalid
-     *   The function to call if the file drag is not valid. The function
-     *   is called with the original event, environment, and file list.
+     * @param {string} name
+     *   The preference name.
+     * @param {*} defaultValue
+     *   The value to return if the preference has not been set.
+     *
+     * @return {*}
+     *   Returns the preference value.
      */
-    checkFileDragValid(ev, env, onValid, onInvalid) {
-      // Check that the event has dataTransfer and files fields and
-      // that there are actual files in the drag.
-      if (typeof ev.originalEvent.dataTransfer === "undefined" ||
-        typeof ev.originalEvent.dataTransfer.files === "undefined") {
-        // Fail. Malformed event.
-        onInvalid(ev, env, null);
-        return;
-      }
+    preferenceGet(env, name, defaultValue) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const key = thisScript.preferenceStorageKey +
+        env.settings.foldershare.user.id;
 
-      const fileList = ev.originalEvent.dataTransfer.files;
-      const nFiles = fileList.length;
+      let preferences = null;
+      try {
+        preferences = JSON.parse(window.localStorage.getItem(key));
+      } catch (err) {
+        // Fail. Local storage is unavailable or the value is malformed.
+        preferences = null;
+      }
 
-      if (nFiles === 0) {
-        // Fail. Empty file list.
-        onInvalid(ev, env, fileList);
-        return;
+      if (preferences === null ||
+        typeof preferences !== "object" ||
+        name in preferences === false) {
+        return defaultValue;
       }
 
-      // Loop over the list and validate each entry.
-      //
-      // Each file entry has a name, size, type, and last modified date.
-      // Unfortunately, NONE OF THESE can be used by themselves to reliably
-      // detect a folder vs. a file.
-      //
-      // Files and folders both have non-empty names. Further, names are just
-      // the file/folder name itself, without a leading path or trailing '/'.
-      // So, names may not be used for validity checking.
-      //
-      // Files and folders both have sizes. While there are on-line claims
-      // that folders will only have sizes that are a multiple of 4096 bytes,
-      // this is entirely bogus. The size reported for a dragged folder
-      // depends upon the OS and its configuration. So, sizes may not be used
-      // for validity checking.
-      //
-      // Files and folders both have modified dates. There is no distinguishing
-      // feature here between files and folders, so this is not useful for
-      // validity checking.
-      //
-      // Finally, the type property contains the MIME type of the dragged item.
-      // Folders do not have a MIME type, so at first this would seem to be an
-      // indicator. BUT...
-      // - A file with no extension also has no MIME type.
-      // - A folder with an extension has a bogus MIME type.
-      //
-      // So the MIME type property can be empty for a file, or set for a
-      // folder. This makes it not useful for validity checking.
-      //
-      // This means that NONE of the available properties are useful indicators
-      // of files vs. folders. What we CAN DO is try to read bytes from the
-      // item. Reading a file will succeed. Reading a folder will fail.
-      //
-      // FileReader() works asynchronously. If we try to start up too many
-      // simultaneous reads, we'll get an error (varies by browser). So we
-      // need to serialize this. We do this with:
-      //   - load handler: called when the file starts loading. We immediately
-      //     abort since we don't need to waste time reading the whole file.
-      //
-      //   - load end handler:  called when done reading a file, including
-      //     when a file load has been aborted. We check if there is another
-      //     file to read and start up that read. This continues until there
-      //     are no more files to read.
-      //
-      // To catch errors, we use a:
-      //   - error handler: called on an error, such as permission denied or
-      //     trying to read a folder. Increment an error counter.
-      //
-      // If no errors occur, the process will go through the files in order,
-      // trying to read each one, aborting, trying the next, etc. When they've
-      // all been read, the validity handler is called.
-      //
-      // If an error occurs, the process will abort and call the invalidity
-      // handler.
-      let nChecked = 0;
-      let nErrors = 0;
-      let i = 0;
-      const reader = new FileReader();
+      return preferences[name];
+    },
 
-      reader.onerror = () => {
-        ++nErrors;
-      };
-      reader.onload = e => {
-        e.target.abort();
-      };
-      reader.onloadend = e => {
-        // If any error has occurred, stop and report invalid.
-        if (nErrors > 0) {
-          onInvalid(e, env, fileList);
-          return;
-        }
+    /**
+     * Sets one of the user's display preferences.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} name
+     *   The preference name.
+     * @param {*} value
+     *   The preference value. It must be convertable to JSON.
+     */
+    preferenceSet(env, name, value) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const key = thisScript.preferenceStorageKey +
+        env.settings.foldershare.user.id;
 
-        // If we're done checking files, report valid.
-        ++nChecked;
-        if (nChecked === nFiles) {
-          onValid(e, env, fileList);
-          return;
+      try {
+        let preferences = JSON.parse(window.localStorage.getItem(key));
+        if (preferences === null || typeof preferences !== "object") {
+          preferences = {};
         }
 
-        // Otherwise, when there is more to read, start reading the
-        // next file.
-        ++i;
-        e.target.readAsArrayBuffer(fileList[i]);
-      };
-
-      // Start it up on the first file.
-      reader.readAsArrayBuffer(fileList[i]);
+        preferences[name] = value;
+        window.localStorage.setItem(key, JSON.stringify(preferences));
+      } catch (err) {
+        // Fail. Local storage is unavailable or full. The preference
+        // lasts only until the page changes.
+      }
     },
 
-    /*--------------------------------------------------------------------
-     *
-     * Table behaviors - overview.
+    /**
+     * Returns menu text for a preference toggle.
      *
-     * These functions manage interaction behaviors on the file & folder
-     * table.
+     * @param {object} env
+     *   The environment object.
+     * @param {string} name
+     *   The preference name. Only "checkboxes" is supported.
      *
-     * Selection.
-     * ----------
-     * Selection marks a row or rows as the nouns for the next verb chosen
-     * from the command menu.
+     * @return {string}
+     *   Returns the menu text.
+     */
+    preferenceGetMenuName(env, name) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+
+      if (thisScript.preferenceGet(env, name, false) === true) {
+        return utility.getText(
+          terminology,
+          "preference_checkboxes_hide",
+          "Hide checkboxes");
+      }
+
+      return utility.getText(
+        terminology,
+        "preference_checkboxes_show",
+        "Show checkboxes");
+    },
+
+    /**
+     * Toggles one of the user's display preferences and updates the table.
      *
-     * Selection is indicated by giving a row the "selected" class. CSS
-     * uses the "selected" class to highlight a selected row. When a command
-     * is chosen, the set of selected items is found by looking for all rows
-     * with the "selected" class.
+     * @param {object} env
+     *   The environment object.
+     * @param {string} name
+     *   The preference name. Only "checkboxes" is supported.
+     */
+    preferenceToggle(env, name) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      thisScript.preferenceSet(
+        env,
+        name,
+        thisScript.preferenceGet(env, name, false) === false);
+      thisScript.tableCheckboxAttach(env);
+    },
+
+    /*--------------------------------------------------------------------
      *
-     * - On left mouse click or touch, the row is selected/unselected based
-     *   upon modifier keys (e.g. SHIFT, CTRL, CMD, ALT).
-     * - On right mouse click, if the row is not selected, then select it.
-     *   Present a context menu.
+     * Selection model.
      *
-     * Open.
-     * -----
-     * Opening a row shows the view page for the row's entity.
+     * The selection is kept in a model keyed by entity ID, rather than
+     * only by the "selected" class on table rows. This lets a selection
+     * include items on other pages of the table. When the table is
+     * replaced by a pager or exposed filter, the model is re-applied to
+     * the new rows, and commands get every selected ID.
      *
-     * - On mouse double-click, open the row's item into a new page.
+     * The model is kept in session storage so that it also survives pager
+     * links that load a whole new page. It only applies to the folder (or
+     * root list) and user for which it was made, and it is forgotten once
+     * a command runs on it.
      *
-     * Dragging - general.
-     * -------------------
-     * When copy and/or move are enabled, rows may be dragged and dropped
-     * onto folders.
+     * Functions that change the "selected" class on rows end by calling
+     * tableSelectionChanged(), which copies the rows' state into the model.
      *
-     * When file uploads are enabled, files may be dragged from off browser
-     * and dropped onto the table or onto folders in the table.
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The current selection model, or null if not yet loaded.
      *
-     * Because browsers generate different event sequences for "rows" and
-     * "files" drags, the event handler response is keyed by the type of drag.
+     * The model is an object with:
+     * - "userId" is the ID of the user that made the selection.
+     * - "pageId" is the ID of the folder (or root list) for the selection.
+     * - "items" is an object with entity ID keys and values that describe
+     *   each selected item, as returned by tableGetRowItem().
+     */
+    selection: null,
+
+    /**
+     * Returns the selection model for the current page and user.
      *
-     * Dragging - rows drag.
-     * ---------------------
-     * A "rows" drag generates the following event sequence:
-     * - "dragstart" starts the drag.
-     * - "dragenter" is sent every time the drag enters an element.
-     * - "dragleave" is sent every time the drag leaves an element.
-     * - "dragover" is generated repeatedly as the mouse moves.
-     * - "drop" is sent when the user releases the drag.
-     * - "dragend" follows the "drop" event.
+     * If the current model is for another page or user, it is replaced
+     * by the model in session storage, if any, or by an empty model.
      *
-     * Table styling affects the order of "dragenter" and "dragleave":
-     * - If a table has no row spacing (which is typical), then "dragenter"
-     *   for the entered row occurs BEFORE "dragleave" for the left row.
+     * @param {object} env
+     *   The environment object.
      *
-     * - If there is row spacing (which default HTML styling does), then
-     *   "dragenter" for the entered row occurs AFTER "dragleave" for the
-     *   left row.
+     * @return {object}
+     *   Returns the selection model.
+     */
+    selectionGet(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const userId = env.settings.foldershare.user.id;
+      const pageId = String(env.settings.foldershare.page.id);
+
+      const isCurrent = model =>
+        model !== null &&
+        typeof model === "object" &&
+        model.userId === userId &&
+        model.pageId === pageId &&
+        model.items !== null &&
+        typeof model.items === "object";
+
+      if (isCurrent(thisScript.selection) === true) {
+        return thisScript.selection;
+      }
+
+      let stored = null;
+      try {
+        stored = JSON.parse(
+          window.sessionStorage.getItem(thisScript.selectionStorageKey));
+      } catch (err) {
+        // Fail. Session storage is unavailable or the value is malformed.
+        stored = null;
+      }
+
+      if (isCurrent(stored) === true) {
+        thisScript.selection = stored;
+      } else {
+        thisScript.selection = {
+          userId: userId,
+          pageId: pageId,
+          items: {}
+        };
+      }
+
+      return thisScript.selection;
+    },
+
+    /**
+     * Saves the selection model to session storage.
      *
-     * - "dragenter" and "dragleave" are generated for every element, including
-     *   nested elements within a table's rows and columns, such as <A> for
-     *   anchors, <IMG> for image icons, <SPAN>, <STRONG>, etc. So the specific
-     *   structure of a row's content will also affect enter/leave events.
+     * @param {object} env
+     *   The environment object.
+     */
+    selectionSave(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      try {
+        window.sessionStorage.setItem(
+          thisScript.selectionStorageKey,
+          JSON.stringify(thisScript.selectionGet(env)));
+      } catch (err) {
+        // Fail. Session storage is unavailable or full. The selection
+        // is still kept for this page.
+      }
+    },
+
+    /**
+     * Forgets the saved selection model.
      *
-     * If the user cancels the drag (e.g. press the ESCAPE key), the "drop"
-     * event does not occur, but "dragend" does.
+     * This is used when a command is run on the selection. The model is
+     * still kept for this page, in case the command fails, but it is not
+     * restored when the page reloads after the command.
      *
-     * "rows" drag handling here uses events like this:
-     * - "dragstart" starts a drag and sets up the data transfer.
-     * - "dragenter" is ignored.
-     * - "dragover" updates highlighting based on the current row's attributes.
-     * - "dragleave" is ignored.
-     * - "drop" drops the rows.
-     * - "dragend" cleans up after a row "drop" or cancel.
+     * @param {object} env
+     *   The environment object.
+     */
+    selectionForget(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      try {
+        window.sessionStorage.removeItem(thisScript.selectionStorageKey);
+      } catch (err) {
+        // Fail. Session storage is unavailable.
+      }
+    },
+
+    /**
+     * Empties the selection model, including items on other pages.
      *
-     * Dragging - files (upload) drag.
-     * -------------------------------
-     * A "files" drag generates the following event sequence:
-     * - "dragenter" is sent every time the drag enters an element.
-     * - "dragleave" is sent every time the drag leaves an element.
-     * - "dragover" is generated repeatedly as the mouse moves.
-     * - "drop" is sent when the user releases the drag.
+     * The caller is responsible for updating the table's rows, and then
+     * calling tableSelectionChanged().
      *
-     * Because a files drag starts outside of the browser, the "dragstart"
-     * and "dragend" events are never sent. The remaining events are the
-     * same as for a "rows" drag.
+     * @param {object} env
+     *   The environment object.
+     */
+    selectionClear(env) {
+      Drupal.foldershare.UIFolderTableMenu.selectionGet(env).items = {};
+    },
+
+    /**
+     * Copies the table rows' selection state into the selection model.
      *
-     * Because there is no "dragstart" event starting a files drag, code
-     * must watch for the first "dragenter" event and treat it as the start.
+     * Items on other pages are left unchanged.
      *
-     * Because a final "dragend" event is not sent for files drags, any
-     * cleanup must be done on the "drop" event.
+     * @param {object} env
+     *   The environment object.
+     */
+    selectionSync(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const items = thisScript.selectionGet(env).items;
+
+      $(`td.${env.gather.nameColumn} a`, env.gather.$tbody).each((index, value) => {
+        const item = thisScript.tableGetRowItem($(value), env);
+        if (item === null) {
+          return true;
+        }
+
+        if ($(value).closest("tr").hasClass("selected") === true) {
+          items[item.id] = item;
+        } else {
+          delete items[item.id];
+        }
+
+        return true;
+      });
+
+      thisScript.selectionSave(env);
+    },
+
+    /**
+     * Marks the table rows that are in the selection model.
      *
-     * If the user cancels the drag (e.g. press the ESCAPE key), the "drop"
-     * event does not occur. And since the drag did not start within the
-     * table, a final "dragend" event does not occur either. Instead,
-     * cleanup from a canceled drag must be done on "dragleave", without
-     * knowing if there will be another "dragenter" to continue the drag.
+     * This is used when the table is built or rebuilt, such as after
+     * changing pages. The model's descriptions of the items on this page
+     * are refreshed from the rows.
      *
-     * Summary of "files" drag event handling:
-     * - "dragenter" is ignored.
-     * - "dragleave" cleans up as if the file drag was canceled.
-     * - "dragover" starts a file drag and highlights based on the current
-     *   row's attributes.
-     * - "drop" drops the files.
+     * @param {object} env
+     *   The environment object.
+     */
+    selectionApply(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const items = thisScript.selectionGet(env).items;
+      const $selectable = thisScript.tableGetSelectableRows(env);
+
+      $("tr", env.gather.$tbody).toggleClass("selected", false);
+      $(`td.${env.gather.nameColumn} a`, env.gather.$tbody).each((index, value) => {
+        const item = thisScript.tableGetRowItem($(value), env);
+        if (item === null || item.id in items === false) {
+          return true;
+        }
+
+        const $tr = $(value).closest("tr");
+        if ($selectable.is($tr) === true) {
+          $tr.toggleClass("selected", true);
+          items[item.id] = item;
+        } else {
+          // The item can no longer be selected.
+          delete items[item.id];
+        }
+
+        return true;
+      });
+
+      thisScript.tableSetSelectionRange(env);
+      thisScript.selectionSave(env);
+      thisScript.selectionUpdate(env);
+      thisScript.tableCheckboxUpdate(env);
+    },
+
+    /**
+     * Returns the number of selected items on other pages.
+     *
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {int}
+     *   Returns the number of selected items that have no row in the table.
+     */
+    selectionGetOffPageCount(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const items = thisScript.selectionGet(env).items;
+
+      // A virtual table has one page, though most items have no rows.
+      if (Drupal.foldershare.UIVirtualTable.isActive(env) === true) {
+        return 0;
+      }
+
+      let nOnPage = 0;
+      $(`tr.selected td.${env.gather.nameColumn} a`, env.gather.$tbody).each((index, value) => {
+        if ($(value).attr("data-foldershare-id") in items === true) {
+          ++nOnPage;
+        }
+      });
+
+      return Object.keys(items).length - nOnPage;
+    },
+
+    /**
+     * Updates the toolbar badge and the summary bar for the selection.
+     *
+     * The badge notes how many selected items are on other pages, if any,
+     * since those are not visible in the table.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    selectionUpdate(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+      const $badge = $(".foldershare-selection-badge", env.gather.$subform);
+
+      thisScript.selectionUpdateSummary(env);
+
+      const nSelected = Object.keys(thisScript.selectionGet(env).items).length;
+      if (nSelected === 0) {
+        $badge.addClass("hidden");
+        return;
+      }
+
+      const nOffPage = thisScript.selectionGetOffPageCount(env);
+      let text = "";
+      if (nOffPage === 0) {
+        text = utility.getText(
+          terminology,
+          "selection_badge",
+          "@count selected",
+          {
+            "@count": nSelected
+          });
+      } else {
+        text = utility.getText(
+          terminology,
+          "selection_badge_offpage",
+          "@count selected (@offpage on other pages)",
+          {
+            "@count": nSelected,
+            "@offpage": nOffPage
+          });
+      }
+
+      $(".foldershare-selection-badge-text", $badge).text(text);
+      $badge.removeClass("hidden");
+    },
+
+    /**
+     * Returns the access grants that the selection is likely to need.
+     *
+     * Likely commands are those on the main menu that operate on one or
+     * more selected items of the selection's kinds. Each such command
+     * requires a single access grant on every selected item.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {object} items
+     *   The selected items, as returned by tableGetRowItem().
+     *
+     * @return {string[]}
+     *   Returns an array of access grant names, such as "update".
+     */
+    selectionGetLikelyAccess(env, items) {
+      const kinds = [];
+      items.forEach(item => {
+        if (kinds.includes(item.kind) === false) {
+          kinds.push(item.kind);
+        }
+      });
+
+      const needed = [];
+      Object.keys(env.mainCommands).forEach(commandId => {
+        const constraints = env.mainCommands[commandId].selectionConstraints;
+        if (constraints.access === "none" ||
+          needed.includes(constraints.access) === true) {
+          return;
+        }
+
+        if (constraints.types.includes("one") === false &&
+          constraints.types.includes("many") === false) {
+          return;
+        }
+
+        if (constraints.kinds.includes("any") === false &&
+          kinds.every(kind => constraints.kinds.includes(kind)) === false) {
+          return;
+        }
+
+        needed.push(constraints.access);
+      });
+
+      return needed;
+    },
+
+    /**
+     * Updates the summary bar below the table for the selection.
+     *
+     * The bar counts the selected items by kind and totals their sizes,
+     * including items selected on other pages. Items whose sizes are not
+     * known are left out of the total, which is then a lower bound. The
+     * bar also warns when some items lack access that a likely command
+     * needs, since those commands will be unavailable.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    selectionUpdateSummary(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+      const $summary = env.gather.$table.next(".foldershare-selection-summary");
+
+      const model = thisScript.selectionGet(env).items;
+      const items = Object.keys(model).map(id => model[id]);
+      if (items.length === 0) {
+        $summary.addClass("hidden");
+        return;
+      }
+
+      // Count by kind and total the sizes.
+      const counts = {};
+      let size = 0;
+      let sizeUnknown = false;
+      items.forEach(item => {
+        counts[item.kind] = (item.kind in counts === true) ?
+          counts[item.kind] + 1 : 1;
+
+        if (typeof item.size === "number" && Number.isNaN(item.size) === false) {
+          size += item.size;
+        } else {
+          sizeUnknown = true;
+        }
+      });
+
+      const kindText = Object.keys(counts).map(kind => {
+        const n = counts[kind];
+        const term = (n === 1) ?
+          utility.getKindSingular(terminology, kind) :
+          utility.getKindPlural(terminology, kind);
+        return `${n} ${term}`;
+      }).join(", ");
+
+      const replacements = {
+        "@count": items.length,
+        "@kinds": kindText,
+        "@size": utility.formatBytes(size)
+      };
+      let text = "";
+      if (sizeUnknown === false) {
+        text = utility.getText(
+          terminology,
+          "selection_summary_size",
+          "@count selected: @kinds, @size total",
+          replacements);
+      } else if (size !== 0) {
+        text = utility.getText(
+          terminology,
+          "selection_summary_size_partial",
+          "@count selected: @kinds, at least @size total",
+          replacements);
+      } else {
+        text = utility.getText(
+          terminology,
+          "selection_summary",
+          "@count selected: @kinds",
+          replacements);
+      }
+
+      // Warn about items that likely commands cannot use.
+      const warnings = [];
+      thisScript.selectionGetLikelyAccess(env, items).forEach(access => {
+        const n = items.filter(item => item.access.includes(access) === false).length;
+        if (n === 0) {
+          return;
+        }
+
+        const accessReplacements = {
+          "@count": n,
+          "@access": access
+        };
+        switch (access) {
+          case "view":
+            warnings.push(utility.getText(
+              terminology,
+              "selection_summary_no_view",
+              "@count cannot be viewed",
+              accessReplacements));
+            break;
+
+          case "update":
+            warnings.push(utility.getText(
+              terminology,
+              "selection_summary_no_update",
+              "@count cannot be changed",
+              accessReplacements));
+            break;
+
+          case "delete":
+            warnings.push(utility.getText(
+              terminology,
+              "selection_summary_no_delete",
+              "@count cannot be deleted",
+              accessReplacements));
+            break;
+
+          case "share":
+            warnings.push(utility.getText(
+              terminology,
+              "selection_summary_no_share",
+              "@count cannot be shared",
+              accessReplacements));
+            break;
+
+          default:
+            warnings.push(utility.getText(
+              terminology,
+              "selection_summary_no_access",
+              "@count lack @access access",
+              accessReplacements));
+            break;
+        }
+      });
+
+      $(".foldershare-selection-summary-text", $summary).text(text);
+      $(".foldershare-selection-summary-access", $summary)
+        .text(warnings.join(", "))
+        .toggleClass("hidden", warnings.length === 0);
+      $summary.removeClass("hidden");
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Selection commands.
+     *
+     * Select all, select none, and invert selection change the selection
+     * of the whole table at once. Select by pattern selects the rows whose
+     * names match a wildcard pattern or regular expression, optionally
+     * limited to a kind and a list of file extensions. Like a shift-click,
+     * these skip rows that have no linked name or are disabled.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns true if a selection operation is valid right now.
+     *
+     * Select all, invert selection, and select by pattern are valid if the
+     * table has any selectable rows. Select none is valid if any items are
+     * selected, including items on other pages.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} operation
+     *   The selection operation, "all", "none", "invert", or "pattern".
+     *
+     * @return {boolean}
+     *   Returns true if the operation is valid.
+     */
+    selectionIsValid(env, operation) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (operation === "none") {
+        return Object.keys(thisScript.selectionGet(env).items).length !== 0;
+      }
+
+      return thisScript.tableGetSelectableRows(env).length !== 0;
+    },
+
+    /**
+     * Returns menu text for a selection operation.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} operation
+     *   The selection operation, "all", "none", "invert", or "pattern".
+     *
+     * @return {string}
+     *   Returns the menu text.
+     */
+    selectionGetMenuName(env, operation) {
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+
+      switch (operation) {
+        case "all":
+          return utility.getText(terminology, "selection_all", "Select all");
+
+        case "none":
+          return utility.getText(terminology, "selection_none", "Select none");
+
+        case "pattern":
+          return utility.getText(
+            terminology,
+            "selection_pattern",
+            "Select by pattern...");
+
+        default:
+        case "invert":
+          return utility.getText(
+            terminology,
+            "selection_invert",
+            "Invert selection");
+      }
+    },
+
+    /**
+     * Runs a selection operation.
+     *
+     * Select by pattern only opens its dialog. The selection changes
+     * later, if the user confirms the dialog.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} operation
+     *   The selection operation, "all", "none", "invert", or "pattern".
+     */
+    selectionRun(env, operation) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const $tbody = env.gather.$tbody;
+
+      // A virtual table selects all or inverts over items without rows.
+      if (Drupal.foldershare.UIVirtualTable.selectionRun(env, operation) === true) {
+        return;
+      }
+
+      switch (operation) {
+        case "pattern":
+          thisScript.selectionPatternOpen(env);
+          return;
+
+        case "all":
+          thisScript.tableGetSelectableRows(env).toggleClass("selected", true);
+          break;
+
+        case "none":
+          // Also unselect items on other pages.
+          thisScript.selectionClear(env);
+          $("tr", $tbody).toggleClass("selected", false);
+          break;
+
+        default:
+        case "invert":
+          // Selected rows that are no longer selectable are unselected.
+          $("tr.selected", $tbody).not(thisScript.tableGetSelectableRows(env))
+            .toggleClass("selected", false);
+          thisScript.tableGetSelectableRows(env).each((index, value) => {
+            $(value).toggleClass("selected", !$(value).hasClass("selected"));
+          });
+          break;
+      }
+
+      thisScript.tableSetSelectionRange(env);
+      thisScript.tableSelectionChanged(env);
+    },
+
+    /**
+     * Returns a regular expression for a selection pattern.
+     *
+     * Wildcard patterns match the whole name, where "*" matches any run of
+     * characters and "?" matches any one character. Regular expressions
+     * match anywhere in the name unless anchored. Both ignore case.
+     *
+     * @param {string} pattern
+     *   The pattern. An empty pattern matches every name.
+     * @param {boolean} isRegex
+     *   True if the pattern is a regular expression, and false if it is
+     *   a wildcard pattern.
+     *
+     * @return {RegExp}
+     *   Returns the regular expression, or null if the pattern is empty.
+     *
+     * @throws {SyntaxError}
+     *   Throws an exception if the regular expression is malformed.
+     */
+    selectionPatternCompile(pattern, isRegex) {
+      if (pattern.length === 0) {
+        return null;
+      }
+
+      if (isRegex === true) {
+        return new RegExp(pattern, "i");
+      }
+
+      const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".");
+      return new RegExp(`^${source}$`, "i");
+    },
+
+    /**
+     * Returns the selectable table rows that match a pattern.
+     *
+     * Each row is matched against its name column anchor's text and its
+     * "data-foldershare-kind" and "data-foldershare-extension" attributes.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {object} filter
+     *   The filter, with properties:
+     *   - "regex": the regular expression for names, or null for any name.
+     *   - "kind": the kind to match, or an empty string for any kind.
+     *   - "extensions": an array of lower case extensions without dots,
+     *     or an empty array for any extension.
+     *
+     * @return {object}
+     *   Returns the jQuery matching rows.
+     */
+    selectionPatternMatch(env, filter) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      return thisScript.tableGetSelectableRows(env).filter((index, value) => {
+        const $a = $(`td.${env.gather.nameColumn} a`, $(value));
+
+        if (filter.kind.length !== 0 &&
+          $a.attr("data-foldershare-kind") !== filter.kind) {
+          return false;
+        }
+
+        if (filter.extensions.length !== 0) {
+          const extension = $a.attr("data-foldershare-extension");
+          if (typeof extension === "undefined" ||
+            filter.extensions.includes(extension.toLowerCase()) === false) {
+            return false;
+          }
+        }
+
+        return filter.regex === null || filter.regex.test($a.text().trim());
+      });
+    },
+
+    /**
+     * Shows the select by pattern dialog.
+     *
+     * The dialog offers a name pattern, a choice of wildcards or regular
+     * expressions, a kind, and a list of extensions, and shows how many
+     * rows match as the user types. On confirmation, the matching rows
+     * replace the selection, just as if they had been clicked.
+     *
+     * The last choices are kept in env.selectionPattern to fill in the
+     * dialog the next time it is shown.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    selectionPatternOpen(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+
+      if ("selectionPattern" in env === false) {
+        env.selectionPattern = {
+          pattern: "",
+          isRegex: false,
+          kind: "",
+          extensions: ""
+        };
+      }
+
+      const last = env.selectionPattern;
+
+      // Offer the kinds that are on the page.
+      const kinds = [];
+      thisScript.tableGetSelectableRows(env).each((index, value) => {
+        const kind = $(`td.${env.gather.nameColumn} a`, $(value))
+          .attr("data-foldershare-kind");
+        if (typeof kind !== "undefined" && kinds.includes(kind) === false) {
+          kinds.push(kind);
+        }
+      });
+
+      let kindOptions = `<option value="">${utility.getText(terminology, "selection_pattern_kind_any", "Any")}</option>`;
+      kinds.forEach(kind => {
+        const selected = (kind === last.kind) ? " selected" : "";
+        kindOptions += `<option value="${Drupal.checkPlain(kind)}"${selected}>${utility.getKindPlural(terminology, kind)}</option>`;
+      });
+
+      const html = `<div class="foldershare-selection-pattern">
+<p><label>${utility.getText(terminology, "selection_pattern_name", "Name")}<br><input type="text" class="foldershare-selection-pattern-name" value="${Drupal.checkPlain(last.pattern)}"></label></p>
+<p><label><input type="radio" name="foldershare-selection-pattern-mode" value="glob"${last.isRegex === true ? "" : " checked"}> ${utility.getText(terminology, "selection_pattern_glob", "Wildcards (* and ?)")}</label><br><label><input type="radio" name="foldershare-selection-pattern-mode" value="regex"${last.isRegex === true ? " checked" : ""}> ${utility.getText(terminology, "selection_pattern_regex", "Regular expression")}</label></p>
+<p><label>${utility.getText(terminology, "selection_pattern_kind", "Kind")}<br><select class="foldershare-selection-pattern-kind">${kindOptions}</select></label></p>
+<p><label>${utility.getText(terminology, "selection_pattern_extensions", "Extensions (optional, such as: jpg, png)")}<br><input type="text" class="foldershare-selection-pattern-extensions" value="${Drupal.checkPlain(last.extensions)}"></label></p>
+<p class="foldershare-selection-pattern-count" aria-live="polite"></p>
+</div>`;
+
+      const $content = $(html);
+      const $name = $(".foldershare-selection-pattern-name", $content);
+      const $kind = $(".foldershare-selection-pattern-kind", $content);
+      const $extensions = $(".foldershare-selection-pattern-extensions", $content);
+      const $count = $(".foldershare-selection-pattern-count", $content);
+      let dialog = null;
+
+      // Returns the current filter, or null if the pattern is malformed.
+      const getFilter = () => {
+        last.pattern = $name.val();
+        last.isRegex = $("input:checked", $content).val() === "regex";
+        last.kind = $kind.val();
+        last.extensions = $extensions.val();
+
+        let regex = null;
+        try {
+          regex = thisScript.selectionPatternCompile(last.pattern, last.isRegex);
+        } catch (err) {
+          return null;
+        }
+
+        return {
+          regex,
+          kind: last.kind,
+          extensions: last.extensions
+            .split(/[\s,]+/)
+            .map(extension => extension.replace(/^\./, "").toLowerCase())
+            .filter(extension => extension.length !== 0)
+        };
+      };
+
+      const updateCount = () => {
+        const filter = getFilter();
+        if (filter === null) {
+          $count.addClass("foldershare-selection-pattern-invalid");
+          $count.text(utility.getText(
+            terminology,
+            "selection_pattern_invalid",
+            "The regular expression is not valid."));
+          return;
+        }
+
+        $count.removeClass("foldershare-selection-pattern-invalid");
+        $count.text(Drupal.formatPlural(
+          thisScript.selectionPatternMatch(env, filter).length,
+          "1 matching item",
+          "@count matching items"));
+      };
+
+      const select = () => {
+        const filter = getFilter();
+        if (filter === null) {
+          // Keep the dialog open so that the pattern can be fixed.
+          return;
+        }
+
+        // Like a click, the matches replace the selection, including
+        // items on other pages.
+        thisScript.selectionClear(env);
+        $("tr", env.gather.$tbody).toggleClass("selected", false);
+        thisScript.selectionPatternMatch(env, filter)
+          .toggleClass("selected", true);
+
+        dialog.close();
+        thisScript.tableSetSelectionRange(env);
+        thisScript.tableSelectionChanged(env);
+      };
+
+      $("input, select", $content).on("input change", updateCount);
+      $("input[type=\"text\"]", $content).on("keydown", ev => {
+        if (ev.key === "Enter") {
+          select();
+          ev.preventDefault();
+          return false;
+        }
+
+        return true;
+      });
+
+      // Return focus to the table when the dialog closes.
+      $content.on("dialogclose", () => {
+        env.gather.$table.focus();
+      });
+
+      updateCount();
+
+      dialog = Drupal.dialog($content, {
+        title: utility.getText(
+          terminology,
+          "selection_pattern_title",
+          "Select by pattern"),
+        buttons: [
+          {
+            text: utility.getText(terminology, "selection_pattern_select", "Select"),
+            click() {
+              select();
+            }
+          },
+          {
+            text: utility.getText(terminology, "selection_pattern_cancel", "Cancel"),
+            click() {
+              dialog.close();
+            }
+          }
+        ]
+      });
+      dialog.showModal();
+      $name.focus();
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Clipboard.
+     *
+     * These functions manage a clipboard of items to copy or move to
+     * another folder. Cut or copy saves the selected item IDs into session
+     * storage. After the user navigates to another folder, paste issues
+     * a copy or move command with that folder as the destination.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns the command used to paste items for a clipboard operation.
+     *
+     * @param {string} operation
+     *   The clipboard operation, "cut" or "copy".
+     *
+     * @return {string}
+     *   Returns the move command ID for "cut" and the copy command ID
+     *   otherwise.
+     */
+    clipboardGetCommand(operation) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      return (operation === "cut") ?
+        thisScript.moveCommand : thisScript.copyCommand;
+    },
+
+    /**
+     * Returns the current clipboard.
+     *
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {object}
+     *   Returns the clipboard object, or null if the clipboard is empty,
+     *   unreadable, or was filled by a different user.
+     */
+    clipboardGet(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      let clipboard = null;
+      try {
+        clipboard = JSON.parse(
+          window.sessionStorage.getItem(thisScript.clipboardStorageKey));
+      } catch (err) {
+        // Fail. Session storage is unavailable or the value is malformed.
+        return null;
+      }
+
+      if (clipboard === null ||
+        typeof clipboard !== "object" ||
+        Array.isArray(clipboard.ids) === false ||
+        clipboard.ids.length === 0 ||
+        clipboard.userId !== env.settings.foldershare.user.id) {
+        return null;
+      }
+
+      return clipboard;
+    },
+
+    /**
+     * Sets or clears the clipboard.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {object} clipboard
+     *   The new clipboard object, or null to clear the clipboard.
+     */
+    clipboardSet(env, clipboard) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      try {
+        if (clipboard === null) {
+          window.sessionStorage.removeItem(thisScript.clipboardStorageKey);
+        } else {
+          window.sessionStorage.setItem(
+            thisScript.clipboardStorageKey,
+            JSON.stringify(clipboard));
+        }
+      } catch (err) {
+        // Fail. Session storage is unavailable or full. The clipboard
+        // is left unchanged.
+      }
+
+      thisScript.clipboardUpdate(env);
+    },
+
+    /**
+     * Returns true if a clipboard operation could be used on this page.
+     *
+     * An operation is available if the command it uses is installed and
+     * allowed on this site.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} operation
+     *   The clipboard operation, "cut", "copy", or "paste".
+     *
+     * @return {boolean}
+     *   Returns true if the operation is available.
+     */
+    clipboardIsAvailable(env, operation) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (operation === "paste") {
+        return thisScript.copyCommand in env.settings.foldershare.commands ||
+          thisScript.moveCommand in env.settings.foldershare.commands;
+      }
+
+      return thisScript.clipboardGetCommand(operation) in env.mainCommands;
+    },
+
+    /**
+     * Returns true if a clipboard operation is valid right now.
+     *
+     * Cut and copy are valid if the move or copy command is available on
+     * this page and the current selection meets the command's constraints.
+     * Paste is valid if the clipboard is not empty and this page meets the
+     * destination constraints of the move or copy command.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} operation
+     *   The clipboard operation, "cut", "copy", or "paste".
+     *
+     * @return {boolean}
+     *   Returns true if the operation is valid.
+     */
+    clipboardIsValid(env, operation) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (operation !== "paste") {
+        const commandId = thisScript.clipboardGetCommand(operation);
+        if (commandId in env.mainCommands === false) {
+          return false;
+        }
+
+        const selection = thisScript.tableGetSelectionIdsByKind(env);
+        let nSelected = 0;
+        Object.keys(selection).forEach(kind => {
+          nSelected += selection[kind].length;
+        });
+
+        // Cut and copy always need a selection. They never default to
+        // the page entity.
+        if (nSelected === 0) {
+          return false;
+        }
+
+        return thisScript.checkSelectionConstraints(
+          env,
+          nSelected,
+          selection,
+          commandId);
+      }
+
+      const clipboard = thisScript.clipboardGet(env);
+      if (clipboard === null) {
+        return false;
+      }
+
+      const commandId = thisScript.clipboardGetCommand(clipboard.operation);
+      if (commandId in env.settings.foldershare.commands === false) {
+        return false;
+      }
+
+      // The page must be a suitable destination.
+      const page = env.settings.foldershare.page;
+      const constraints =
+        env.settings.foldershare.commands[commandId].destinationConstraints;
+      if (constraints.kinds.includes("any") === false &&
+        constraints.kinds.includes(page.kind) === false) {
+        return false;
+      }
+
+      if (constraints.access !== "none" &&
+        env.settings.foldershare.user.pageAccess.includes(constraints.access) === false) {
+        return false;
+      }
+
+      // Items cannot be pasted into themselves. Items cannot be moved into
+      // the folder they are already in.
+      if (clipboard.ids.includes(String(page.id)) === true) {
+        return false;
+      }
+
+      if (clipboard.operation === "cut" &&
+        String(clipboard.parentId) === String(page.id)) {
+        return false;
+      }
+
+      return true;
+    },
+
+    /**
+     * Returns menu text for a clipboard operation.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} operation
+     *   The clipboard operation, "cut", "copy", or "paste".
+     * @param {string} operand
+     *   The operand text to include in the name, or null for generic text.
+     *
+     * @return {string}
+     *   Returns the menu text.
+     */
+    clipboardGetMenuName(env, operation, operand) {
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+
+      if (operand === null) {
+        switch (operation) {
+          case "cut":
+            return utility.getText(terminology, "clipboard_cut", "Cut");
+
+          case "copy":
+            return utility.getText(
+              terminology,
+              "clipboard_copy",
+              "Copy to clipboard");
+
+          default:
+          case "paste":
+            return utility.getText(terminology, "clipboard_paste", "Paste");
+        }
+      }
+
+      const replacements = {
+        "@operand": operand
+      };
+      switch (operation) {
+        case "cut":
+          return utility.getText(
+            terminology,
+            "clipboard_cut_operand",
+            "Cut @operand",
+            replacements);
+
+        case "copy":
+          return utility.getText(
+            terminology,
+            "clipboard_copy_operand",
+            "Copy @operand to clipboard",
+            replacements);
+
+        default:
+        case "paste":
+          return utility.getText(
+            terminology,
+            "clipboard_paste_operand",
+            "Paste @operand",
+            replacements);
+      }
+    },
+
+    /**
+     * Runs a clipboard operation.
+     *
+     * Cut and copy save the current selection onto the clipboard. Paste
+     * issues a copy or move command for the clipboard's items, with the
+     * current page as the destination. Items with the same names as items
+     * already on the page are handled as name collisions. A paste after a
+     * cut empties the clipboard, since the items are no longer where they
+     * were cut from.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} operation
+     *   The clipboard operation, "cut", "copy", or "paste".
+     *
+     * @return {boolean}
+     *   Returns true if the operation was valid and run, and false
+     *   otherwise.
+     */
+    clipboardRun(env, operation) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (thisScript.clipboardIsValid(env, operation) === false) {
+        return false;
+      }
+
+      if (operation !== "paste") {
+        thisScript.clipboardSet(env, {
+          operation: operation,
+          userId: env.settings.foldershare.user.id,
+          parentId: env.settings.foldershare.page.id,
+          ids: thisScript.tableGetSelectionIds(env),
+          names: thisScript.tableGetNames(
+            env,
+            thisScript.tableGetSelectionIds(env)),
+          description: thisScript.ariaGetCountText(
+            env,
+            thisScript.tableGetSelectionIdsByKind(env))
+        });
+        return true;
+      }
+
+      // Cut items can only be pasted once, so clear the clipboard once
+      // they are moved. It is kept if the user cancels or a move fails.
+      const clipboard = thisScript.clipboardGet(env);
+      thisScript.serverCommandCopyMove(
+        env,
+        thisScript.clipboardGetCommand(clipboard.operation),
+        clipboard.parentId,
+        env.settings.foldershare.page.id,
+        clipboard.ids,
+        (typeof clipboard.names === "undefined") ? null : clipboard.names,
+        () => {
+          if (clipboard.operation === "cut") {
+            thisScript.clipboardSet(env, null);
+          }
+        });
+      return true;
+    },
+
+    /**
+     * Updates the toolbar badge and cut rows to show the clipboard.
+     *
+     * The badge describes the items on the clipboard and offers a button
+     * to clear it. It is hidden when the clipboard is empty. Rows for cut
+     * items in the current table are marked with the "foldershare-cut"
+     * class.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    clipboardUpdate(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+      const clipboard = thisScript.clipboardGet(env);
+
+      const $badge = $(".foldershare-clipboard-badge", env.gather.$subform);
+      $("tr.foldershare-cut", env.gather.$tbody).removeClass("foldershare-cut");
+
+      if (clipboard === null) {
+        $badge.addClass("hidden");
+        return;
+      }
+
+      const text = utility.getText(
+        terminology,
+        (clipboard.operation === "cut") ?
+          "clipboard_badge_cut" : "clipboard_badge_copy",
+        (clipboard.operation === "cut") ?
+          "@operand to move" : "@operand to copy",
+        {
+          "@operand": clipboard.description
+        });
+      $(".foldershare-clipboard-badge-text", $badge).text(text);
+      $badge.removeClass("hidden");
+
+      if (clipboard.operation === "cut") {
+        $(`td.${env.gather.nameColumn} a`, env.gather.$tbody).each((index, a) => {
+          if (clipboard.ids.includes($(a).attr("data-foldershare-id")) === true) {
+            $(a).closest("tr").addClass("foldershare-cut");
+          }
+        });
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * System clipboard.
+     *
+     * These functions upload files and images pasted from the system
+     * clipboard, such as screenshots or files copied in the host OS's
+     * file browser.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Handles a paste event on the table.
+     *
+     * If the paste carries files and the upload command is available, the
+     * files are uploaded into the current folder using the same file list
+     * path used for files dropped on the table. Otherwise, if a paste
+     * shortcut is waiting on this event, the clipboard's items are pasted
+     * instead.
+     *
+     * @param {object} ev
+     *   The paste event.
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {boolean}
+     *   Returns false if the paste was handled, and true otherwise.
+     */
+    tablePaste(ev, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      const files = thisScript.getPasteFiles(env, ev.originalEvent.clipboardData);
+      if (files.length === 0 ||
+        thisScript.uploadCommand in env.mainCommands === false) {
+        if (env.clipboardPastePending === true) {
+          env.clipboardPastePending = false;
+          thisScript.clipboardRun(env, "paste");
+          ev.preventDefault();
+          return false;
+        }
+
+        return true;
+      }
+
+      env.clipboardPastePending = false;
+
+      // Build a FileList like the one from a drop. Browsers without the
+      // DataTransfer constructor get the array of files instead, which
+      // the upload accepts just the same.
+      let fileList = files;
+      try {
+        const dataTransfer = new DataTransfer();
+        files.forEach(file => dataTransfer.items.add(file));
+        fileList = dataTransfer.files;
+      } catch (er) {
+        // Fail. Use the array.
+      }
+
+      const fileKind = (files.length === 1) ?
+        Drupal.foldershare.utility.getKindSingular(
+          env.settings.foldershare.terminology,
+          "file") :
+        Drupal.foldershare.utility.getKindPlural(
+          env.settings.foldershare.terminology,
+          "file");
+      thisScript.ariaAnnounce(env, Drupal.foldershare.utility.getText(
+        env.settings.foldershare.terminology,
+        "drop_upload_announce",
+        "Uploading @count",
+        {
+          "@count": `${files.length} ${fileKind}`
+        }));
+
+      thisScript.serverCommandSetup(
+        env,
+        thisScript.uploadCommand,
+        null,
+        null,
+        null,
+        fileList);
+
+      ev.preventDefault();
+      ev.stopPropagation();
+      return false;
+    },
+
+    /**
+     * Returns the files carried by a paste.
+     *
+     * Pasted image data, such as a screenshot, has no file name, or has a
+     * placeholder name like "image.png" supplied by the browser. These are
+     * given a generated name that includes the date and time of the paste.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {DataTransfer} clipboardData
+     *   The paste event's clipboard data.
+     *
+     * @return {File[]}
+     *   Returns an array of files, which may be empty.
+     */
+    getPasteFiles(env, clipboardData) {
+      if (typeof clipboardData === "undefined" ||
+        clipboardData === null ||
+        typeof clipboardData.items === "undefined") {
+        return [];
+      }
+
+      const files = [];
+      Array.from(clipboardData.items).forEach(item => {
+        if (item.kind !== "file") {
+          return;
+        }
+
+        const file = item.getAsFile();
+        if (file === null) {
+          return;
+        }
+
+        if (file.name !== "" &&
+          (file.type.startsWith("image/") === false ||
+          /^image\.[a-z]+$/.test(file.name) === false)) {
+          files.push(file);
+          return;
+        }
+
+        // Generate a name from the time and the MIME type's subtype.
+        const now = new Date();
+        const pad = n => String(n).padStart(2, "0");
+        const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}.${pad(now.getMinutes())}.${pad(now.getSeconds())}`;
+        // Use "svg" for "image/svg+xml", and "jpg" for "image/jpeg".
+        let ext = "bin";
+        const slash = file.type.indexOf("/");
+        if (slash !== -1) {
+          ext = file.type.substring(slash + 1).split("+")[0];
+        }
+
+        if (ext === "jpeg") {
+          ext = "jpg";
+        }
+
+        let name = Drupal.foldershare.utility.getText(
+          env.settings.foldershare.terminology,
+          "paste_image_name",
+          "Pasted image @date",
+          {
+            "@date": date
+          });
+
+        // Give several images pasted at once different names.
+        if (files.some(f => f.name === `${name}.${ext}`) === true) {
+          name += ` ${files.length + 1}`;
+        }
+
+        files.push(new File([file], `${name}.${ext}`, {
+          type: file.type,
+          lastModified: file.lastModified
+        }));
+      });
+
+      return files;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Server form.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Sets up a server command.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} command
+     *   The id/name of the command.
+     * @param {int} parentId
+     *   (optional, default = null = current page) The parent entity ID.
+     *   If not given, the current page's parent ID is used.
+     * @param {int} destinationId
+     *   (optional, default = null = none) The destination entity ID.
+     *   If not given, the value is left empty.
+     * @param {int[]} selectionIdList
+     *   (optional, default = null = none) The list of selection IDs.
+     *   If not given, the value is left empty.
+     * @param {FileList} fileList
+     *   (optional, default = null = none) The file list. If given, the
+     *   files are uploaded and the command is submitted when done.
+     */
+    serverCommandSetup(
+      env,
+      command,
+      parentId = null,
+      destinationId = null,
+      selectionIdList = null,
+      fileList = null) {
+
+      env.gather.$commandForm[0].reset();
+
+      env.gather.$commandInput.val(command);
+
+      if (parentId === null) {
+        env.gather.$parentIdInput.val(env.settings.foldershare.page.id);
+      } else {
+        env.gather.$parentIdInput.val(parentId);
+      }
+
+      if (destinationId !== null) {
+        env.gather.$destinationIdInput.val(destinationId);
+      }
+
+      if (selectionIdList !== null) {
+        env.gather.$selectionIdInput.val(JSON.stringify(selectionIdList));
+      }
+
+      if (fileList !== null) {
+        // Send the files to the server in chunks, then finish with the
+        // upload command.
+        Drupal.foldershare.UIUpload.uploadFiles(
+          env,
+          Array.from(fileList),
+          Number(env.gather.$parentIdInput.val()));
+      }
+    },
+
+    /**
+     * Sets up and submits a server command on the current selection.
+     *
+     * The server form is filled in with the command and the current
+     * selection. If the command uploads files, the browser's file dialog
+     * is shown and the form is submitted after files are chosen.
+     * Otherwise the form is submitted immediately.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} command
+     *   The id/name of the command.
+     * @param {object} commands
+     *   The command list containing the command, such as env.mainCommands
+     *   or env.contextCommands.
+     */
+    serverCommandRun(env, command, commands) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      thisScript.serverCommandSetup(
+        env,
+        command,
+        null,
+        null,
+        thisScript.tableGetSelectionIds(env),
+        null);
+
+      const specialHandling = commands[command].specialHandling;
+      if ($.inArray("upload", specialHandling) !== -1) {
+        // Show file dialog.
+        env.gather.$uploadInput.click();
+      } else {
+        // Submit form.
+        thisScript.serverCommandSubmit(env);
+      }
+    },
+
+    /**
+     * Submits a previously set up server command.
+     *
+     * The saved selection is forgotten, so that it is not restored when
+     * the page reloads after the command.
+     *
+     * When AJAX is enabled, an optional function is called if the server
+     * reports that the command succeeded. Without AJAX the form submit
+     * replaces the page, so the result is not known and the function is
+     * never called.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {function} onSuccess
+     *   (optional, default = null = none) A function called with no
+     *   arguments if the command succeeds.
+     */
+    serverCommandSubmit(env, onSuccess = null) {
+      Drupal.foldershare.UIFolderTableMenu.selectionForget(env);
+
+      if (env.settings.foldershare.ajaxEnabled === true) {
+        $(document).off("ajaxComplete.foldershare-command");
+        if (onSuccess !== null) {
+          // A successful command returns a redirect to refresh the page.
+          // A failed command returns a dialog describing the error. Other
+          // requests on the page, such as those loading a virtual table's
+          // items, are not form submits and are skipped.
+          $(document).on("ajaxComplete.foldershare-command", (ev, xhr, options) => {
+            if (String(options.url).indexOf("ajax_form=1") === -1) {
+              return;
+            }
+
+            $(document).off("ajaxComplete.foldershare-command");
+
+            const commands = xhr.responseJSON;
+            if (xhr.status >= 200 && xhr.status < 300 &&
+              Array.isArray(commands) === true &&
+              commands.some(c => c.command === "redirect") === true &&
+              commands.some(c => c.command === "openDialog") === false) {
+              onSuccess();
+            }
+          });
+        }
+
+        env.gather.$commandSubmitButton.submit();
+      } else {
+        env.gather.$commandForm.submit();
+      }
+    },
+
+    /**
+     * Sets up and submits a copy or move command after checking names.
+     *
+     * If any of the items have the same name as an item already in the
+     * destination, the user is asked how to handle each collision and the
+     * items are copied or moved by the collision functions instead of by
+     * the command. If names are not known for every item, the command is
+     * submitted without checking.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string} command
+     *   The copy or move command ID.
+     * @param {int} parentId
+     *   The parent entity ID of the items, or null for the current page.
+     * @param {int} destinationId
+     *   The destination entity ID.
+     * @param {string[]} entityIdList
+     *   The entity IDs of the items to copy or move.
+     * @param {string[]} nameList
+     *   The names of the items, in the same order as the IDs, or null if
+     *   they are not known.
+     * @param {function} onDone
+     *   (optional, default = null = none) A function called with no
+     *   arguments once the server reports that the command succeeded, or
+     *   once every item has been copied or moved without a failure. It is
+     *   not called if the user cancels, if the command fails, or if AJAX
+     *   is disabled and the command's result is not known.
+     *
+     * @see Drupal.foldershare.UICollision.copyMove()
+     */
+    serverCommandCopyMove(
+      env,
+      command,
+      parentId,
+      destinationId,
+      entityIdList,
+      nameList,
+      onDone = null) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      // The page reloads after items are copied or moved, whether by the
+      // command or by the collision functions.
+      thisScript.selectionForget(env);
+
+      const submit = () => {
+        thisScript.serverCommandSetup(
+          env,
+          command,
+          parentId,
+          destinationId,
+          entityIdList,
+          null);
+        thisScript.serverCommandSubmit(env, onDone);
+      };
+
+      if (Array.isArray(nameList) === false ||
+        nameList.length !== entityIdList.length ||
+        nameList.includes(null) === true) {
+        submit();
+        return;
+      }
+
+      // Items copied into their own folder collide with themselves, and
+      // must never be replaced, since that would delete the originals.
+      const sourceId = (parentId === null) ?
+        env.settings.foldershare.page.id : parentId;
+      const canReplace = String(sourceId) !== String(destinationId);
+
+      Drupal.foldershare.UICollision.copyMove(
+        env,
+        command === thisScript.moveCommand,
+        entityIdList.map((id, index) => ({
+          id,
+          name: nameList[index],
+          canReplace
+        })),
+        destinationId,
+        onDone).then(handled => {
+        if (handled === false) {
+          submit();
+        }
+      });
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Feature checks.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Checks command support of copy, move, and upload drag-and-drop.
+     *
+     * Copy, move, and upload drag-and-drop features are supported in the UI
+     * dependant upon available commands and the type of page being shown.
+     *
+     * - If the page is for a file, not a folder or root list, then there is
+     *   no drag-and-drop supported for the page.
+     *
+     * - If the copy command is available, then drag-and-drop row copy
+     *   is supported.
+     *
+     * - If the move command is available, then drag-and-drop row move
+     *   is supported.
+     *
+     * - If the upload command is available, then drag-and-drop of files
+     *   from off browser is supported.
+     *
+     * Note that file drag-and-drop also requires checking if the browser
+     * supports the feature. This check is done separately.
+     *
+     * Several environment flags are set:
+     * - env.dndCopyEnabled = true if enabled.
+     * - env.dndMoveEnabled = true if enabled.
+     * - env.dndUploadEnabled = true if enabled.
+     * - env.dndUploadChecked = false.
+     *
+     * @param {object} env
+     *   The environment object.
+     *
+     * @see checkBrowserFileDragSupport()
+     */
+    checkCommandDragAndDropSupport(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      switch (env.settings.foldershare.page.kind) {
+        case "rootlist":
+        case "folder":
+          env.dndCopyEnabled = thisScript.copyCommand in env.mainCommands;
+          env.dndMoveEnabled = thisScript.moveCommand in env.mainCommands;
+          env.dndUploadEnabled = thisScript.uploadCommand in env.mainCommands;
+          env.dndUploadChecked = false;
+          break;
+
+        default:
+          // For any other kind (e.g. file, image, or media), there are no
+          // children so drag-and-drop doesn't make sense.
+          env.dndCopyEnabled = false;
+          env.dndMoveEnabled = false;
+          env.dndUploadEnabled = false;
+          env.dndUploadChecked = false;
+          break;
+      }
+    },
+
+    /**
+     * Checks browser support of drag-and-drop of files for uploads.
+     *
+     * Modern browsers allow the "files" value of a file input field to
+     * be set with a FileList object. The only way to get such an object
+     * is from an event's dataTransfer, which is why we need to check
+     * this browser ability from within an event behavior.
+     *
+     * If the browser throws an exception when attempting to set the
+     * "files" value, then the browser is old and does not support the
+     * feature. Without that feature, we cannot put the names of dragged
+     * files into the file input field and therefore cannot do the upload.
+     *
+     * @param {object} ev
+     *   The file drag event.
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {boolean}
+     *   Returns false if file drag support is not available.
+     */
+    checkBrowserFileDragSupport(ev, env) {
+      // If the file upload command is not available or if a prior call to
+      // this method has already determined that file drag-and-drop is not
+      // supported, then return false.
+      if (env.dndUploadEnabled === false) {
+        return false;
+      }
+
+      // If file upload support in the browser has already been checked,
+      // then return true.
+      if (env.dndUploadChecked === true) {
+        return env.dndUploadEnabled;
+      }
+
+      // Check if the browser is not properly supporting data transfer
+      // properties.
+      if (typeof ev.originalEvent.dataTransfer === "undefined" ||
+        typeof ev.originalEvent.dataTransfer.files === "undefined") {
+        // Fail. The data transfer or files properties are missing.
+        // The browser does not appear to be supporting drag-and-drop.
+        env.dndUploadEnabled = false;
+        env.dndUploadChecked = true;
+        return env.dndUploadEnabled;
+      }
+
+      // Try to set the file upload field.
+      try {
+        env.gather.$uploadInput[0].files = ev.originalEvent.dataTransfer.files;
+      } catch (er) {
+        // Fail. Old browser does not support setting the "files" value.
+        // File drag not supportable.
+        env.dndUploadEnabled = false;
+        env.dndUploadChecked = true;
+
+        // Tell the user the drag is not supported.
+        let text = "<div>";
+        const translated = env.settings.foldershare.terminology.text.upload_dnd_not_supported;
+        if (typeof translated === "undefined") {
+          text += "<p><strong>Drag-and-drop file upload is not supported.</strong></p>";
+          text += "<p>This feature is not supported by this web browser.</p>";
+        } else {
+          text += translated;
+        }
+        text += "</div>";
+        Drupal.dialog(text, {}).showModal();
+        return env.dndUploadEnabled;
+      }
+
+      env.dndUploadEnabled = true;
+      env.dndUploadChecked = true;
+      return env.dndUploadEnabled;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Operand checks.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Check if a current file drag-and-drop is valid.
+     *
+     * Users may select an arbitrary mix of files and folders in the
+     * file browser of modern OSes, such as the Mac Finder or the Windows
+     * Explorer. Those can be dragged to a browser window and into the
+     * drag-and-drop area of this module in order to trigger an upload.
+     *
+     * HOWEVER, a FileList only supports uploading files. Browsers with the
+     * file system entry API let folders be handled separately, as trees
+     * (see Drupal.foldershare.UIUpload), but older browsers do not. This
+     * function checks the entries in the FileList being dragged and
+     * verifies that they are all files, and no folders. On success or
+     * failure the appropriate given function is called.
+     *
+     * Note that this function is ASYNCHRONOUS (because the underlying
+     * file reading API is), so it will return immediately while file
+     * checking continues in the background.
+     *
+     * @param {object} ev
+     *   The file drag event.
+     * @param {object} env
+     *   The environment object.
+     * @param {function} onValid
+     *   The function to call if the file drag is valid. The function
+     *   is called with the original event, environment, and file list.
+     * @param {function} onInvalid
+     *   The function to call if the file drag is not valid. The function
+     *   is called with the original event, environment, and file list.
+     */
+    checkFileDragValid(ev, env, onValid, onInvalid) {
+      // Check that the event has dataTransfer and files fields and
+      // that there are actual files in the drag.
+      if (typeof ev.originalEvent.dataTransfer === "undefined" ||
+        typeof ev.originalEvent.dataTransfer.files === "undefined") {
+        // Fail. Malformed event.
+        onInvalid(ev, env, null);
+        return;
+      }
+
+      const fileList = ev.originalEvent.dataTransfer.files;
+      const nFiles = fileList.length;
+
+      if (nFiles === 0) {
+        // Fail. Empty file list.
+        onInvalid(ev, env, fileList);
+        return;
+      }
+
+      // Loop over the list and validate each entry.
+      //
+      // Each file entry has a name, size, type, and last modified date.
+      // Unfortunately, NONE OF THESE can be used by themselves to reliably
+      // detect a folder vs. a file.
+      //
+      // Files and folders both have non-empty names. Further, names are just
+      // the file/folder name itself, without a leading path or trailing '/'.
+      // So, names may not be used for validity checking.
+      //
+      // Files and folders both have sizes. While there are on-line claims
+      // that folders will only have sizes that are a multiple of 4096 bytes,
+      // this is entirely bogus. The size reported for a dragged folder
+      // depends upon the OS and its configuration. So, sizes may not be used
+      // for validity checking.
+      //
+      // Files and folders both have modified dates. There is no distinguishing
+      // feature here between files and folders, so this is not useful for
+      // validity checking.
+      //
+      // Finally, the type property contains the MIME type of the dragged item.
+      // Folders do not have a MIME type, so at first this would seem to be an
+      // indicator. BUT...
+      // - A file with no extension also has no MIME type.
+      // - A folder with an extension has a bogus MIME type.
+      //
+      // So the MIME type property can be empty for a file, or set for a
+      // folder. This makes it not useful for validity checking.
+      //
+      // This means that NONE of the available properties are useful indicators
+      // of files vs. folders. What we CAN DO is try to read bytes from the
+      // item. Reading a file will succeed. Reading a folder will fail.
+      //
+      // FileReader() works asynchronously. If we try to start up too many
+      // simultaneous reads, we'll get an error (varies by browser). So we
+      // need to serialize this. We do this with:
+      //   - load handler: called when the file starts loading. We immediately
+      //     abort since we don't need to waste time reading the whole file.
+      //
+      //   - load end handler:  called when done reading a file, including
+      //     when a file load has been aborted. We check if there is another
+      //     file to read and start up that read. This continues until there
+      //     are no more files to read.
+      //
+      // To catch errors, we use a:
+      //   - error handler: called on an error, such as permission denied or
+      //     trying to read a folder. Increment an error counter.
+      //
+      // If no errors occur, the process will go through the files in order,
+      // trying to read each one, aborting, trying the next, etc. When they've
+      // all been read, the validity handler is called.
+      //
+      // If an error occurs, the process will abort and call the invalidity
+      // handler.
+      let nChecked = 0;
+      let nErrors = 0;
+      let i = 0;
+      const reader = new FileReader();
+
+      reader.onerror = () => {
+        ++nErrors;
+      };
+      reader.onload = e => {
+        e.target.abort();
+      };
+      reader.onloadend = e => {
+        // If any error has occurred, stop and report invalid.
+        if (nErrors > 0) {
+          onInvalid(e, env, fileList);
+          return;
+        }
+
+        // If we're done checking files, report valid.
+        ++nChecked;
+        if (nChecked === nFiles) {
+          onValid(e, env, fileList);
+          return;
+        }
+
+        // Otherwise, when there is more to read, start reading the
+        // next file.
+        ++i;
+        e.target.readAsArrayBuffer(fileList[i]);
+      };
+
+      // Start it up on the first file.
+      reader.readAsArrayBuffer(fileList[i]);
+    },
+
+    /**
+     * Tells the user that a file drag-and-drop cannot be uploaded.
+     *
+     * Browsers without the file system entry API cannot read dropped
+     * folders, so for them the message suggests that an item may be a
+     * folder.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {int} nItems
+     *   The number of items dropped.
+     * @param {boolean} foldersSupported
+     *   True if the drop was read with the file system entry API, which
+     *   supports folders.
+     */
+    showFileDropInvalid(env, nItems, foldersSupported) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const texts = env.settings.foldershare.terminology.text;
+
+      let text = "<div>";
+      if (nItems <= 1) {
+        const translated = (foldersSupported === true) ?
+          texts.upload_dnd_invalid_entry_singular :
+          texts.upload_dnd_invalid_singular;
+        if (typeof translated === "undefined") {
+          text += "<p><strong>Drag-and-drop item cannot be uploaded.</strong></p>";
+          if (foldersSupported === true) {
+            text += "<p>You may not have access to the item.</p>";
+          } else {
+            text += "<p>You may not have access to the item, or it may be a folder. Folder upload is not supported.</p>";
+          }
+        } else {
+          text += translated;
+        }
+      } else {
+        const translated = (foldersSupported === true) ?
+          texts.upload_dnd_invalid_entry_plural :
+          texts.upload_dnd_invalid_plural;
+        if (typeof translated === "undefined") {
+          text += "<p><strong>Drag-and-drop items cannot be uploaded.</strong></p>";
+          if (foldersSupported === true) {
+            text += "<p>You may not have access to these items.</p>";
+          } else {
+            text += "<p>You may not have access to these items, or one of them may be a folder. Folder upload is not supported.</p>";
+          }
+        } else {
+          text += translated;
+        }
+      }
+      text += "</div>";
+
+      thisScript.ariaAnnounce(env, Drupal.foldershare.utility.getText(
+        env.settings.foldershare.terminology,
+        "drop_invalid_announce",
+        "The dropped items cannot be uploaded"));
+      Drupal.dialog(text, {}).showModal();
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Table behaviors - overview.
+     *
+     * These functions manage interaction behaviors on the file & folder
+     * table.
+     *
+     * Selection.
+     * ----------
+     * Selection marks a row or rows as the nouns for the next verb chosen
+     * from the command menu.
+     *
+     * Selection is indicated by giving a row the "selected" class. CSS
+     * uses the "selected" class to highlight a selected row. When a command
+     * is chosen, the set of selected items is found by looking for all rows
+     * with the "selected" class.
+     *
+     * - On left mouse click or touch, the row is selected/unselected based
+     *   upon modifier keys (e.g. SHIFT, CTRL, CMD, ALT).
+     * - On right mouse click, if the row is not selected, then select it.
+     *   Present a context menu.
+     * - On the main menu's select all, select none, or invert selection
+     *   items, or their CTRL-A, ESC, or ALT-SHIFT-I shortcuts, change the
+     *   selection of every selectable row at once.
+     * - On mouse down in blank space and a drag, select the rows within a
+     *   marquee rectangle (adding to the selection when CTRL or CMD is
+     *   down). A drag that starts on a row's content drags the row instead.
+     * - On a touch long press, if the row is not selected, then select it.
+     *   Present the context menu at the touch.
+     *
+     * Open.
+     * -----
+     * Opening a row shows the view page for the row's entity.
+     *
+     * - On mouse double-click, open the row's item into a new page.
+     *
+     * Keyboard.
+     * ---------
+     * The table is focusable and keeps a row cursor that marks the row
+     * acted upon by the keyboard. The cursor row is given the
+     * "foldershare-cursor" class, which CSS highlights while the table
+     * has focus.
+     *
+     * - On arrow, Home/End, or PageUp/PageDown keys, move the cursor and
+     *   select rows as if by a click (or SHIFT-click when SHIFT is down).
+     * - On SPACE, toggle selection of the cursor row.
+     * - On ENTER, open the cursor row's item into a new page.
+     * - On other characters, select the first row whose name starts with
+     *   the characters typed so far. The typed prefix resets after a pause.
+     *
+     * Dragging - general.
+     * -------------------
+     * When copy and/or move are enabled, rows may be dragged and dropped
+     * onto folders.
+     *
+     * When file uploads are enabled, files may be dragged from off browser
+     * and dropped onto the table or onto folders in the table.
+     *
+     * Because browsers generate different event sequences for "rows" and
+     * "files" drags, the event handler response is keyed by the type of drag.
+     *
+     * Dragging - rows drag.
+     * ---------------------
+     * A "rows" drag generates the following event sequence:
+     * - "dragstart" starts the drag.
+     * - "dragenter" is sent every time the drag enters an element.
+     * - "dragleave" is sent every time the drag leaves an element.
+     * - "dragover" is generated repeatedly as the mouse moves.
+     * - "drop" is sent when the user releases the drag.
+     * - "dragend" follows the "drop" event.
+     *
+     * Table styling affects the order of "dragenter" and "dragleave":
+     * - If a table has no row spacing (which is typical), then "dragenter"
+     *   for the entered row occurs BEFORE "dragleave" for the left row.
+     *
+     * - If there is row spacing (which default HTML styling does), then
+     *   "dragenter" for the entered row occurs AFTER "dragleave" for the
+     *   left row.
+     *
+     * - "dragenter" and "dragleave" are generated for every element, including
+     *   nested elements within a table's rows and columns, such as <A> for
+     *   anchors, <IMG> for image icons, <SPAN>, <STRONG>, etc. So the specific
+     *   structure of a row's content will also affect enter/leave events.
+     *
+     * If the user cancels the drag (e.g. press the ESCAPE key), the "drop"
+     * event does not occur, but "dragend" does.
+     *
+     * "rows" drag handling here uses events like this:
+     * - "dragstart" starts a drag and sets up the data transfer.
+     * - "dragenter" is ignored.
+     * - "dragover" updates highlighting based on the current row's attributes.
+     * - "dragleave" is ignored.
+     * - "drop" drops the rows.
+     * - "dragend" cleans up after a row "drop" or cancel.
+     *
+     * Dragging - touch rows drag.
+     * ---------------------------
+     * Touch browsers do not send drag events. Instead, moving a touch after
+     * a long press starts a touch drag, which calls the same "rows" drag
+     * handlers with stand-in events and data transfer objects:
+     * - The move that starts the drag calls the "dragstart" handler.
+     * - Later moves call the "dragover" handler for the row under the touch.
+     * - Lifting the touch calls the "drop" and then the "dragend" handlers.
+     *
+     * The ghost table made by the "dragstart" handler follows the touch.
+     *
+     * Dragging - files (upload) drag.
+     * -------------------------------
+     * A "files" drag generates the following event sequence:
+     * - "dragenter" is sent every time the drag enters an element.
+     * - "dragleave" is sent every time the drag leaves an element.
+     * - "dragover" is generated repeatedly as the mouse moves.
+     * - "drop" is sent when the user releases the drag.
+     *
+     * Because a files drag starts outside of the browser, the "dragstart"
+     * and "dragend" events are never sent. The remaining events are the
+     * same as for a "rows" drag.
+     *
+     * Because there is no "dragstart" event starting a files drag, code
+     * must watch for the first "dragenter" event and treat it as the start.
+     *
+     * Because a final "dragend" event is not sent for files drags, any
+     * cleanup must be done on the "drop" event.
+     *
+     * If the user cancels the drag (e.g. press the ESCAPE key), the "drop"
+     * event does not occur. And since the drag did not start within the
+     * table, a final "dragend" event does not occur either. Instead,
+     * cleanup from a canceled drag must be done on "dragleave", without
+     * knowing if there will be another "dragenter" to continue the drag.
+     *
+     * Summary of "files" drag event handling:
+     * - "dragenter" is ignored.
+     * - "dragleave" cleans up as if the file drag was canceled.
+     * - "dragover" starts a file drag and highlights based on the current
+     *   row's attributes.
+     * - "drop" drops the files.
+     *
+     * Dragging - highlighting.
+     * ------------------------
+     * Highlighting needs to show a single drop target that can be either:
+     * - A row.
+     * - The table itself.
+     *
+     * In principal, "dragenter" can be used to highlight, and "dragleave"
+     * to unhighlight a row. However:
+     *
+     * - The order of enter/leave events depends upon theme styling.
+     *
+     * - These events are generated on every element and nested element on
+     *   a row. The number and structure of those nested elements will vary
+     *   based upon the theme, field formatters, number of table columns, etc.
+     *
+     * - The "dragenter" event has a known bug in most browsers that leaves
+     *   the event target NOT equal to the actual element under the cursor.
+     *   This prevents proper checking for whether the cursor is over a blank
+     *   area or something visible. And this prevents proper decision making
+     *   about whether the drop target is the row or the table.
+     *
+     * This means we cannot reliably use "dragenter" to highlight, and
+     * "dragleave" to unhighlight. Instead, we must track the current
+     * drag-over row by watching for the parent row of events. On a
+     * "dragover", if the parent row changes, the highlighting changes.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches behaviors to the table.
+     *
+     * This method attaches row behaviors to support row selection
+     * using mouse and touch events, row drag-and-drop, and file drag-and-drop.
+     * Some or all of these features may be disabled based upon permissions
+     * on the current folder (if any), subfolders (if any), and for copy,
+     * move, and file uploads. Drag-and-drop features also may be disabled
+     * if copy, move, and file upload commands are not available.
+     *
+     * Row behaviors are delegated from the table body, so they also apply
+     * to rows added later, such as those rendered by a virtual table.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableAttachBehaviors(env) {
+      const $table = env.gather.$table;
+      const $tbody = env.gather.$tbody;
+      const $thead = env.gather.$thead;
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      //
+      // Wrap all text nodes with spans.
+      // -------------------------------
+      // During drags, we need to know if the cursor is above a blank area
+      // or non-blank content, such as text, an image, a video, etc. The
+      // drag event target indicates the element under the cursor, BUT text
+      // nodes are not elements. Instead, the drag event will indicate the
+      // parent element of the text node, such as a <div> or <td>, which
+      // does not provide sufficient granularity to know if the cursor is
+      // over text or just over an area that could have text.
+      //
+      // We resolve this by sweeping through all table body rows and
+      // replacing text nodes with a <span> that contains the same text.
+      // The <span> is marked with an internal attribute. During a drag
+      // over the text, the <span> becomes the target element and, since
+      // a span is the same size as its content, the existance of this
+      // target in an event is a clear indicator that the cursor is over text.
+      //
+      // A virtual table's rows are built with their text already wrapped.
+      if (Drupal.foldershare.UIVirtualTable.isActive(env) === false) {
+        $tbody.find("*").addBack().contents().filter((index, element) =>
+          element.nodeType === Node.TEXT_NODE && /\S/.test(element.nodeValue)
+        ).wrap("<span></span>");
+      }
+
+      //
+      // Show context menu on row right-click.
+      // -------------------------------------
+      // Attach a row behavior to present the context menu. Typically this
+      // event is generated by a right-click, but it also may be presented
+      // by a special context menu keyboard key.
+      const $contextMenu = $(".foldershare-folder-table-contextmenu", env.gather.$subform);
+      $tbody.off("contextmenu.foldershare");
+      $tbody.on("contextmenu.foldershare", "tr", function(ev) {
+        // Some touch browsers send this event on a long press. Leave the
+        // menu to the long press behavior so that it is only shown once.
+        if (env.touch !== null) {
+          thisScript.tableTouchLongPress(env);
+          return false;
+        }
+
+        // If the context menu is visible, hide it.
+        if ($contextMenu.menu().is(":visible")) {
+          $contextMenu.menu().hide();
+          return false;
+        }
+
+        thisScript.tableShowContextMenu($(this), ev, env);
+        return false;
+      });
+
+      //
+      // Open new page on row double-click.
+      // ----------------------------------
+      // For each body row, add a double-click behavior that opens the
+      // view page of the row's entity.
+      $tbody.off("dblclick.foldershare");
+      $tbody.on("dblclick.foldershare", "tr", function() {
+        $(`td.${env.gather.nameColumn} a`, $(this))[0].click();
+      });
+
+      //
+      // Select on row click or touch.
+      // -----------------------------
+      // For each body row, add behaviors that respond to mouse clicks and
+      // touch screen touches.
+      $tbody.off("click.foldershare");
+      $tbody.on("click.foldershare", "tr", function(e) {
+        // Ignore the click that ends a marquee selection.
+        if (env.marqueeClickIgnore === true) {
+          return;
+        }
+
+        thisScript.tableClickSelect.call(this, e, env);
+        thisScript.tableSetCursor(env, this.rowIndex);
+      });
+
+      $tbody.off("touchend.foldershare");
+      $tbody.on("touchend.foldershare", "tr", function(e) {
+        // Ignore the touch that ends a long press or a touch drag.
+        if (env.touch !== null && env.touch.mode !== "pending") {
+          return;
+        }
+
+        thisScript.tableTouchSelect.call(this, e, env);
+        thisScript.tableSetCursor(env, this.rowIndex);
+      });
+
+      //
+      // Long press and drag on touch.
+      // -----------------------------
+      // For each body row, add a behavior that watches a touch for a long
+      // press to show the context menu, and then for a touch drag.
+      env.touch = null;
+      $tbody.off("touchstart.foldershare");
+      $tbody.on("touchstart.foldershare", "tr", function(ev) {
+        return thisScript.tableTouchStart.call(this, ev, env);
+      });
+
+      //
+      // Select with a marquee.
+      // ----------------------
+      // For each body row, add a behavior that starts a marquee selection
+      // on a mouse down in blank space.
+      env.marquee = null;
+      env.marqueeClickIgnore = false;
+      $tbody.off("mousedown.foldershare");
+      $tbody.on("mousedown.foldershare", "tr", function(ev) {
+        return thisScript.tableMarqueeStart.call(this, ev, env);
+      });
+
+      //
+      // Navigate and select with the keyboard.
+      // --------------------------------------
+      // Make the table focusable so that it can receive keyboard events,
+      // then add behaviors to move a row cursor, select rows, and open
+      // the cursor row's item.
+      $table.attr("tabindex", "0");
+      $table.attr(thisScript.tableCursorRowIndex, "NaN");
+      env.typeAhead = Drupal.foldershare.utility.typeAheadCreate();
+
+      $table.off("keydown.foldershare");
+      $table.on("keydown.foldershare", ev =>
+        thisScript.tableKeyDown(ev, env));
+
+      //
+      // Upload pasted files.
+      // --------------------
+      // When files or images are pasted from the system clipboard while
+      // the table has focus, upload them into the current folder.
+      env.clipboardPastePending = false;
+      $table.off("paste.foldershare");
+      $table.on("paste.foldershare", ev =>
+        thisScript.tablePaste(ev, env));
+
+      $table.off("focus.foldershare");
+      $table.on("focus.foldershare", () => {
+        // When the table gains focus and there is no cursor yet, start the
+        // cursor on the first selected row, or the first row.
+        const cursor = Number($table.attr(thisScript.tableCursorRowIndex));
+        if (Number.isNaN(cursor) === true) {
+          const $rows = $("tr", $tbody).not(".foldershare-virtual-spacer");
+          const $selected = $("tr.selected", $tbody).eq(0);
+          if ($selected.length !== 0) {
+            thisScript.tableSetCursor(env, $selected[0].rowIndex);
+          } else if ($rows.length !== 0) {
+            thisScript.tableSetCursor(env, $rows[0].rowIndex);
+          }
+        }
+      });
+
+      //
+      // Prepare for drag behaviors.
+      // ---------------------------
+      // If copy, move, and/or file upload commands are enabled for this page,
+      // then prepare for drag operations.
+      if (env.dndCopyEnabled === true || env.dndMoveEnabled === true) {
+        // Mark all rows as draggable for copy and/or move. A virtual
+        // table marks its rows as they are rendered.
+        $("tr", $tbody).not(".foldershare-virtual-spacer")
+          .attr("draggable", "true");
+      }
+
+      if (env.dndCopyEnabled === true ||
+        env.dndMoveEnabled === true ||
+        env.dndUploadEnabled === true) {
+        // Initialize drag-related attributes.
+        $table.attr(thisScript.tableDragOperand, "none");
+        $table.attr(thisScript.tableDragEffectAllowed, "none");
+        $table.attr(thisScript.tableDragRowIndex, "NaN");
+      }
+
+      //
+      // Start/end row copy/move on row drags.
+      // -------------------------------------
+      // If copy or move are supported, respond to drag events for row drags.
+      if (env.dndCopyEnabled === true || env.dndMoveEnabled === true) {
+        $tbody.off("dragstart.foldershare");
+        $tbody.on("dragstart.foldershare", "tr", function(ev) {
+          thisScript.tableRowDragStart.call(this, ev, env);
+        });
+
+        $tbody.off("dragend.foldershare");
+        $tbody.on("dragend.foldershare", "tr", function(ev) {
+          thisScript.tableRowDragEnd.call(this, ev, env);
+        });
+      }
+
+      //
+      // Monitor rows during row and file drags.
+      // ---------------------------------------
+      // If copy, move, or upload are supported, respond to drag events for
+      // row and file drags. A drop may occur on a row for row and file drags.
+      //
+      // Also respond to file drags over the table header. A drop on the
+      // header drops files into the table"s entity.
+      if (env.dndCopyEnabled === true || env.dndMoveEnabled === true ||
+        env.dndUploadEnabled === true) {
+        // Body rows.
+        $tbody.off("dragover.foldershare");
+        $tbody.on("dragover.foldershare", "tr", function(ev) {
+          thisScript.tableRowDragOver.call(this, ev, env);
+        });
+
+        $tbody.off("dragenter.foldershare");
+        $tbody.on("dragenter.foldershare", "tr", ev => {
+          ev.preventDefault();
+        });
+
+        $tbody.off("dragleave.foldershare");
+        $tbody.on("dragleave.foldershare", "tr", function(ev) {
+          thisScript.tableRowOrHeaderDragLeave.call(this, ev, env);
+        });
+
+        $tbody.off("drop.foldershare");
+        $tbody.on("drop.foldershare", "tr", function(ev) {
+          thisScript.tableRowOrHeaderDrop.call(this, ev, env);
+        });
+
+        // Header.
+        $("tr", $thead).off("dragover.foldershare");
+        $("tr", $thead).on("dragover.foldershare", function(ev) {
+          thisScript.tableHeaderDragOver.call(this, ev, env);
+        });
+
+        $("tr", $thead).off("dragenter.foldershare");
+        $("tr", $thead).on("dragenter.foldershare", ev => {
+          ev.preventDefault();
+        });
+
+        $("tr", $thead).off("dragleave.foldershare");
+        $("tr", $thead).on("dragleave.foldershare", function(ev) {
+          thisScript.tableRowOrHeaderDragLeave.call(this, ev, env);
+        });
+
+        $("tr", $thead).off("drop.foldershare");
+        $("tr", $thead).on("drop.foldershare", function(ev) {
+          thisScript.tableRowOrHeaderDrop.call(this, ev, env);
+        });
+      }
+
+      //
+      // Drop rows on ancestor menu folders.
+      // -----------------------------------
+      // If copy or move are supported, make the ancestor menu's folders
+      // drop targets for row drags.
+      if (env.dndCopyEnabled === true || env.dndMoveEnabled === true) {
+        thisScript.ancestorMenuAttachBehaviors(env);
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Table behaviors - select.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Handles a touch selection event on a table row.
+     *
+     * Touch selection toggles the selected item on/off. It ignores keyboard
+     * modifiers and therefore does not support range selection.
+     *
+     * @param {object} ev
+     *   The row event to handle.
+     * @param {object} env
+     *   The environment object.
+     */
+    tableTouchSelect(ev, env) {
+      const $tr = $(this);
+      const $table = env.gather.$table;
+      const $tbody = env.gather.$tbody;
+
+      // If the touched row does not have a linked name column,
+      // then ignore. This can happen in two ways:
+      // - The table is empty and the only thing in it is a generic empty
+      //   message with no name column.
+      // - The table row has a name column but no link because the row is
+      //   disabled or the field formatter is misconfigured. Since the link
+      //   contains the data attributes we need in order to track and use
+      //   the selection, if there is no link the row is unusable and
+      //   therefore unselectable.
+      const $tdLinkName = $(`td.${env.gather.nameColumn} a`, $tr);
+      if ($tdLinkName.length === 0) {
+        // Fail. No linked name column. Ignore the row.
+        return;
+      }
+
+      // If there is a linked name, but it is marked as disabled, then
+      // ignore the row.
+      const disabled = $tdLinkName.attr("data-foldershare-disabled");
+      if (typeof disabled !== "undefined" && disabled === true) {
+        // Fail. Item is disabled. Ignore the row.
+        return;
+      }
+
+      // For out of range row indexes (<1), clear the selection.
+      // Otherwise toggle the row selection.
+      if (this.rowIndex <= 0) {
+        // Header/footer click. Clear the selection.
+        $("tr", $tbody).each((index, value) => {
+          $(value).toggleClass("selected", false);
+        });
+        $table.attr("selectionFirstRowIndex", "");
+        $table.attr("selectionLastRowIndex", "");
+      } else {
+        const newState = !$tr.hasClass("selected");
+        $tr.toggleClass("selected", newState);
+        if (newState === false) {
+          $table.attr("selectionFirstRowIndex", "");
+          $table.attr("selectionLastRowIndex", "");
+        } else {
+          $table.attr("selectionFirstRowIndex", this.rowIndex);
+          $table.attr("selectionLastRowIndex", this.rowIndex);
+        }
+      }
+
+      // Some browsers will also send mouse events after a touch event.
+      // Such a "ghost click" is not useful here, so disable it.
+      ev.preventDefault();
+
+      Drupal.foldershare.UIFolderTableMenu.tableSelectionChanged(env);
+    },
+
+    /**
+     * Handles a mouse click selection event on a table row.
+     *
+     * Mouse selection supports range selection using keyboard modifiers
+     * like shift-click, control-click (on Windows or Linux), or
+     * command-click (on a Mac):
+     *
+     * - For all platforms, if there are no keyboard modifiers, then a mouse
+     *   click clears any previous selection and starts a new one.
+     *
+     * - For all platforms, if the shift key is down during a click, a selection
+     *   is extended from the most recent selection to the clicked on row.
+     *
+     * - For Windows and Linux platforms, if the control key is down during a
+     *   click, a selected row is toggled.
+     *
+     * - For Mac platforms, if the command (meta) key is down during a
+     *   click, a selected row is toggled.
+     *
+     * @param {object} ev
+     *   The row event to handle.
+     * @param {object} env
+     *   The environment object.
+     */
+    tableClickSelect(ev, env) {
+      const $tr = $(this);
+      const $table = env.gather.$table;
+      const $tbody = env.gather.$tbody;
+      let first = $table.attr("selectionFirstRowIndex");
+      let last = $table.attr("selectionLastRowIndex");
+
+      // If the clicked-on row does not have a linked name column,
+      // then ignore. This can happen in two ways:
+      // - The table is empty and the only thing in it is a generic empty
+      //   message with no name column.
+      // - The table row has a name column but no link because the row is
+      //   disabled or the field formatter is misconfigured. Since the link
+      //   contains the data attributes we need in order to track and use
+      //   the selection, if there is no link the row is unusable and
+      //   therefore unselectable.
+      const $tdLinkName = $(`td.${env.gather.nameColumn} a`, $tr);
+      if ($tdLinkName.length === 0) {
+        // Fail. No linked name column. Ignore the row.
+        return;
+      }
+
+      // If there is a linked name, but it is marked as disabled, then
+      // ignore the row.
+      const disabled = $tdLinkName.attr("data-foldershare-disabled");
+      if (typeof disabled !== "undefined" && disabled === true) {
+        // Fail. Item is disabled. Ignore the row.
+        return;
+      }
+
+      // A virtual table handles shift-clicks over items without rows.
+      if (Drupal.foldershare.UIVirtualTable.clickSelect(this, ev, env) === true) {
+        return;
+      }
+
+      const isMac = navigator.appVersion.indexOf("Mac") !== -1;
+
+      // Check for keyboard modifiers and mimic Windows/Linux/Mac behavior.
+      // If more than one modifier is held down, the control/command
+      // modifier has a higher priority than the shift modifier.
+      if ((isMac === true && ev.metaKey === true) ||
+        (isMac === false && ev.ctrlKey === true)) {
+        // Control/Command-click
+        // ---------------------
+        // On a Mac, a command-click toggles the selection state of the
+        // clicked-on row.
+        //
+        // On all other platforms (e.g. Windows and Linux), a control-click
+        // toggles the selection state of the clicked-on row.
+        const newState = !$tr.hasClass("selected");
+        $tr.toggleClass("selected", newState);
+
+        if (newState === true) {
+          // A clicked-on row always resets the range to that row.
+          $table.attr("selectionFirstRowIndex", this.rowIndex);
+          $table.attr("selectionLastRowIndex", this.rowIndex);
+        } else {
+          first = Number(first);
+          last = Number(last);
+
+          if (this.rowIndex === first && this.rowIndex === last) {
+            // The unselected row was the only row in the selection.
+            // Empty the range.
+            $table.attr("selectionFirstRowIndex", "");
+            $table.attr("selectionLastRowIndex", "");
+          } else if (this.rowIndex === first) {
+            // The unselected row was the start of the range. Shorten the
+            // range to start on the next row.
+            $table.attr("selectionFirstRowIndex", first + 1);
+          } else if (this.rowIndex === last) {
+            // The unselected row was the end of the range. Shorten the
+            // range to end on the previous row.
+            $table.attr("selectionLastRowIndex", last - 1);
+          } else {
+            // The unselected row was within the range. Shorten the range
+            // to include the lower half of the range.
+            $table.attr("selectionFirstRowIndex", this.rowIndex + 1);
+          }
+        }
+      } else if (ev.shiftKey === true) {
+        // Shift-click
+        // -----------
+        // For all platforms, a shift-click adjusts a current selection.
+        //
+        // The following combinations could occur:
+        //
+        // - No current selection. Select the clicked-on row and save the
+        //   range as (first = last = clicked-on row).
+        //
+        // - Current selection and clicked-on row is above it. Flip the
+        //   range by clearing the entire selection first, then selecting
+        //   rows from the clicked-on row to through the first item of the
+        //   old selection. Save the range as (first = clicked-on row) and
+        //   (last = old first).
+        //
+        // - Current selection and clicked-on row is below it. Extend the
+        //   selection by selecting rows from (last+1) through the
+        //   clicked-on row. Save the range as (first = old first) and
+        //   (last = clicked-on row).
+        //
+        // - Current selection and clicked-on row within the range.
+        //   Shorten the range by clearing everything from the row after
+        //   the clicked-on row through the last row of the range. Save
+        //   the range as (first = old first) and (last = clicked-on row).
+        //
+        // Only rows that may be selected are added to the selection,
+        // skipping rows that are disabled or hidden by the quick filter.
+        //
+        // Note that row indexes are 1-based, but loop/array/element
+        // indexes are 0-based.
+        const $selectable = Drupal.foldershare.UIFolderTableMenu
+          .tableGetSelectableRows(env);
+        if (typeof last === "undefined" || last === "") {
+          // No prior selection. Select from 1st row thru this row.
+          $("tr", $tbody).slice(0, this.rowIndex)
+            .filter($selectable)
+            .toggleClass("selected", true);
+
+          $table.attr("selectionFirstRowIndex", 1);
+          $table.attr("selectionLastRowIndex", this.rowIndex);
+        } else {
+          first = Number(first);
+          last = Number(last);
+
+          if (this.rowIndex > last) {
+            // Extend selection downwards thru the clicked-on row.
+            $("tr", $tbody).slice(last, this.rowIndex)
+              .filter($selectable)
+              .toggleClass("selected", true);
+
+            $table.attr("selectionFirstRowIndex", first);
+            $table.attr("selectionLastRowIndex", this.rowIndex);
+          } else if (this.rowIndex < first) {
+            // Flip selection upwards thru the clicked-on row. Clear the
+            // current selection, except the first row, then add the new rows.
+            $("tr", $tbody).slice(first, last + 1).each((index, value) => {
+              $(value).toggleClass("selected", false);
+            });
+            $("tr", $tbody).slice(this.rowIndex - 1, first)
+              .filter($selectable)
+              .toggleClass("selected", true);
+
+            $table.attr("selectionFirstRowIndex", this.rowIndex);
+            $table.attr("selectionLastRowIndex", first);
+          } else {
+            // Shorten selection to end on the clicked-on row. Clear all rows
+            // after the clicked-on row.
+            $("tr", $tbody).slice(this.rowIndex, last).each((index, value) => {
+              $(value).toggleClass("selected", false);
+            });
+
+            $table.attr("selectionFirstRowIndex", first);
+            $table.attr("selectionLastRowIndex", this.rowIndex);
+          }
+        }
+      } else {
+        // Click
+        // -----
+        // When there are no keyboard modifiers, clicking on a row clears
+        // the previous selection (if any), including on other pages, and
+        // selects the row.
+        Drupal.foldershare.UIFolderTableMenu.selectionClear(env);
+        $("tr", $tbody).each((index, value) => {
+          $(value).toggleClass("selected", false);
+        });
+
+        // For out of range row (<1), clear selection.
+        // Otherwise select the clicked-on row and save its index.
+        if (this.rowIndex <= 0) {
+          $table.attr("selectionFirstRowIndex", "");
+          $table.attr("selectionLastRowIndex", "");
+        } else {
+          $tr.toggleClass("selected", true);
+          $table.attr("selectionFirstRowIndex", this.rowIndex);
+          $table.attr("selectionLastRowIndex", this.rowIndex);
+        }
+      }
+
+      // A click can sometimes cause a text selection if the mouse
+      // moved a little between mouse down and up. Such a text
+      // selection is meaningless here, so disable it.
+      window.getSelection().removeAllRanges();
+
+      Drupal.foldershare.UIFolderTableMenu.tableSelectionChanged(env);
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Table behaviors - sort and filter.
+     *
+     * Clicks on sortable column headers sort the rows already in the table,
+     * instead of asking Views for a new table. Rows are compared using the
+     * data attribute on their name anchor that matches the column, if any,
+     * such as "data-foldershare-size" for the "views-field-size" column.
+     * Otherwise they are compared by the column's text, with numbers in the
+     * text compared by value so that "file2" comes before "file10".
+     *
+     * The quick filter hides rows whose names do not contain the text typed.
+     * Hidden rows get the "foldershare-filtered" class and are not
+     * selectable, though rows that were already selected stay selected.
+     *
+     * Sorting moves the rows themselves, so each row's index always matches
+     * its place in the table. Since the selection range and cursor are kept
+     * as row indexes, they are reset after a sort.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The quick filter text.
+     *
+     * This is kept here, rather than in the environment, so that the
+     * filter is re-applied when AJAX replaces the table.
+     */
+    filterText: "",
+
+    /**
+     * Returns the saved client-side sort.
+     *
+     * @return {object}
+     *   Returns an object with "column" and "descending" properties, or
+     *   null if the table has not been sorted.
+     */
+    tableSortGet() {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      let sort = null;
+      try {
+        sort = JSON.parse(
+          window.sessionStorage.getItem(thisScript.sortStorageKey));
+      } catch (err) {
+        // Fail. Session storage is unavailable or the value is malformed.
+        sort = null;
+      }
+
+      if (sort === null ||
+        typeof sort !== "object" ||
+        typeof sort.column !== "string") {
+        return null;
+      }
+
+      return sort;
+    },
+
+    /**
+     * Saves the client-side sort.
+     *
+     * @param {string} column
+     *   The class of the sorted column.
+     * @param {boolean} descending
+     *   True for a descending sort, and false for ascending.
+     */
+    tableSortSet(column, descending) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      try {
+        window.sessionStorage.setItem(
+          thisScript.sortStorageKey,
+          JSON.stringify({
+            column: column,
+            descending: descending
+          }));
+      } catch (err) {
+        // Fail. Session storage is unavailable or full. The rows are
+        // still sorted, but the sort is not re-applied on the next page.
+      }
+    },
+
+    /**
+     * Returns the "views-field-*" class that names a table column.
+     *
+     * @param {Element} cell
+     *   A header or body cell.
+     *
+     * @return {string}
+     *   Returns the column class, or null if the cell has none.
+     */
+    tableGetColumnClass(cell) {
+      const column = (cell.className || "")
+        .split(/\s+/)
+        .find(c => c.startsWith("views-field-") === true);
+
+      return (typeof column === "undefined") ? null : column;
+    },
+
+    /**
+     * Adds client-side sorting to sortable column headers.
+     *
+     * Views marks sortable headers by wrapping their text in a link that
+     * loads a newly sorted table. Clicks on these are caught on the way
+     * down to the link, before Views' own handlers see them. The saved
+     * sort, if any, is then applied to the rows.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableSortAttach(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      // A virtual table is always sorted by name on the server.
+      if (Drupal.foldershare.UIVirtualTable.isActive(env) === true) {
+        return;
+      }
+
+      $("th", env.gather.$thead).once("foldershare-sort").each((index, th) => {
+        const column = thisScript.tableGetColumnClass(th);
+        if (column === null || $("a", th).length === 0) {
+          return;
+        }
+
+        th.addEventListener("click", ev => {
+          // Leave clicks on the resize handle to the handle.
+          if ($(ev.target).closest(".foldershare-column-resize").length !== 0) {
+            return;
+          }
+
+          ev.preventDefault();
+          ev.stopPropagation();
+
+          // A second click on the sorted column reverses the sort. This
+          // includes the column Views sorted by.
+          const sort = thisScript.tableSortGet();
+          let descending = false;
+          if (sort !== null && sort.column === column) {
+            descending = (sort.descending === false);
+          } else if (sort === null) {
+            descending = ($(th).attr("aria-sort") === "ascending");
+          }
+
+          thisScript.tableSortSet(column, descending);
+          thisScript.tableSortApply(env);
+        }, true);
+      });
+
+      thisScript.tableSortApply(env);
+    },
+
+    /**
+     * Returns the value by which a row is sorted for a column.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {Element} tr
+     *   The table row.
+     * @param {string} column
+     *   The class of the sorted column.
+     *
+     * @return {*}
+     *   Returns a number or string, or null if the row has no such column,
+     *   such as a row with an empty table message.
+     */
+    tableGetSortKey(env, tr, column) {
+      const $td = $(`td.${column}`, tr);
+      if ($td.length === 0) {
+        return null;
+      }
+
+      const $a = $(`td.${env.gather.nameColumn} a`, tr);
+      const value = $a.attr(`data-foldershare-${column.substr("views-field-".length)}`);
+      if (typeof value !== "undefined" &&
+        value !== "" &&
+        Number.isNaN(Number(value)) === false) {
+        return Number(value);
+      }
+
+      const text = $td.text().trim();
+      if (column === env.gather.sizeColumn) {
+        const size = Drupal.foldershare.utility.parseBytes(text);
+        if (size !== null) {
+          return size;
+        }
+      }
+
+      return text;
+    },
+
+    /**
+     * Sorts the table rows by the saved client-side sort.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableSortApply(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const $table = env.gather.$table;
+      const $thead = env.gather.$thead;
+      const $tbody = env.gather.$tbody;
+
+      const sort = thisScript.tableSortGet();
+      if (sort === null) {
+        return;
+      }
+
+      const $th = $(`th.${sort.column}`, $thead);
+      if ($th.length === 0 || $("a", $th).length === 0) {
+        // The column is not on this page or not sortable. Keep the
+        // order from Views.
+        return;
+      }
+
+      // Remember the cursor row, rather than its index.
+      const $rows = $("tr", $tbody);
+      const cursor = Number($table.attr(thisScript.tableCursorRowIndex));
+      const cursorTr = (Number.isNaN(cursor) === true || cursor < 1) ?
+        null : $rows[cursor - 1];
+
+      //
+      // Sort rows
+      // ---------
+      // Get each row's key once, then sort. Rows without a key stay last.
+      const keys = new Map();
+      $rows.each((index, tr) => {
+        keys.set(tr, thisScript.tableGetSortKey(env, tr, sort.column));
+      });
+
+      const sign = (sort.descending === true) ? -1 : 1;
+      const sorted = $rows.toArray().sort((a, b) => {
+        const keyA = keys.get(a);
+        const keyB = keys.get(b);
+        if (keyA === null || keyB === null) {
+          return (keyA === null ? 1 : 0) - (keyB === null ? 1 : 0);
+        }
+
+        if (typeof keyA === "number" && typeof keyB === "number") {
+          return sign * (keyA - keyB);
+        }
+
+        return sign * utility.naturalCompare(String(keyA), String(keyB));
+      });
+      $tbody.append(sorted);
+
+      //
+      // Mark column
+      // -----------
+      // Move Views' marks for the sorted column to the new column.
+      $("th", $thead).removeClass("is-active").removeAttr("aria-sort");
+      $("td", $tbody).removeClass("is-active");
+      $("span.tablesort", $thead).remove();
+
+      const direction = (sort.descending === true) ? "desc" : "asc";
+      $th.addClass("is-active")
+        .attr("aria-sort", (sort.descending === true) ? "descending" : "ascending");
+      $(`td.${sort.column}`, $tbody).addClass("is-active");
+      $("a", $th).first().append(
+        `<span class="tablesort tablesort--${direction}"></span>`);
+
+      //
+      // Update row indexes
+      // ------------------
+      // Rows have moved, so reset the selection range and cursor to
+      // their new row indexes.
+      thisScript.tableSetSelectionRange(env);
+      if (cursorTr !== null) {
+        thisScript.tableSetCursor(env, cursorTr.rowIndex);
+      }
+
+      thisScript.ariaUpdate(env);
+    },
+
+    /**
+     * Adds the quick filter box above the table.
+     *
+     * If there is a box already there, remove it first. The last filter
+     * text is then applied to the rows.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableFilterAttach(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const $table = env.gather.$table;
+
+      const filterTerm = Drupal.checkPlain(Drupal.foldershare.utility.getText(
+        env.settings.foldershare.terminology,
+        "filter_label",
+        "Filter by name"));
+
+      $table.prev(".foldershare-quick-filter").remove();
+      if (Drupal.foldershare.UIVirtualTable.isActive(env) === true) {
+        // Most items in a virtual table have no rows to filter.
+        return;
+      }
+
+      $table.before(
+        `<div class="foldershare-quick-filter"><input type="search" class="foldershare-quick-filter-input" placeholder="${filterTerm}" aria-label="${filterTerm}"></div>`);
+
+      const $input = $table.prev(".foldershare-quick-filter")
+        .find("input")
+        .val(thisScript.filterText);
+      $input
+        .on("input.foldershare", () => {
+          thisScript.filterText = $input.val();
+          const nShown = thisScript.tableFilterApply(env);
+          if (thisScript.filterText.trim().length !== 0) {
+            thisScript.ariaAnnounce(
+              env,
+              Drupal.formatPlural(nShown, "1 item shown", "@count items shown"));
+          }
+        })
+        .on("keydown.foldershare", ev => {
+          // ESC clears the filter.
+          if (ev.key === "Escape" || ev.key === "Esc") {
+            $input.val("").trigger("input");
+            return false;
+          }
+
+          return true;
+        });
+
+      thisScript.tableFilterApply(env);
+    },
+
+    /**
+     * Hides rows that do not match the quick filter text.
+     *
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {number}
+     *   Returns the number of rows shown.
+     */
+    tableFilterApply(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const $table = env.gather.$table;
+      const $tbody = env.gather.$tbody;
+      const text = thisScript.filterText.trim().toLowerCase();
+
+      let nShown = 0;
+      $("tr", $tbody).each((index, tr) => {
+        // Rows without a name, such as an empty table message, are
+        // always shown.
+        const $td = $(`td.${env.gather.nameColumn}`, tr);
+        if ($td.length === 0) {
+          return;
+        }
+
+        const shown = text.length === 0 ||
+          $td.text().toLowerCase().indexOf(text) !== -1;
+        $(tr).toggleClass("foldershare-filtered", shown === false);
+        if (shown === true) {
+          ++nShown;
+        }
+      });
+
+      // Move the cursor off a hidden row.
+      const cursor = Number($table.attr(thisScript.tableCursorRowIndex));
+      if (Number.isNaN(cursor) === false &&
+        $("tr", $tbody).eq(cursor - 1).hasClass("foldershare-filtered") === true) {
+        thisScript.tableSetCursor(env, NaN);
+      }
+
+      thisScript.tableCheckboxUpdate(env);
+      return nShown;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Table behaviors - grid view.
+     *
+     * When the user's "view" preference is "grid", the table gets the
+     * "foldershare-grid-view" class and styling lays out its body rows as
+     * tiles, showing only each row's name. A thumbnail is added before each
+     * name anchor. Images show the small thumbnail image linked by their
+     * anchor, and all other items show the MIME type icon classes from
+     * their anchor.
+     *
+     * The tiles are the table's own rows, so selection, the context menu,
+     * double-click to open, and row drags are handled exactly as for the
+     * table, and row indexes are unchanged.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Shows the table or grid view to match the user's preference.
+     *
+     * Any existing thumbnails are removed first, so this may be called
+     * again after the preference changes.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableViewAttach(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+      const $table = env.gather.$table;
+      const isVirtual = Drupal.foldershare.UIVirtualTable.isActive(env);
+      const isGrid = isVirtual === false &&
+        thisScript.preferenceGet(env, "view", "table") === "grid";
+
+      // Update the toggle to offer the other view. A virtual table's rows
+      // must all be the same height, so it has no grid view.
+      const toggleTerm = (isGrid === true) ?
+        utility.getText(terminology, "view_table", "Show as table") :
+        utility.getText(terminology, "view_grid", "Show as grid");
+      $(".foldershare-view-toggle", env.gather.$subform)
+        .text(toggleTerm)
+        .attr("title", toggleTerm)
+        .attr("aria-pressed", (isGrid === true) ? "true" : "false")
+        .toggleClass("hidden", isVirtual);
+
+      // Columns are not shown in the grid view.
+      $(".foldershare-columns-button", env.gather.$subform)
+        .toggleClass("hidden", isGrid);
+
+      $(".foldershare-grid-thumbnail", $table).remove();
+      $table.toggleClass("foldershare-grid-view", isGrid);
+      if (isGrid === false) {
+        return;
+      }
+
+      $(`td.${env.gather.nameColumn} a`, env.gather.$tbody).each((index, a) => {
+        const $a = $(a);
+        const thumbnail = $a.attr("data-foldershare-thumbnail");
+
+        // Images are not draggable so that a drag moves the row instead.
+        if (typeof thumbnail !== "undefined" && thumbnail !== "") {
+          $a.before(
+            `<img class="foldershare-grid-thumbnail" src="${thumbnail}" alt="" loading="lazy" draggable="false">`);
+          return;
+        }
+
+        const classes = (a.className || "")
+          .split(/\s+/)
+          .filter(c => c === "file" || c.startsWith("file--") === true);
+        classes.unshift("foldershare-grid-thumbnail");
+        $a.before(`<span class="${classes.join(" ")}"></span>`);
+      });
+    },
+
+    /**
+     * Returns the number of tiles in each line of the grid view.
+     *
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {number}
+     *   Returns the number of rows shown side by side, or 1 if the table
+     *   is not in the grid view.
+     */
+    tableGetGridColumns(env) {
+      const $rows = $("tr", env.gather.$tbody).not(".foldershare-filtered");
+      if (env.gather.$table.hasClass("foldershare-grid-view") === false ||
+        $rows.length === 0) {
+        return 1;
+      }
+
+      const top = $rows[0].offsetTop;
+      let n = 0;
+      while (n < $rows.length && $rows[n].offsetTop === top) {
+        ++n;
+      }
+
+      return Math.max(n, 1);
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Table behaviors - columns.
+     *
+     * The user's "columns" preference is an object with:
+     * - "order" lists column classes, such as "views-field-size", in the
+     *   order they are shown.
+     * - "hidden" lists the classes of hidden columns.
+     * - "widths" maps column classes to widths, in pixels, for columns the
+     *   user has resized.
+     *
+     * Columns on the page that are not in the saved order keep their order
+     * from Views, after those that are. The order from Views is noted in
+     * env.columnOrder when the table is built, since cells are moved. The
+     * name column is never hidden, since gather() and the row behaviors
+     * find items by their name anchors. The checkbox column, if any,
+     * always stays first.
+     *
+     * Cells are moved and hidden in place, so column classes, rather than
+     * cell positions, must be used to find a row's cells.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns the user's column layout for the columns on the page.
+     *
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {object}
+     *   Returns an object with "order", "hidden", and "widths" properties.
+     *   The order lists every column on the page.
+     */
+    tableColumnsGetLayout(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const columns = env.columnOrder;
+
+      let saved = thisScript.preferenceGet(env, "columns", null);
+      if (saved === null || typeof saved !== "object") {
+        saved = {};
+      }
+
+      const order = (Array.isArray(saved.order) === true) ?
+        saved.order.filter(column => columns.includes(column) === true) : [];
+      columns.forEach(column => {
+        if (order.includes(column) === false) {
+          order.push(column);
+        }
+      });
+
+      const hidden = (Array.isArray(saved.hidden) === true) ?
+        saved.hidden.filter(column =>
+          columns.includes(column) === true &&
+          column !== env.gather.nameColumn) : [];
+
+      const widths = {};
+      if (saved.widths !== null && typeof saved.widths === "object") {
+        columns.forEach(column => {
+          const width = Number(saved.widths[column]);
+          if (Number.isNaN(width) === false && width > 0) {
+            widths[column] = width;
+          }
+        });
+      }
+
+      return {
+        order,
+        hidden,
+        widths
+      };
+    },
+
+    /**
+     * Saves the user's column layout and applies it to the table.
+     *
+     * The layout is merged into the saved preference, so that columns
+     * that are not on this page keep their saved order and visibility.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {object} layout
+     *   The layout, as returned by tableColumnsGetLayout().
+     */
+    tableColumnsSetLayout(env, layout) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      let saved = thisScript.preferenceGet(env, "columns", null);
+      if (saved === null || typeof saved !== "object") {
+        saved = {};
+      }
+
+      const order = layout.order.slice();
+      if (Array.isArray(saved.order) === true) {
+        saved.order.forEach(column => {
+          if (order.includes(column) === false) {
+            order.push(column);
+          }
+        });
+      }
+
+      const hidden = layout.hidden.slice();
+      if (Array.isArray(saved.hidden) === true) {
+        saved.hidden.forEach(column => {
+          if (layout.order.includes(column) === false &&
+            hidden.includes(column) === false) {
+            hidden.push(column);
+          }
+        });
+      }
+
+      const widths = {};
+      if (saved.widths !== null && typeof saved.widths === "object") {
+        Object.keys(saved.widths).forEach(column => {
+          if (layout.order.includes(column) === false) {
+            widths[column] = saved.widths[column];
+          }
+        });
+      }
+
+      Object.assign(widths, layout.widths);
+
+      thisScript.preferenceSet(env, "columns", {
+        order,
+        hidden,
+        widths
+      });
+      thisScript.tableColumnsApply(env);
+    },
+
+    /**
+     * Adds column resize handles and applies the user's column layout.
+     *
+     * This must be called when the table is built, before any cells are
+     * moved. Any existing handles are removed first.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableColumnsAttach(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+
+      env.columnOrder = [];
+      $(".foldershare-column-resize", env.gather.$thead).remove();
+      $("th", env.gather.$thead).not(".foldershare-checkbox-column").each((index, th) => {
+        const column = thisScript.tableGetColumnClass(th);
+        if (column === null) {
+          return;
+        }
+
+        env.columnOrder.push(column);
+
+        const resizeTerm = Drupal.checkPlain(utility.getText(
+          terminology,
+          "columns_resize",
+          "Resize @column",
+          {
+            "@column": thisScript.tableColumnsGetLabel(th)
+          }));
+        const $handle = $(
+          `<span class="foldershare-column-resize" title="${resizeTerm}" aria-hidden="true"></span>`);
+        $(th).addClass("foldershare-column-resizable").append($handle);
+
+        // Mouse downs and clicks stop here so that they do not also sort
+        // the column or start a marquee.
+        $handle
+          .on("mousedown.foldershare", ev => {
+            thisScript.tableColumnsResizeStart(ev, env, th);
+            return false;
+          })
+          .on("click.foldershare", () => false);
+      });
+
+      thisScript.tableColumnsApply(env);
+    },
+
+    /**
+     * Orders, hides, and sizes the table's cells to match the layout.
+     *
+     * Rows without a cell for every column, such as an empty table message
+     * or a virtual table's spacers, are left alone.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableColumnsApply(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const layout = thisScript.tableColumnsGetLayout(env);
+
+      $("tr", env.gather.$table).each((index, tr) => {
+        const cells = {};
+        $(tr).children("th, td").each((cellIndex, cell) => {
+          const column = thisScript.tableGetColumnClass(cell);
+          if (column !== null) {
+            cells[column] = cell;
+          }
+        });
+
+        if (layout.order.every(column => column in cells) === false) {
+          return;
+        }
+
+        // Appending moves each cell after the checkbox cell, if any.
+        layout.order.forEach(column => {
+          const cell = cells[column];
+          tr.appendChild(cell);
+          $(cell)
+            .toggleClass(
+              "foldershare-column-hidden",
+              layout.hidden.includes(column))
+            .toggleClass(
+              "foldershare-column-sized",
+              column in layout.widths);
+        });
+      });
+
+      $("th", env.gather.$thead).not(".foldershare-checkbox-column").each((index, th) => {
+        const column = thisScript.tableGetColumnClass(th);
+        th.style.width = (column in layout.widths) ?
+          `${layout.widths[column]}px` : "";
+      });
+    },
+
+    /**
+     * Returns the label of a column header.
+     *
+     * @param {Element} th
+     *   The column header.
+     *
+     * @return {string}
+     *   Returns the header text, without sort marks.
+     */
+    tableColumnsGetLabel(th) {
+      return $(th).clone()
+        .find(".tablesort, .foldershare-column-resize")
+        .remove()
+        .end()
+        .text()
+        .trim();
+    },
+
+    /**
+     * Handles a mouse down on a column resize handle.
+     *
+     * The column's width follows the mouse until the button is released,
+     * and the new width is then saved.
+     *
+     * @param {object} ev
+     *   The mouse down event.
+     * @param {object} env
+     *   The environment object.
+     * @param {Element} th
+     *   The header of the column being resized.
+     */
+    tableColumnsResizeStart(ev, env, th) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const column = thisScript.tableGetColumnClass(th);
+      const startX = ev.pageX;
+      const startWidth = th.offsetWidth;
+      let width = startWidth;
+
+      const $cells = $(`.${column}`, env.gather.$table);
+      $cells.addClass("foldershare-column-sized");
+
+      $(document)
+        .on("mousemove.foldershare-column", moveEv => {
+          width = Math.max(
+            thisScript.columnMinimumWidth,
+            Math.round(startWidth + moveEv.pageX - startX));
+          th.style.width = `${width}px`;
+          return false;
+        })
+        .on("mouseup.foldershare-column", () => {
+          $(document).off(".foldershare-column");
+
+          const layout = thisScript.tableColumnsGetLayout(env);
+          layout.widths[column] = width;
+          thisScript.tableColumnsSetLayout(env, layout);
+          return false;
+        });
+    },
+
+    /**
+     * Shows the column chooser dialog.
+     *
+     * The dialog lists the columns in order, each with a checkbox to show
+     * or hide it and buttons to move it up or down. Changes are saved and
+     * applied as they are made. The reset button restores the layout from
+     * Views, including column widths.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableColumnsOpen(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+
+      const labels = {};
+      $("th", env.gather.$thead).not(".foldershare-checkbox-column").each((index, th) => {
+        const column = thisScript.tableGetColumnClass(th);
+        if (column !== null) {
+          labels[column] = thisScript.tableColumnsGetLabel(th);
+        }
+      });
+
+      const $content = $("<div class=\"foldershare-columns\"><ul class=\"foldershare-columns-list\"></ul></div>");
+      const $list = $(".foldershare-columns-list", $content);
+      let dialog = null;
+
+      // Builds the list from the current layout.
+      const update = focusSelector => {
+        const layout = thisScript.tableColumnsGetLayout(env);
+        $list.empty();
+
+        layout.order.forEach((column, index) => {
+          const label = Drupal.checkPlain(labels[column]);
+          const args = {
+            "@column": labels[column]
+          };
+          const showTerm = Drupal.checkPlain(
+            utility.getText(terminology, "columns_show", "Show @column", args));
+          const upTerm = Drupal.checkPlain(
+            utility.getText(terminology, "columns_up", "Move @column up", args));
+          const downTerm = Drupal.checkPlain(utility.getText(
+            terminology,
+            "columns_down",
+            "Move @column down",
+            args));
+          const checked = (layout.hidden.includes(column) === true) ? "" : " checked";
+          const locked = (column === env.gather.nameColumn) ? " disabled" : "";
+          const upDisabled = (index === 0) ? " disabled" : "";
+          const downDisabled = (index === layout.order.length - 1) ? " disabled" : "";
+
+          $list.append(`<li data-foldershare-column="${column}">
+<label><input type="checkbox" class="foldershare-columns-show" aria-label="${showTerm}"${checked}${locked}> ${label}</label>
+<button type="button" class="foldershare-columns-up" title="${upTerm}" aria-label="${upTerm}"${upDisabled}>&uarr;</button>
+<button type="button" class="foldershare-columns-down" title="${downTerm}" aria-label="${downTerm}"${downDisabled}>&darr;</button>
+</li>`);
+        });
+
+        if (typeof focusSelector === "string") {
+          $(focusSelector, $list).focus();
+        }
+      };
+
+      $list
+        .on("change", "input.foldershare-columns-show", ev => {
+          const column = $(ev.currentTarget).closest("li").attr("data-foldershare-column");
+          const layout = thisScript.tableColumnsGetLayout(env);
+          layout.hidden = layout.hidden.filter(c => c !== column);
+          if (ev.currentTarget.checked === false) {
+            layout.hidden.push(column);
+          }
+
+          thisScript.tableColumnsSetLayout(env, layout);
+        })
+        .on("click", "button", ev => {
+          const $button = $(ev.currentTarget);
+          const column = $button.closest("li").attr("data-foldershare-column");
+          const isUp = $button.hasClass("foldershare-columns-up");
+          const layout = thisScript.tableColumnsGetLayout(env);
+          const index = layout.order.indexOf(column);
+          const other = index + ((isUp === true) ? -1 : 1);
+          if (other < 0 || other >= layout.order.length) {
+            return false;
+          }
+
+          layout.order[index] = layout.order[other];
+          layout.order[other] = column;
+          thisScript.tableColumnsSetLayout(env, layout);
+
+          // Keep focus on the moved column's button, unless it is now
+          // disabled at the end of the list.
+          let selector = `li[data-foldershare-column="${column}"] .foldershare-columns-${(isUp === true) ? "up" : "down"}`;
+          if (other === 0 || other === layout.order.length - 1) {
+            selector = `li[data-foldershare-column="${column}"] .foldershare-columns-${(isUp === true) ? "down" : "up"}`;
+          }
+
+          update(selector);
+          return false;
+        });
+
+      // Return focus to the table when the dialog closes.
+      $content.on("dialogclose", () => {
+        env.gather.$table.focus();
+      });
+
+      update();
+
+      dialog = Drupal.dialog($content, {
+        title: utility.getText(terminology, "columns_title", "Columns"),
+        buttons: [
+          {
+            text: utility.getText(terminology, "columns_reset", "Reset"),
+            click() {
+              thisScript.preferenceSet(env, "columns", null);
+              thisScript.tableColumnsApply(env);
+              update();
+            }
+          },
+          {
+            text: utility.getText(terminology, "columns_close", "Close"),
+            click() {
+              dialog.close();
+            }
+          }
+        ]
+      });
+      dialog.showModal();
+      $("input, button", $list).not(":disabled").first().focus();
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Table behaviors - checkboxes.
+     *
+     * When the user turns on the "checkboxes" preference, a leading column
+     * of checkboxes is added to the table. Each row's checkbox toggles the
+     * row's selection without clearing the rest, like a control-click, and
+     * a shift-click on a checkbox extends the selection like a shift-click
+     * on the row. The header checkbox selects all or none, and shows a
+     * mixed state when only some rows are selected.
+     *
+     * The checkboxes only mirror the "selected" class on rows, which stays
+     * the source of the selection. tableCheckboxUpdate() is called whenever
+     * the selection changes, however it was changed.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Adds or removes the checkbox column to match the user's preference.
+     *
+     * Any existing checkbox column is removed first, so this may be called
+     * again after the preference changes.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableCheckboxAttach(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const utility = Drupal.foldershare.utility;
+      const terminology = env.settings.foldershare.terminology;
+      const $table = env.gather.$table;
+
+      // Remove any prior column, restoring the span of full-width rows.
+      $(".foldershare-checkbox-column", $table).remove();
+      $("td[data-foldershare-checkbox-colspan]", $table).each((index, value) => {
+        const $td = $(value);
+        $td.attr("colspan", $td.attr("data-foldershare-checkbox-colspan"));
+        $td.removeAttr("data-foldershare-checkbox-colspan");
+      });
+
+      if (thisScript.preferenceGet(env, "checkboxes", false) !== true) {
+        return;
+      }
+
+      const allTerm = Drupal.checkPlain(
+        utility.getText(terminology, "selection_all", "Select all"));
+      $("tr", env.gather.$thead).prepend(
+        `<th class="foldershare-checkbox-column"><input type="checkbox" class="foldershare-checkbox-all" title="${allTerm}" aria-label="${allTerm}"></th>`);
+
+      const $selectable = thisScript.tableGetSelectableRows(env);
+      $("tr", env.gather.$tbody).each((index, tr) => {
+        const $tr = $(tr);
+        const $a = $(`td.${env.gather.nameColumn} a`, $tr);
+
+        // A row without a name, such as an empty table message, spans
+        // the new column instead.
+        if ($a.length === 0) {
+          const $td = $("td", $tr).first();
+          const colspan = $td.attr("colspan");
+          if ($("td", $tr).length === 1 && typeof colspan !== "undefined") {
+            $td.attr("data-foldershare-checkbox-colspan", colspan);
+            $td.attr("colspan", Number(colspan) + 1);
+            return;
+          }
+        }
+
+        const label = Drupal.checkPlain(utility.getText(
+          terminology,
+          "selection_checkbox",
+          "Select @name",
+          {
+            "@name": $a.text().trim()
+          }));
+        const disabled = ($selectable.is($tr) === true) ? "" : " disabled";
+        $tr.prepend(
+          `<td class="foldershare-checkbox-column"><input type="checkbox" class="foldershare-checkbox" aria-label="${label}"${disabled}></td>`);
+      });
+
+      //
+      // Row checkboxes.
+      // ---------------
+      // Clicks toggle or extend the selection. Mouse downs, touches, and
+      // double-clicks stop here so that they do not also start a marquee,
+      // toggle the row by touch, start a long press, or open the item.
+      $("td.foldershare-checkbox-column", $table)
+        .on("mousedown.foldershare touchstart.foldershare touchend.foldershare dblclick.foldershare", ev => {
+          ev.stopPropagation();
+        });
+
+      $("input.foldershare-checkbox", $table)
+        .on("click.foldershare", ev => {
+          const tr = $(ev.currentTarget).closest("tr")[0];
+          ev.stopPropagation();
+
+          thisScript.tableClickSelect.call(
+            tr,
+            {
+              ctrlKey: ev.shiftKey === false,
+              metaKey: ev.shiftKey === false,
+              shiftKey: ev.shiftKey
+            },
+            env);
+          thisScript.tableSetCursor(env, tr.rowIndex);
+          return true;
+        })
+        .on("keydown.foldershare", ev => {
+          // Leave SPACE for the checkbox, rather than the cursor row.
+          if (ev.key === " ") {
+            ev.stopPropagation();
+          }
+        });
+
+      //
+      // Header checkbox.
+      // ----------------
+      // A click selects all rows, unless all are already selected.
+      $("input.foldershare-checkbox-all", $table)
+        .on("click.foldershare", ev => {
+          ev.stopPropagation();
+          const $rows = thisScript.tableGetSelectableRows(env);
+          const allSelected = $rows.length !== 0 &&
+            $rows.filter(".selected").length === $rows.length;
+          thisScript.selectionRun(env, (allSelected === true) ? "none" : "all");
+          return true;
+        })
+        .on("keydown.foldershare", ev => {
+          if (ev.key === " ") {
+            ev.stopPropagation();
+          }
+        });
+
+      thisScript.tableCheckboxUpdate(env);
+    },
+
+    /**
+     * Updates the checkbox column to match the selected rows.
+     *
+     * Since the click that toggles a checkbox has already changed its
+     * checked state, the state is always reset from the rows.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableCheckboxUpdate(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const $table = env.gather.$table;
+
+      $("input.foldershare-checkbox", $table).each((index, value) => {
+        value.checked = $(value).closest("tr").hasClass("selected");
+      });
+
+      const $all = $("input.foldershare-checkbox-all", $table);
+      if ($all.length === 0) {
+        return;
+      }
+
+      const $rows = thisScript.tableGetSelectableRows(env);
+      const nSelected = $rows.filter(".selected").length;
+      $all.prop("disabled", $rows.length === 0);
+      $all.prop("checked", $rows.length !== 0 && nSelected === $rows.length);
+      $all.prop("indeterminate", nSelected !== 0 && nSelected !== $rows.length);
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Table behaviors - touch.
+     *
+     * A touch on a row is tracked in env.touch until it ends. The touch
+     * object has a "mode" that is one of:
+     * - "pending" while waiting for a long press. A tap in this mode is
+     *   left to tableTouchSelect().
+     * - "held" after a long press shows the context menu.
+     * - "drag" after a held touch moves, dragging rows.
+     * - "ignored" after a long press or drag that is not possible here.
+     *
+     * While a touch is tracked, "touchmove", "touchend", and "touchcancel"
+     * listeners are added to the document. These are added directly,
+     * rather than by jQuery, so that "touchmove" may block scrolling during
+     * a drag.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Handles a touch start on a table row.
+     *
+     * @param {object} ev
+     *   The row event to handle.
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {boolean}
+     *   Returns true.
+     */
+    tableTouchStart(ev, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const touches = ev.originalEvent.touches;
+
+      thisScript.tableTouchCancel(env);
+
+      // Multi-finger touches are gestures, such as a pinch zoom.
+      if (touches.length !== 1) {
+        return true;
+      }
+
+      const touch = {
+        tr: this,
+        mode: "pending",
+        startX: touches[0].pageX,
+        startY: touches[0].pageY,
+        timer: null,
+        dataTransfer: null,
+        $ghost: null,
+        listeners: {
+          touchmove: e => thisScript.tableTouchMove(e, env),
+          touchend: e => thisScript.tableTouchEnd(e, env),
+          touchcancel: () => thisScript.tableTouchCancel(env)
+        }
+      };
+
+      touch.timer = setTimeout(
+        () => thisScript.tableTouchLongPress(env),
+        thisScript.touchLongPressDelay);
+
+      Object.keys(touch.listeners).forEach(type => {
+        document.addEventListener(type, touch.listeners[type], {
+          passive: false
+        });
+      });
+
+      env.touch = touch;
+      return true;
+    },
+
+    /**
+     * Handles a long press by showing the context menu at the touch.
+     *
+     * This is called by a timer, or by a "contextmenu" event that some
+     * touch browsers send on a long press. Only the first call for a touch
+     * does anything.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableTouchLongPress(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const touch = env.touch;
+      if (touch === null || touch.mode !== "pending") {
+        return;
+      }
+
+      clearTimeout(touch.timer);
+      touch.timer = null;
+
+      const $tr = $(touch.tr);
+      if (thisScript.tableGetSelectableRows(env).is($tr) === false) {
+        touch.mode = "ignored";
+        return;
+      }
+
+      touch.mode = "held";
+      thisScript.tableShowContextMenu(
+        $tr,
+        $.Event("foldershare-longpress", {
+          pageX: touch.startX,
+          pageY: touch.startY
+        }),
+        env);
+    },
+
+    /**
+     * Handles a touch move while a touch is tracked.
+     *
+     * @param {TouchEvent} ev
+     *   The document event to handle.
+     * @param {object} env
+     *   The environment object.
+     */
+    tableTouchMove(ev, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const touch = env.touch;
+      if (touch === null || ev.touches.length !== 1) {
+        return;
+      }
+
+      const point = ev.touches[0];
+      const moved =
+        Math.abs(point.pageX - touch.startX) > thisScript.touchMoveThreshold ||
+        Math.abs(point.pageY - touch.startY) > thisScript.touchMoveThreshold;
+
+      switch (touch.mode) {
+        case "pending":
+          // The user is scrolling. Stop waiting for a long press.
+          if (moved === true) {
+            thisScript.tableTouchCancel(env);
+          }
+          break;
+
+        case "held":
+          if (moved === true) {
+            $(".foldershare-folder-table-contextmenu", env.gather.$subform)
+              .menu().hide();
+            thisScript.tableTouchDragStart(env);
+          }
+
+          ev.preventDefault();
+          break;
+
+        case "drag":
+          thisScript.tableTouchDragMove(env, point);
+          ev.preventDefault();
+          break;
+
+        default:
+          break;
+      }
+    },
+
+    /**
+     * Handles a touch end while a touch is tracked.
      *
-     * Dragging - highlighting.
-     * ------------------------
-     * Highlighting needs to show a single drop target that can be either:
-     * - A row.
-     * - The table itself.
+     * The end of a long press or drag blocks the mouse events browsers
+     * emulate after a touch, since a "click" would hide the context menu.
      *
-     * In principal, "dragenter" can be used to highlight, and "dragleave"
-     * to unhighlight a row. However:
+     * @param {TouchEvent} ev
+     *   The document event to handle.
+     * @param {object} env
+     *   The environment object.
+     */
+    tableTouchEnd(ev, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const touch = env.touch;
+      if (touch === null) {
+        return;
+      }
+
+      switch (touch.mode) {
+        case "pending":
+          break;
+
+        case "drag":
+          thisScript.tableTouchDragEnd(env, ev.changedTouches[0]);
+          ev.preventDefault();
+          break;
+
+        default:
+          ev.preventDefault();
+          break;
+      }
+
+      thisScript.tableTouchCancel(env);
+    },
+
+    /**
+     * Stops tracking a touch, ending any touch drag.
      *
-     * - The order of enter/leave events depends upon theme styling.
+     * @param {object} env
+     *   The environment object.
+     */
+    tableTouchCancel(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const touch = env.touch;
+      if (typeof touch === "undefined" || touch === null) {
+        return;
+      }
+
+      if (touch.timer !== null) {
+        clearTimeout(touch.timer);
+      }
+
+      Object.keys(touch.listeners).forEach(type => {
+        document.removeEventListener(type, touch.listeners[type], {
+          passive: false
+        });
+      });
+
+      if (touch.mode === "drag") {
+        thisScript.tableRowDragEnd(
+          thisScript.tableTouchCreateDragEvent(touch.tr, touch.dataTransfer),
+          env);
+      }
+
+      if (touch.$ghost !== null) {
+        touch.$ghost.remove();
+      }
+
+      env.touch = null;
+    },
+
+    /**
+     * Returns a stand-in for a drag event's data transfer object.
      *
-     * - These events are generated on every element and nested element on
-     *   a row. The number and structure of those nested elements will vary
-     *   based upon the theme, field formatters, number of table columns, etc.
+     * The object has the data, effect, and drag image parts of a
+     * DataTransfer used by the "rows" drag handlers. The drag image is
+     * cloned when set, since the handlers remove the original soon after.
      *
-     * - The "dragenter" event has a known bug in most browsers that leaves
-     *   the event target NOT equal to the actual element under the cursor.
-     *   This prevents proper checking for whether the cursor is over a blank
-     *   area or something visible. And this prevents proper decision making
-     *   about whether the drop target is the row or the table.
+     * @return {object}
+     *   Returns the data transfer object.
+     */
+    tableTouchCreateDataTransfer() {
+      return {
+        data: {},
+        effectAllowed: "none",
+        dropEffect: "none",
+        $image: null,
+        imageY: 0,
+        setData(type, value) {
+          this.data[type] = value;
+        },
+        getData(type) {
+          return (type in this.data === true) ? this.data[type] : "";
+        },
+        setDragImage(element, x, y) {
+          this.$image = $(element).clone();
+          this.imageY = y;
+        }
+      };
+    },
+
+    /**
+     * Returns a stand-in for a jQuery drag event.
      *
-     * This means we cannot reliably use "dragenter" to highlight, and
-     * "dragleave" to unhighlight. Instead, we must track the current
-     * drag-over row by watching for the parent row of events. On a
-     * "dragover", if the parent row changes, the highlighting changes.
+     * @param {Element} target
+     *   The element under the touch.
+     * @param {object} dataTransfer
+     *   The data transfer object from tableTouchCreateDataTransfer().
      *
-     *--------------------------------------------------------------------*/
+     * @return {object}
+     *   Returns the event object.
+     */
+    tableTouchCreateDragEvent(target, dataTransfer) {
+      return {
+        target,
+        originalEvent: {
+          dataTransfer
+        },
+        defaultPrevented: false,
+        preventDefault() {
+          this.defaultPrevented = true;
+        },
+        stopPropagation() {}
+      };
+    },
 
     /**
-     * Attaches behaviors to the table.
-     *
-     * This method attaches row behaviors to support row selection
-     * using mouse and touch events, row drag-and-drop, and file drag-and-drop.
-     * Some or all of these features may be disabled based upon permissions
-     * on the current folder (if any), subfolders (if any), and for copy,
-     * move, and file uploads. Drag-and-drop features also may be disabled
-     * if copy, move, and file upload commands are not available.
+     * Starts a touch drag of the touched row, or of the selection.
      *
      * @param {object} env
      *   The environment object.
      */
-    tableAttachBehaviors(env) {
-      const $table = env.gather.$table;
-      const $tbody = env.gather.$tbody;
-      const $thead = env.gather.$thead;
+    tableTouchDragStart(env) {
       const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const touch = env.touch;
 
-      //
-      // Wrap all text nodes with spans.
-      // -------------------------------
-      // During drags, we need to know if the cursor is above a blank area
-      // or non-blank content, such as text, an image, a video, etc. The
-      // drag event target indicates the element under the cursor, BUT text
-      // nodes are not elements. Instead, the drag event will indicate the
-      // parent element of the text node, such as a <div> or <td>, which
-      // does not provide sufficient granularity to know if the cursor is
-      // over text or just over an area that could have text.
-      //
-      // We resolve this by sweeping through all table body rows and
-      // replacing text nodes with a <span> that contains the same text.
-      // The <span> is marked with an internal attribute. During a drag
-      // over the text, the <span> becomes the target element and, since
-      // a span is the same size as its content, the existance of this
-      // target in an event is a clear indicator that the cursor is over text.
-      $tbody.find("*").addBack().contents().filter((index, element) =>
-        element.nodeType === Node.TEXT_NODE && /\S/.test(element.nodeValue)
-      ).wrap("<span></span>");
+      if (env.dndCopyEnabled !== true && env.dndMoveEnabled !== true) {
+        touch.mode = "ignored";
+        return;
+      }
 
-      //
-      // Show context menu on row right-click.
-      // -------------------------------------
-      // Attach a row behavior to present the context menu. Typically this
-      // event is generated by a right-click, but it also may be presented
-      // by a special context menu keyboard key.
-      const $contextMenu = $(".foldershare-folder-table-contextmenu", env.gather.$subform);
-      $("tr", $tbody).off("contextmenu.foldershare");
-      $("tr", $tbody).on("contextmenu.foldershare", function(ev) {
-        // If the context menu is visible, hide it.
-        if ($contextMenu.menu().is(":visible")) {
-          $contextMenu.menu().hide();
-          return false;
-        }
+      touch.dataTransfer = thisScript.tableTouchCreateDataTransfer();
+      const ev = thisScript.tableTouchCreateDragEvent(
+        touch.tr,
+        touch.dataTransfer);
+      thisScript.tableRowDragStart.call(touch.tr, ev, env);
 
-        // If the current row is NOT selected, select it (clearing any
-        // prior selection). Otherwise get the current selection.
-        const $thisTr = $(this);
-        if ($thisTr.hasClass("selected") === false) {
-          // Not selected. Select it now.
-          thisScript.tableSelectRow($thisTr, env);
-        }
+      if (ev.defaultPrevented === true ||
+        env.gather.$table.attr(thisScript.tableDragOperand) !== "rows") {
+        touch.mode = "ignored";
+        return;
+      }
 
-        // Update the menu's text based on the selection.
-        thisScript.menuUpdate(env, $contextMenu);
+      touch.mode = "drag";
 
-        // Position the menu and show it.
-        $contextMenu.show().position({
-          my: "left top",
-          at: "left bottom",
-          of: ev,
-          collision: "fit"
+      if (touch.dataTransfer.$image !== null) {
+        touch.$ghost = touch.dataTransfer.$image
+          .addClass("foldershare-touch-ghost");
+        $("body").append(touch.$ghost);
+        touch.$ghost.css({
+          left: touch.startX,
+          top: touch.startY - touch.dataTransfer.imageY
         });
+      }
+    },
 
-        // Register a handler to catch an off-menu click to hide it.
-        $(document).on("click.foldershare", () => {
-          $contextMenu.menu().hide();
+    /**
+     * Continues a touch drag, highlighting the drop target under the touch.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {Touch} point
+     *   The touch point.
+     */
+    tableTouchDragMove(env, point) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const touch = env.touch;
+
+      if (touch.$ghost !== null) {
+        touch.$ghost.css({
+          left: point.pageX,
+          top: point.pageY - touch.dataTransfer.imageY
         });
+      }
 
-        return false;
-      });
+      // The ghost ignores pointer events, so the element found is the one
+      // beneath it.
+      const target = document.elementFromPoint(point.clientX, point.clientY);
+      const ev = thisScript.tableTouchCreateDragEvent(
+        target,
+        touch.dataTransfer);
+      const $tr = $(target).closest("tr");
 
-      //
-      // Open new page on row double-click.
-      // ----------------------------------
-      // For each body row, add a double-click behavior that opens the
-      // view page of the row's entity.
-      $("tr", $tbody).off("dblclick.foldershare");
-      $("tr", $tbody).on("dblclick.foldershare", function() {
-        $(`td.${env.gather.nameColumn} a`, $(this))[0].click();
-      });
+      if ($tr.length !== 0 && $tr.parent().is(env.gather.$tbody) === true) {
+        thisScript.tableRowDragOver.call($tr[0], ev, env);
+      } else {
+        // Off the table body there is no drop target. The header handler
+        // clears the drop target the same way for row drags.
+        thisScript.tableHeaderDragOver(ev, env);
+      }
+    },
 
-      //
-      // Select on row click or touch.
-      // -----------------------------
-      // For each body row, add behaviors that respond to mouse clicks and
-      // touch screen touches.
-      $("tr", $tbody).once("row-click").on("click.foldershare", function(e) {
-        thisScript.tableClickSelect.call(this, e, env);
-      });
+    /**
+     * Ends a touch drag, dropping onto the drop target under the touch.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {Touch} point
+     *   The touch point.
+     */
+    tableTouchDragEnd(env, point) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const touch = env.touch;
 
-      $("tr", $tbody).once("row-touch").on("touchend.foldershare", function(e) {
-        thisScript.tableTouchSelect.call(this, e, env);
-      });
+      thisScript.tableTouchDragMove(env, point);
 
-      //
-      // Prepare for drag behaviors.
-      // ---------------------------
-      // If copy, move, and/or file upload commands are enabled for this page,
-      // then prepare for drag operations.
-      if (env.dndCopyEnabled === true || env.dndMoveEnabled === true) {
-        // Mark all rows as draggable for copy and/or move.
-        $("tr", $tbody).attr("draggable", "true");
+      const target = document.elementFromPoint(point.clientX, point.clientY);
+      const $tr = $(target).closest("tr");
+      if ($tr.length !== 0 && $tr.parent().is(env.gather.$tbody) === true) {
+        thisScript.tableRowOrHeaderDrop.call(
+          $tr[0],
+          thisScript.tableTouchCreateDragEvent(target, touch.dataTransfer),
+          env);
       }
+    },
 
-      if (env.dndCopyEnabled === true ||
-        env.dndMoveEnabled === true ||
-        env.dndUploadEnabled === true) {
-        // Initialize drag-related attributes.
-        $table.attr(thisScript.tableDragOperand, "none");
-        $table.attr(thisScript.tableDragEffectAllowed, "none");
-        $table.attr(thisScript.tableDragRowIndex, "NaN");
+    /*--------------------------------------------------------------------
+     *
+     * Table behaviors - marquee.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns true if a row event is over blank space, not row content.
+     *
+     * Like getTableDropTarget(), this relies upon text having been wrapped
+     * in <SPAN>s, and assumes that inline elements tightly surround their
+     * text or other visual content. Unlike that function, the row's kind
+     * does not matter.
+     *
+     * @param {object} ev
+     *   The row event to check.
+     *
+     * @return {boolean}
+     *   Returns true if the event's target is not an inline element.
+     */
+    tableIsBlankSpace(ev) {
+      switch (window.getComputedStyle(ev.target, "").display) {
+        case "inline":
+        case "inline-block":
+        case "inline-flex":
+        case "inline-table":
+        case "marker":
+          return false;
+
+        default:
+          return true;
       }
+    },
 
-      //
-      // Start/end row copy/move on row drags.
-      // -------------------------------------
-      // If copy or move are supported, respond to drag events for row drags.
-      if (env.dndCopyEnabled === true || env.dndMoveEnabled === true) {
-        $("tr", $tbody).off("dragstart.foldershare");
-        $("tr", $tbody).on("dragstart.foldershare", function(ev) {
-          thisScript.tableRowDragStart.call(this, ev, env);
-        });
+    /**
+     * Handles a mouse down that may start a marquee selection.
+     *
+     * A marquee starts on a mouse down in blank space on a row, as found
+     * by tableIsBlankSpace(). A mouse down on a row's text, icon, or other
+     * content is left alone so that it may start a row drag, for files as
+     * well as folders. Blocking the browser's default action here keeps a
+     * blank space mouse down from starting a row drag too.
+     *
+     * The marquee is not shown until the mouse has moved a few pixels, so
+     * that a click in blank space still selects the row.
+     *
+     * @param {object} ev
+     *   The row event to handle.
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {boolean}
+     *   Returns false if a marquee may start, and true otherwise.
+     */
+    tableMarqueeStart(ev, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-        $("tr", $tbody).off("dragend.foldershare");
-        $("tr", $tbody).on("dragend.foldershare", function(ev) {
-          thisScript.tableRowDragEnd.call(this, ev, env);
-        });
+      if (ev.button !== 0 || ev.shiftKey === true || ev.altKey === true) {
+        return true;
       }
 
-      //
-      // Monitor rows during row and file drags.
-      // ---------------------------------------
-      // If copy, move, or upload are supported, respond to drag events for
-      // row and file drags. A drop may occur on a row for row and file drags.
-      //
-      // Also respond to file drags over the table header. A drop on the
-      // header drops files into the table"s entity.
-      if (env.dndCopyEnabled === true || env.dndMoveEnabled === true ||
-        env.dndUploadEnabled === true) {
-        // Body rows.
-        $("tr", $tbody).off("dragover.foldershare");
-        $("tr", $tbody).on("dragover.foldershare", function(ev) {
-          thisScript.tableRowDragOver.call(this, ev, env);
-        });
+      if (thisScript.tableIsBlankSpace(ev) === false) {
+        return true;
+      }
+
+      const isMac = navigator.appVersion.indexOf("Mac") !== -1;
+      const addModifier = (isMac === true && ev.metaKey === true) ||
+        (isMac === false && ev.ctrlKey === true);
+
+      env.marquee = {
+        startX: ev.pageX,
+        startY: ev.pageY,
+        active: false,
+        // With CTRL (or CMD on a Mac), the marquee adds to the selection.
+        add: addModifier,
+        $base: (addModifier === true) ?
+          $("tr.selected", env.gather.$tbody) : $(),
+        $box: null
+      };
+
+      $(document).off("mousemove.foldershare-marquee");
+      $(document).on("mousemove.foldershare-marquee", e =>
+        thisScript.tableMarqueeMove(e, env));
+      $(document).off("mouseup.foldershare-marquee");
+      $(document).on("mouseup.foldershare-marquee", e =>
+        thisScript.tableMarqueeEnd(e, env));
+
+      // Blocking the default also blocks focus, so focus the table here.
+      env.gather.$table.focus();
+      ev.preventDefault();
+      return false;
+    },
+
+    /**
+     * Handles a mouse move during a marquee selection.
+     *
+     * Every selectable row that the marquee intersects is selected, along
+     * with any rows that were selected when a CTRL-marquee started. All
+     * other rows are unselected.
+     *
+     * @param {object} ev
+     *   The mouse event to handle.
+     * @param {object} env
+     *   The environment object.
+     */
+    tableMarqueeMove(ev, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const marquee = env.marquee;
+      if (typeof marquee === "undefined" || marquee === null) {
+        return;
+      }
+
+      const left = Math.min(marquee.startX, ev.pageX);
+      const top = Math.min(marquee.startY, ev.pageY);
+      const width = Math.abs(ev.pageX - marquee.startX);
+      const height = Math.abs(ev.pageY - marquee.startY);
 
-        $("tr", $tbody).off("dragenter.foldershare");
-        $("tr", $tbody).on("dragenter.foldershare", ev => {
-          ev.preventDefault();
-        });
+      if (marquee.active === false) {
+        if (width < thisScript.marqueeThreshold &&
+          height < thisScript.marqueeThreshold) {
+          return;
+        }
 
-        $("tr", $tbody).off("dragleave.foldershare");
-        $("tr", $tbody).on("dragleave.foldershare", function(ev) {
-          thisScript.tableRowOrHeaderDragLeave.call(this, ev, env);
-        });
+        marquee.active = true;
+        marquee.$box = $('<div class="foldershare-marquee"></div>')
+          .appendTo(document.body);
+      }
 
-        $("tr", $tbody).off("drop.foldershare");
-        $("tr", $tbody).on("drop.foldershare", function(ev) {
-          thisScript.tableRowOrHeaderDrop.call(this, ev, env);
-        });
+      marquee.$box.css({
+        left: `${left}px`,
+        top: `${top}px`,
+        width: `${width}px`,
+        height: `${height}px`
+      });
 
-        // Header.
-        $("tr", $thead).off("dragover.foldershare");
-        $("tr", $thead).on("dragover.foldershare", function(ev) {
-          thisScript.tableHeaderDragOver.call(this, ev, env);
-        });
+      // Row rectangles are relative to the window, while the marquee is
+      // relative to the page.
+      const $selectable = thisScript.tableGetSelectableRows(env);
+      $("tr", env.gather.$tbody).each((index, value) => {
+        let selected = marquee.$base.is(value);
+        if (selected === false && $selectable.is(value) === true) {
+          const rect = value.getBoundingClientRect();
+          const rowTop = rect.top + window.pageYOffset;
+          const rowLeft = rect.left + window.pageXOffset;
+          selected = rowTop < top + height &&
+            rowTop + rect.height > top &&
+            rowLeft < left + width &&
+            rowLeft + rect.width > left;
+        }
 
-        $("tr", $thead).off("dragenter.foldershare");
-        $("tr", $thead).on("dragenter.foldershare", ev => {
-          ev.preventDefault();
-        });
+        $(value).toggleClass("selected", selected);
+      });
 
-        $("tr", $thead).off("dragleave.foldershare");
-        $("tr", $thead).on("dragleave.foldershare", function(ev) {
-          thisScript.tableRowOrHeaderDragLeave.call(this, ev, env);
-        });
+      window.getSelection().removeAllRanges();
+    },
 
-        $("tr", $thead).off("drop.foldershare");
-        $("tr", $thead).on("drop.foldershare", function(ev) {
-          thisScript.tableRowOrHeaderDrop.call(this, ev, env);
-        });
+    /**
+     * Handles a mouse up that ends a marquee selection.
+     *
+     * If the marquee was shown, the click that follows the mouse up is
+     * ignored so that it does not replace the marquee's selection.
+     *
+     * @param {object} ev
+     *   The mouse event to handle.
+     * @param {object} env
+     *   The environment object.
+     */
+    tableMarqueeEnd(ev, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const marquee = env.marquee;
+
+      $(document).off("mousemove.foldershare-marquee");
+      $(document).off("mouseup.foldershare-marquee");
+      env.marquee = null;
+
+      if (typeof marquee === "undefined" ||
+        marquee === null ||
+        marquee.active === false) {
+        return;
+      }
+
+      marquee.$box.remove();
+
+      // Without CTRL (or CMD on a Mac), the marquee replaces the selection,
+      // including on other pages.
+      if (marquee.add === false) {
+        thisScript.selectionClear(env);
       }
+
+      env.marqueeClickIgnore = true;
+      setTimeout(() => {
+        env.marqueeClickIgnore = false;
+      }, 0);
+
+      thisScript.tableSetSelectionRange(env);
+      thisScript.tableSelectionChanged(env);
     },
 
     /*--------------------------------------------------------------------
      *
-     * Table behaviors - select.
+     * Table behaviors - keyboard.
      *
      *--------------------------------------------------------------------*/
 
     /**
-     * Handles a touch selection event on a table row.
+     * Moves the keyboard row cursor to a table row.
      *
-     * Touch selection toggles the selected item on/off. It ignores keyboard
-     * modifiers and therefore does not support range selection.
+     * The previous cursor row (if any) is unmarked, and the new row is
+     * marked with the "foldershare-cursor" class and scrolled into view.
+     * The row index is saved as a table attribute.
      *
-     * @param {object} ev
-     *   The row event to handle.
      * @param {object} env
      *   The environment object.
+     * @param {int} rowIndex
+     *   The 1-based row index of the new cursor row, or NaN to remove
+     *   the cursor.
      */
-    tableTouchSelect(ev, env) {
-      const $tr = $(this);
+    tableSetCursor(env, rowIndex) {
       const $table = env.gather.$table;
       const $tbody = env.gather.$tbody;
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-      // If the touched row does not have a linked name column,
-      // then ignore. This can happen in two ways:
-      // - The table is empty and the only thing in it is a generic empty
-      //   message with no name column.
-      // - The table row has a name column but no link because the row is
-      //   disabled or the field formatter is misconfigured. Since the link
-      //   contains the data attributes we need in order to track and use
-      //   the selection, if there is no link the row is unusable and
-      //   therefore unselectable.
-      const $tdLinkName = $(`td.${env.gather.nameColumn} a`, $tr);
-      if ($tdLinkName.length === 0) {
-        // Fail. No linked name column. Ignore the row.
-        return;
-      }
+      $("tr.foldershare-cursor", $tbody).removeClass("foldershare-cursor");
 
-      // If there is a linked name, but it is marked as disabled, then
-      // ignore the row.
-      const disabled = $tdLinkName.attr("data-foldershare-disabled");
-      if (typeof disabled !== "undefined" && disabled === true) {
-        // Fail. Item is disabled. Ignore the row.
+      const $rows = $("tr", $tbody);
+      if (Number.isNaN(rowIndex) === true ||
+        rowIndex < 1 ||
+        rowIndex > $rows.length) {
+        $table.attr(thisScript.tableCursorRowIndex, "NaN");
         return;
       }
 
-      // For out of range row indexes (<1), clear the selection.
-      // Otherwise toggle the row selection.
-      if (this.rowIndex <= 0) {
-        // Header/footer click. Clear the selection.
-        $("tr", $tbody).each((index, value) => {
-          $(value).toggleClass("selected", false);
-        });
-        $table.attr("selectionFirstRowIndex", "");
-        $table.attr("selectionLastRowIndex", "");
-      } else {
-        const newState = !$tr.hasClass("selected");
-        $tr.toggleClass("selected", newState);
-        if (newState === false) {
-          $table.attr("selectionFirstRowIndex", "");
-          $table.attr("selectionLastRowIndex", "");
-        } else {
-          $table.attr("selectionFirstRowIndex", this.rowIndex);
-          $table.attr("selectionLastRowIndex", this.rowIndex);
-        }
-      }
+      // The row index is 1-based, while jQuery is 0-based.
+      const $tr = $rows.eq(rowIndex - 1);
+      $tr.addClass("foldershare-cursor");
+      $table.attr(thisScript.tableCursorRowIndex, rowIndex);
 
-      // Some browsers will also send mouse events after a touch event.
-      // Such a "ghost click" is not useful here, so disable it.
-      ev.preventDefault();
+      if (typeof $tr[0].scrollIntoView === "function") {
+        $tr[0].scrollIntoView({ block: "nearest" });
+      }
     },
 
     /**
-     * Handles a mouse click selection event on a table row.
+     * Handles a key press on the table.
      *
-     * Mouse selection supports range selection using keyboard modifiers
-     * like shift-click, control-click (on Windows or Linux), or
-     * command-click (on a Mac):
+     * Keyboard navigation moves a row cursor and selects rows using the
+     * same selection semantics as mouse clicks:
      *
-     * - For all platforms, if there are no keyboard modifiers, then a mouse
-     *   click clears any previous selection and starts a new one.
+     * - Up/Down, Home/End, and PageUp/PageDown move the cursor and select
+     *   the cursor row, clearing any previous selection, like a click.
      *
-     * - For all platforms, if the shift key is down during a click, a selection
-     *   is extended from the most recent selection to the clicked on row.
+     * - With the shift key down, the same keys extend the selection from
+     *   the most recent selection to the cursor row, like a shift-click.
      *
-     * - For Windows and Linux platforms, if the control key is down during a
-     *   click, a selected row is toggled.
+     * - With the control key down (or the command key on a Mac), the same
+     *   keys move the cursor without changing the selection.
      *
-     * - For Mac platforms, if the command (meta) key is down during a
-     *   click, a selected row is toggled.
+     * - Space toggles the selection state of the cursor row, like a
+     *   control-click (or command-click on a Mac).
+     *
+     * - Enter opens the cursor row's item, like a double-click.
+     *
+     * - Other printable characters select the first row whose name starts
+     *   with the characters typed so far (type-ahead find).
      *
      * @param {object} ev
-     *   The row event to handle.
+     *   The key event to handle.
      * @param {object} env
      *   The environment object.
+     *
+     * @return {boolean}
+     *   Returns false if the key was handled, and true otherwise.
      */
-    tableClickSelect(ev, env) {
-      const $tr = $(this);
+    tableKeyDown(ev, env) {
       const $table = env.gather.$table;
       const $tbody = env.gather.$tbody;
-      let first = $table.attr("selectionFirstRowIndex");
-      let last = $table.attr("selectionLastRowIndex");
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-      // If the clicked-on row does not have a linked name column,
-      // then ignore. This can happen in two ways:
-      // - The table is empty and the only thing in it is a generic empty
-      //   message with no name column.
-      // - The table row has a name column but no link because the row is
-      //   disabled or the field formatter is misconfigured. Since the link
-      //   contains the data attributes we need in order to track and use
-      //   the selection, if there is no link the row is unusable and
-      //   therefore unselectable.
-      const $tdLinkName = $(`td.${env.gather.nameColumn} a`, $tr);
-      if ($tdLinkName.length === 0) {
-        // Fail. No linked name column. Ignore the row.
-        return;
+      // Ignore keys typed into form elements or sent to links within the
+      // table, and keys with the alt modifier.
+      if ($(ev.target).is("input, textarea, select, button, a") === true ||
+        ev.altKey === true) {
+        return true;
       }
 
-      // If there is a linked name, but it is marked as disabled, then
-      // ignore the row.
-      const disabled = $tdLinkName.attr("data-foldershare-disabled");
-      if (typeof disabled !== "undefined" && disabled === true) {
-        // Fail. Item is disabled. Ignore the row.
-        return;
+      // In a virtual table, Home and End first scroll to the start or end
+      // of the listing so that its first or last row is rendered.
+      const virtualScript = Drupal.foldershare.UIVirtualTable;
+      if (virtualScript.isActive(env) === true &&
+        (ev.key === "Home" || ev.key === "End")) {
+        virtualScript.scrollToIndex(
+          env,
+          (ev.key === "Home") ? 0 : env.virtual.total - 1);
+      }
+
+      // Rows hidden by the quick filter, and a virtual table's spacer rows,
+      // are skipped. The cursor below is a 1-based position among the
+      // shown rows, and not a row index.
+      const $rows = $("tr", $tbody)
+        .not(".foldershare-filtered, .foldershare-virtual-spacer");
+      const nRows = $rows.length;
+      if (nRows === 0) {
+        return true;
+      }
+
+      //
+      // Type-ahead find
+      // ---------------
+      // A printable character adds to a type-ahead prefix and selects the
+      // first row with a matching name. SPACE is part of the prefix only
+      // while a prefix is being typed, and "?" only after a prefix has
+      // started so that it still shows the keyboard shortcuts.
+      const utility = Drupal.foldershare.utility;
+      if (ev.key.length === 1 &&
+        ev.ctrlKey === false &&
+        ev.metaKey === false &&
+        ((ev.key !== " " && ev.key !== "?") ||
+          utility.typeAheadIsActive(env.typeAhead) === true)) {
+        const tr = utility.typeAheadFind(
+          env.typeAhead,
+          ev.key,
+          $rows,
+          env.gather.nameColumn);
+        if (tr !== null) {
+          thisScript.tableSetCursor(env, tr.rowIndex);
+          thisScript.tableClickSelect.call(
+            tr,
+            {
+              ctrlKey: false,
+              metaKey: false,
+              shiftKey: false
+            },
+            env);
+        }
+
+        ev.preventDefault();
+        return false;
       }
 
       const isMac = navigator.appVersion.indexOf("Mac") !== -1;
+      const toggleModifier = (isMac === true && ev.metaKey === true) ||
+        (isMac === false && ev.ctrlKey === true);
 
-      // Check for keyboard modifiers and mimic Windows/Linux/Mac behavior.
-      // If more than one modifier is held down, the control/command
-      // modifier has a higher priority than the shift modifier.
-      if ((isMac === true && ev.metaKey === true) ||
-        (isMac === false && ev.ctrlKey === true)) {
-        // Control/Command-click
-        // ---------------------
-        // On a Mac, a command-click toggles the selection state of the
-        // clicked-on row.
-        //
-        // On all other platforms (e.g. Windows and Linux), a control-click
-        // toggles the selection state of the clicked-on row.
-        const newState = !$tr.hasClass("selected");
-        $tr.toggleClass("selected", newState);
+      const cursorRowIndex = Number($table.attr(thisScript.tableCursorRowIndex));
+      let cursor = 0;
+      if (Number.isNaN(cursorRowIndex) === false) {
+        cursor = $rows.index($("tr", $tbody).eq(cursorRowIndex - 1)) + 1;
+      }
 
-        if (newState === true) {
-          // A clicked-on row always resets the range to that row.
-          $table.attr("selectionFirstRowIndex", this.rowIndex);
-          $table.attr("selectionLastRowIndex", this.rowIndex);
-        } else {
-          first = Number(first);
-          last = Number(last);
+      // In the grid view, up and down move by a line of tiles, and left
+      // and right move by one tile.
+      const columns = thisScript.tableGetGridColumns(env);
+
+      // The number of rows to jump for PageUp/PageDown is the number of
+      // rows that fit in the window, less one for context.
+      const rowHeight = Math.max($rows[0].offsetHeight, 1);
+      const pageRows = Math.max(
+        Math.floor(window.innerHeight / rowHeight) - 1, 1) * columns;
+
+      let newCursor = cursor;
+      switch (ev.key) {
+        case "ArrowUp":
+        case "Up":
+          newCursor = cursor - columns;
+          break;
 
-          if (this.rowIndex === first && this.rowIndex === last) {
-            // The unselected row was the only row in the selection.
-            // Empty the range.
-            $table.attr("selectionFirstRowIndex", "");
-            $table.attr("selectionLastRowIndex", "");
-          } else if (this.rowIndex === first) {
-            // The unselected row was the start of the range. Shorten the
-            // range to start on the next row.
-            $table.attr("selectionFirstRowIndex", first + 1);
-          } else if (this.rowIndex === last) {
-            // The unselected row was the end of the range. Shorten the
-            // range to end on the previous row.
-            $table.attr("selectionLastRowIndex", last - 1);
-          } else {
-            // The unselected row was within the range. Shorten the range
-            // to include the lower half of the range.
-            $table.attr("selectionFirstRowIndex", this.rowIndex + 1);
+        case "ArrowDown":
+        case "Down":
+          newCursor = cursor + columns;
+          break;
+
+        case "ArrowLeft":
+        case "Left":
+          if (env.gather.$table.hasClass("foldershare-grid-view") === false) {
+            return true;
           }
-        }
-      } else if (ev.shiftKey === true) {
-        // Shift-click
-        // -----------
-        // For all platforms, a shift-click adjusts a current selection.
-        //
-        // The following combinations could occur:
-        //
-        // - No current selection. Select the clicked-on row and save the
-        //   range as (first = last = clicked-on row).
-        //
-        // - Current selection and clicked-on row is above it. Flip the
-        //   range by clearing the entire selection first, then selecting
-        //   rows from the clicked-on row to through the first item of the
-        //   old selection. Save the range as (first = clicked-on row) and
-        //   (last = old first).
-        //
-        // - Current selection and clicked-on row is below it. Extend the
-        //   selection by selecting rows from (last+1) through the
-        //   clicked-on row. Save the range as (first = old first) and
-        //   (last = clicked-on row).
-        //
-        // - Current selection and clicked-on row within the range.
-        //   Shorten the range by clearing everything from the row after
-        //   the clicked-on row through the last row of the range. Save
-        //   the range as (first = old first) and (last = clicked-on row).
-        //
-        // Note that row indexes are 1-based, but loop/array/element
-        // indexes are 0-based.
-        if (typeof last === "undefined" || last === "") {
-          // No prior selection. Select from 1st row thru this row.
-          $("tr", $tbody).slice(0, this.rowIndex).each((index, value) => {
-            // Only select rows that have a linked name and are not disabled.
-            const $n = $(`td.${env.gather.nameColumn} a`, $(value));
-            if ($n.length !== 0) {
-              const d = $n.attr("data-foldershare-disabled");
-              if (typeof d === "undefined" || d === false) {
-                $(value).toggleClass("selected", true);
-              }
-            }
-          });
+          newCursor = cursor - 1;
+          break;
 
-          $table.attr("selectionFirstRowIndex", 1);
-          $table.attr("selectionLastRowIndex", this.rowIndex);
-        } else {
-          first = Number(first);
-          last = Number(last);
+        case "ArrowRight":
+        case "Right":
+          if (env.gather.$table.hasClass("foldershare-grid-view") === false) {
+            return true;
+          }
+          newCursor = cursor + 1;
+          break;
 
-          if (this.rowIndex > last) {
-            // Extend selection downwards thru the clicked-on row.
-            $("tr", $tbody).slice(last, this.rowIndex).each((index, value) => {
-              // Only select rows that have a linked name and are not disabled.
-              const $n = $(`td.${env.gather.nameColumn} a`, $(value));
-              if ($n.length !== 0) {
-                const d = $n.attr("data-foldershare-disabled");
-                if (typeof d === "undefined" || d === false) {
-                  $(value).toggleClass("selected", true);
-                }
-              }
-            });
+        case "Home":
+          newCursor = 1;
+          break;
 
-            $table.attr("selectionFirstRowIndex", first);
-            $table.attr("selectionLastRowIndex", this.rowIndex);
-          } else if (this.rowIndex < first) {
-            // Flip selection upwards thru the clicked-on row. Clear the
-            // current selection, except the first row, then add the new rows.
-            $("tr", $tbody).slice(first, last + 1).each((index, value) => {
-              $(value).toggleClass("selected", false);
-            });
-            $("tr", $tbody).slice(this.rowIndex - 1, first).each((index, value) => {
-              // Only select rows that have a linked name and are not disabled.
-              const $n = $(`td.${env.gather.nameColumn} a`, $(value));
-              if ($n.length !== 0) {
-                const d = $n.attr("data-foldershare-disabled");
-                if (typeof d === "undefined" || d === false) {
-                  $(value).toggleClass("selected", true);
-                }
-              }
-            });
+        case "End":
+          newCursor = nRows;
+          break;
+
+        case "PageUp":
+          newCursor = cursor - pageRows;
+          break;
 
-            $table.attr("selectionFirstRowIndex", this.rowIndex);
-            $table.attr("selectionLastRowIndex", first);
-          } else {
-            // Shorten selection to end on the clicked-on row. Clear all rows
-            // after the clicked-on row.
-            $("tr", $tbody).slice(this.rowIndex, last).each((index, value) => {
-              $(value).toggleClass("selected", false);
-            });
+        case "PageDown":
+          newCursor = cursor + pageRows;
+          break;
 
-            $table.attr("selectionFirstRowIndex", first);
-            $table.attr("selectionLastRowIndex", this.rowIndex);
+        case " ":
+        case "Spacebar":
+          // Toggle the cursor row as if by a control/command-click.
+          if (cursor >= 1) {
+            thisScript.tableClickSelect.call(
+              $rows[cursor - 1],
+              {
+                ctrlKey: isMac === false,
+                metaKey: isMac === true,
+                shiftKey: false
+              },
+              env);
           }
-        }
-      } else {
-        // Click
-        // -----
-        // When there are no keyboard modifiers, clicking on a row clears
-        // the previous selection (if any) and selects the row.
-        $("tr", $tbody).each((index, value) => {
-          $(value).toggleClass("selected", false);
-        });
 
-        // For out of range row (<1), clear selection.
-        // Otherwise select the clicked-on row and save its index.
-        if (this.rowIndex <= 0) {
-          $table.attr("selectionFirstRowIndex", "");
-          $table.attr("selectionLastRowIndex", "");
-        } else {
-          $tr.toggleClass("selected", true);
-          $table.attr("selectionFirstRowIndex", this.rowIndex);
-          $table.attr("selectionLastRowIndex", this.rowIndex);
-        }
+          ev.preventDefault();
+          return false;
+
+        case "Enter":
+          // Open the cursor row's item as if by a double-click.
+          if (cursor >= 1) {
+            const $a = $(`td.${env.gather.nameColumn} a`, $rows.eq(cursor - 1));
+            if ($a.length !== 0) {
+              $a[0].click();
+            }
+          }
+
+          ev.preventDefault();
+          return false;
+
+        default:
+          return true;
       }
 
-      // A click can sometimes cause a text selection if the mouse
-      // moved a little between mouse down and up. Such a text
-      // selection is meaningless here, so disable it.
-      window.getSelection().removeAllRanges();
+      // Clamp the cursor to the table.
+      newCursor = Math.min(Math.max(newCursor, 1), nRows);
+      const tr = $rows[newCursor - 1];
+      thisScript.tableSetCursor(env, tr.rowIndex);
+      if (ev.shiftKey === true) {
+        // Extend the selection as if by a shift-click.
+        thisScript.tableClickSelect.call(
+          tr,
+          {
+            ctrlKey: false,
+            metaKey: false,
+            shiftKey: true
+          },
+          env);
+      } else if (toggleModifier === false) {
+        // Select the row as if by a click.
+        thisScript.tableClickSelect.call(
+          tr,
+          {
+            ctrlKey: false,
+            metaKey: false,
+            shiftKey: false
+          },
+          env);
+      }
+
+      // Prevent the browser from scrolling the page.
+      ev.preventDefault();
+      return false;
     },
 
     /*--------------------------------------------------------------------
@@ -2593,6 +7261,14 @@
             $dragTbody.append($("<tr>").append($newTd));
           }
         });
+
+        // Add selected items on other pages. They have no rows to add to
+        // the ghost table.
+        thisScript.tableGetSelectionIds(env).forEach(id => {
+          if (draggedList.includes(id) === false) {
+            draggedList.push(id);
+          }
+        });
       } else {
         // The user has started a drag atop an unselected row.
         //
@@ -2732,6 +7408,9 @@
       $thisTable.attr(thisScript.tableDropTarget, "none");
       $thisTable.attr(thisScript.tableDragOperand, "none");
       $thisTable.attr(thisScript.tableDragEffectAllowed, "none");
+
+      // Close the ancestor menu if the drag opened it.
+      thisScript.ancestorMenuDragEnd(env);
       return false;
     },
 
@@ -3106,7 +7785,8 @@
      * dragged entities into a subfolder.
      *
      * For file drags, the drop triggers an upload of the dragged files
-     * into the current table (if allowed) or a subfolder.
+     * into the current table (if allowed) or a subfolder. Dragged folders
+     * are uploaded by recreating their folder trees.
      *
      * @param {object} ev
      *   The row event to handle.
@@ -3131,33 +7811,413 @@
       const oldRowIndex = Number($thisTable.attr(thisScript.tableDragRowIndex));
       const oldDropTarget = $thisTable.attr(thisScript.tableDropTarget);
 
-      const newDropTarget = $thisTable.attr(thisScript.tableDropTarget);
-      let dropEntityId = "";
+      const newDropTarget = $thisTable.attr(thisScript.tableDropTarget);
+      let dropEntityId = "";
+
+      switch (newDropTarget) {
+        case "table":
+          // Table target. No setup required.
+          dropEntityId = env.settings.foldershare.page.id;
+          break;
+
+        case "row":
+          // Row target. Get the entity ID for the drop row.
+          // Since we already got a new drop target of 'row', we know
+          // that the row is valid, not disabled, and a folder.
+          dropEntityId = $(`td.${env.gather.nameColumn} a`, $thisTr)
+            .attr("data-foldershare-id");
+          break;
+
+        default:
+        case "none":
+          // No drop target. Ignore the drop.
+          ev.preventDefault();
+          ev.stopPropagation();
+          return false;
+      }
+
+      // Unhighlight, if any.
+      switch (oldDropTarget) {
+        case "table":
+          $thisTable.removeClass("foldershare-draghover");
+          break;
+
+        case "row":
+          if (Number.isNaN(oldRowIndex) === false) {
+            // The event's row index is 1-based, while jQuery is 0-based.
+            $("tbody tr", $thisTable).eq(oldRowIndex - 1)
+              .removeClass("foldershare-draghover");
+          }
+          break;
+
+        default:
+        case "none":
+          break;
+      }
+
+      //
+      // Execute the drop.
+      // -----------------
+      // Rows are copied or moved into the drop row's folder. Files are
+      // uploaded into the drop row's folder or the table's folder. Folders
+      // are uploaded as trees of new folders and files.
+      let command = null;
+      let entityIdList = null;
+      let entries = null;
+      switch ($thisTable.attr(thisScript.tableDragOperand)) {
+        default:
+        case "none":
+          // No drag in progress. This should not be possible.
+          ev.preventDefault();
+          ev.stopPropagation();
+          return false;
+
+        case "rows":
+          // Drop entity rows.
+          //
+          // The drop target must be a row. If not, ignore the drop.
+          if (newDropTarget !== "row") {
+            break;
+          }
+
+          // Get the drag's list of entity IDs and make sure the drop row's
+          // entity ID is not in the list.
+          entityIdList = JSON.parse(ev.originalEvent.dataTransfer.getData(
+              "foldershare/local-entity-list"));
+          if ($.inArray(dropEntityId, entityIdList) !== -1) {
+            // User error. Cannot drop onto self.
+            thisScript.ariaAnnounce(env, Drupal.foldershare.utility.getText(
+              env.settings.foldershare.terminology,
+              "drop_self_announce",
+              "Items cannot be dropped onto themselves"));
+            break;
+          }
+
+          // Determine if the operation is a copy or move.
+          command = thisScript.getRowDropCommand(ev);
+          if (command === null) {
+            // Cannot figure out effect.
+            break;
+          }
+
+          // Announce the drop, then issue the copy or move command.
+          thisScript.ariaAnnounce(env, Drupal.foldershare.utility.getText(
+            env.settings.foldershare.terminology,
+            (command === thisScript.copyCommand) ?
+              "drop_copy_announce" : "drop_move_announce",
+            (command === thisScript.copyCommand) ?
+              "Copying @count into @folder" : "Moving @count into @folder",
+            {
+              "@count": thisScript.ariaGetCountText(
+                env,
+                thisScript.tableGetSelectionIdsByKind(env)),
+              "@folder": $(`td.${env.gather.nameColumn} a`, $thisTr).text()
+            }));
+
+          thisScript.serverCommandCopyMove(
+            env,
+            command,
+            null,
+            dropEntityId,
+            entityIdList,
+            thisScript.tableGetNames(env, entityIdList));
+          break;
+
+        case "files":
+          // Drop files.
+          //
+          // The drop target can be a row or the table.
+          //
+          // Clean up at the end of a file drag.
+          $thisTable.attr(thisScript.tableDragOperand, "none");
+          $thisTable.attr(thisScript.tableDragEffectAllowed, "none");
+          $thisTable.attr(thisScript.tableDragRowIndex, "NaN");
+          $thisTable.attr(thisScript.tableDropTarget, "none");
+
+          // If any dropped item is a folder, upload the folder tree.
+          // The entries must be gotten now, before the drop event ends.
+          entries = Drupal.foldershare.UIUpload.getDropEntries(
+            ev.originalEvent.dataTransfer);
+          if (Drupal.foldershare.UIUpload.hasDirectoryEntries(entries) === true) {
+            Drupal.foldershare.UIUpload.readEntries(entries).then(
+              tree => {
+                const nFiles = Drupal.foldershare.UIUpload.getTreeTotals(tree).files;
+                const fileKind = (nFiles === 1) ?
+                  Drupal.foldershare.utility.getKindSingular(
+                    env.settings.foldershare.terminology,
+                    "file") :
+                  Drupal.foldershare.utility.getKindPlural(
+                    env.settings.foldershare.terminology,
+                    "file");
+                thisScript.ariaAnnounce(env, Drupal.foldershare.utility.getText(
+                  env.settings.foldershare.terminology,
+                  "drop_upload_announce",
+                  "Uploading @count",
+                  {
+                    "@count": `${nFiles} ${fileKind}`
+                  }));
+
+                Drupal.foldershare.UIUpload.uploadTree(
+                  env,
+                  tree,
+                  Number(dropEntityId));
+              },
+              () => thisScript.showFileDropInvalid(env, entries.length, true));
+            break;
+          }
+
+          thisScript.checkFileDragValid(
+            ev,
+            env,
+            (eev, eenv, fileList) => {
+              // Announce the drop, then issue the upload command.
+              const fileKind = (fileList.length === 1) ?
+                Drupal.foldershare.utility.getKindSingular(
+                  eenv.settings.foldershare.terminology,
+                  "file") :
+                Drupal.foldershare.utility.getKindPlural(
+                  eenv.settings.foldershare.terminology,
+                  "file");
+              thisScript.ariaAnnounce(eenv, Drupal.foldershare.utility.getText(
+                eenv.settings.foldershare.terminology,
+                "drop_upload_announce",
+                "Uploading @count",
+                {
+                  "@count": `${fileList.length} ${fileKind}`
+                }));
+
+              thisScript.serverCommandSetup(
+                eenv,
+                thisScript.uploadCommand,
+                dropEntityId,
+                null,
+                null,
+                fileList);
+            },
+            (eev, eenv, fileList) => {
+              thisScript.showFileDropInvalid(
+                eenv,
+                (fileList === null) ? 0 : fileList.length,
+                false);
+            });
+          break;
+      }
+
+      ev.preventDefault();
+      ev.stopPropagation();
+      return false;
+    },
+
+    /**
+     * Returns the copy or move command for a row drop.
+     *
+     * The data transfer's "dropEffect" is handled differently by
+     * different browsers:
+     *
+     * - Microsoft Edge and Mozilla Firefox set "dropEffect" to
+     *   "copy" or "move" when earlier "dragover" behaviors have constained
+     *   the allowed effect to "copyMove".
+     *
+     * - Apple Safari sets "dropEffect" to "none" and "effectAllowed" to
+     *   "all", "copy", or "move" when we constrain the allowed effect to
+     *   "copyMove".
+     *
+     * @param {object} ev
+     *   The drop event.
+     *
+     * @return {string}
+     *   Returns the move or copy command ID, or null if the effect cannot
+     *   be determined.
+     */
+    getRowDropCommand(ev) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      let effect = ev.originalEvent.dataTransfer.dropEffect;
+      if (effect === "none") {
+        switch (ev.originalEvent.dataTransfer.effectAllowed) {
+          default:
+          case "copyMove":
+          case "linkMove":
+          case "move":
+          case "all":
+            effect = "move";
+            break;
+
+          case "copyLink":
+          case "copy":
+            effect = "copy";
+            break;
+        }
+      }
+
+      switch (effect) {
+        default:
+        case "move":
+          return thisScript.moveCommand;
+
+        case "copy":
+          return thisScript.copyCommand;
+
+        case "none":
+          return null;
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Ancestor menu behaviors - drag.
+     *
+     * These functions make the ancestor menu's folders into drop targets
+     * for row drags, so that items can be moved or copied up the folder
+     * tree without using the folder selection dialog.
+     *
+     * During a row drag, dragging over the ancestor menu button opens the
+     * menu. Dragging over an ancestor folder in the menu highlights it,
+     * and dropping on it copies or moves the dragged rows into that folder.
+     * The current folder is not a drop target, since rows are already there.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Attaches drag behaviors to the ancestor menu, if there is one.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    ancestorMenuAttachBehaviors(env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+
+      const $form = $(".foldershare-ancestormenu", env.$topElement);
+      if ($form.length === 0) {
+        // No ancestor menu on the page.
+        return;
+      }
+
+      const $menuButton = $(".foldershare-ancestormenu-menu-button", $form);
+      const $menu = $(".foldershare-ancestormenu-menu", $form);
+      const $items = $("li", $menu);
+
+      //
+      // Open menu on drag over menu button.
+      // -----------------------------------
+      // During a row drag, show the menu when the drag reaches the button.
+      $menuButton.off("dragover.foldershare");
+      $menuButton.on("dragover.foldershare", ev => {
+        if (env.gather.$table.attr(thisScript.tableDragOperand) !== "rows") {
+          return true;
+        }
+
+        if ($menu.is(":visible") === false) {
+          $menu.show().position({
+            my: "left top",
+            at: "left bottom",
+            of: $menuButton,
+            collision: "fit"
+          });
+        }
+
+        return true;
+      });
+
+      //
+      // Drop on menu items.
+      // -------------------
+      // During a row drag, respond to drags over and drops on menu items.
+      $items.off("dragenter.foldershare");
+      $items.on("dragenter.foldershare", function(ev) {
+        // Expand submenus, such as for a list of root lists.
+        const $li = $(this);
+        if ($li.children("ul").length !== 0 && $menu.is(":visible") === true) {
+          $menu.menu("focus", null, $li);
+          $menu.menu("expand");
+        }
+
+        return true;
+      });
+
+      $items.off("dragover.foldershare");
+      $items.on("dragover.foldershare", function(ev) {
+        return thisScript.ancestorMenuDragOver.call(this, ev, env);
+      });
+
+      $items.off("dragleave.foldershare");
+      $items.on("dragleave.foldershare", function(ev) {
+        $(this).removeClass("foldershare-draghover");
+        return true;
+      });
+
+      $items.off("drop.foldershare");
+      $items.on("drop.foldershare", function(ev) {
+        return thisScript.ancestorMenuDrop.call(this, ev, env);
+      });
+    },
+
+    /**
+     * Returns the destination ID for an ancestor menu item.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {object} $li
+     *   The menu item.
+     *
+     * @return {int}
+     *   Returns the entity ID of the item's folder, the user's root list ID
+     *   for the user's root list, or null if the item is not a valid
+     *   drop target.
+     */
+    ancestorMenuGetDropId(env, $li) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const id = $li.attr("data-foldershare-id");
+
+      if (typeof id === "undefined") {
+        // Disabled items and submenu titles have no ID.
+        return null;
+      }
+
+      if (id === "personal") {
+        // Items dropped on the user's root list become root items.
+        return thisScript.userRootListId;
+      }
+
+      const entityId = Number(id);
+      if (Number.isNaN(entityId) === true ||
+        entityId < 0 ||
+        entityId === Number(env.settings.foldershare.page.id)) {
+        // Other root lists and the current folder are not drop targets.
+        return null;
+      }
 
-      switch (newDropTarget) {
-        case "table":
-          // Table target. No setup required.
-          dropEntityId = env.settings.foldershare.page.id;
-          break;
+      return entityId;
+    },
 
-        case "row":
-          // Row target. Get the entity ID for the drop row.
-          // Since we already got a new drop target of 'row', we know
-          // that the row is valid, not disabled, and a folder.
-          dropEntityId = $(`td.${env.gather.nameColumn} a`, $thisTr)
-            .attr("data-foldershare-id");
-          break;
+    /**
+     * Handles continuation of row drags atop an ancestor menu item.
+     *
+     * If the item is a valid drop target, it is highlighted and the drag
+     * effect set to allow a copy and/or move. Any highlighted row or table
+     * from earlier in the drag is unhighlighted.
+     *
+     * @param {object} ev
+     *   The event to handle.
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {boolean}
+     *   Returns false if the item is a drop target, and true otherwise.
+     */
+    ancestorMenuDragOver(ev, env) {
+      const $li = $(this);
+      const $thisTable = env.gather.$table;
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-        default:
-        case "none":
-          // No drop target. Ignore the drop.
-          ev.preventDefault();
-          ev.stopPropagation();
-          return false;
+      if ($thisTable.attr(thisScript.tableDragOperand) !== "rows" ||
+        thisScript.ancestorMenuGetDropId(env, $li) === null) {
+        return true;
       }
 
-      // Unhighlight, if any.
-      switch (oldDropTarget) {
+      // Unhighlight the table's previous drop target, if any.
+      const oldRowIndex = Number($thisTable.attr(thisScript.tableDragRowIndex));
+      switch ($thisTable.attr(thisScript.tableDropTarget)) {
         case "table":
           $thisTable.removeClass("foldershare-draghover");
           break;
@@ -3175,145 +8235,88 @@
           break;
       }
 
-      //
-      // Execute the drop.
-      // -----------------
-      // The data transfer's "dropEffect" is handled differently by
-      // different browsers:
-      //
-      // - Microsoft Edge and Mozilla Firefox set "dropEffect" to
-      //   "copy" or "move" when earlier "dragover" behaviors have constained
-      //   the allowed effect to "copyMove".
-      //
-      // - Apple Safari sets "dropEffect" to "none" and "effectAllowed" to
-      //   "all", "copy", or "move" when we constrain the allowed effect to
-      //   "copyMove".
-      let effect = null;
-      let command = null;
-      let entityIdList = null;
-      switch ($thisTable.attr(thisScript.tableDragOperand)) {
-        default:
-        case "none":
-          // No drag in progress. This should not be possible.
-          ev.preventDefault();
-          ev.stopPropagation();
-          return false;
-
-        case "rows":
-          // Drop entity rows.
-          //
-          // The drop target must be a row. If not, ignore the drop.
-          if (newDropTarget !== "row") {
-            break;
-          }
-
-          // Get the drag's list of entity IDs and make sure the drop row's
-          // entity ID is not in the list.
-          entityIdList = JSON.parse(ev.originalEvent.dataTransfer.getData(
-              "foldershare/local-entity-list"));
-          if ($.inArray(dropEntityId, entityIdList) !== -1) {
-            // User error. Cannot drop onto self.
-            break;
-          }
-
-          // Determine if the operation is a copy or move.
-          effect = ev.originalEvent.dataTransfer.dropEffect;
-          if (effect === "none") {
-            switch (ev.originalEvent.dataTransfer.effectAllowed) {
-              default:
-              case "copyMove":
-              case "linkMove":
-              case "move":
-              case "all":
-                effect = "move";
-                break;
+      $thisTable.attr(thisScript.tableDropTarget, "none");
+      $thisTable.attr(thisScript.tableDragRowIndex, "NaN");
 
-              case "copyLink":
-              case "copy":
-                effect = "copy";
-                break;
-            }
+      // Highlight the item and use the same effects as for a row target.
+      $li.addClass("foldershare-draghover");
 
-            if (effect === "none") {
-              // Still none. Cannot figure out effect.
-              break;
-            }
-          }
+      let allowed = "none";
+      let effect = "none";
+      if (env.dndCopyEnabled === true && env.dndMoveEnabled === true) {
+        allowed = "copyMove";
+        effect = "move";
+      } else if (env.dndCopyEnabled === true) {
+        allowed = "copy";
+        effect = "copy";
+      } else if (env.dndMoveEnabled === true) {
+        allowed = "move";
+        effect = "move";
+      }
 
-          switch (effect) {
-            default:
-            case "move":
-              command = thisScript.moveCommand;
-              break;
+      $thisTable.attr(thisScript.tableDragEffectAllowed, allowed);
+      ev.originalEvent.dataTransfer.effectAllowed = allowed;
+      ev.originalEvent.dataTransfer.dropEffect = effect;
 
-            case "copy":
-              command = thisScript.copyCommand;
-              break;
-          }
+      ev.preventDefault();
+      ev.stopPropagation();
+      return false;
+    },
 
-          // Issue the copy or move command.
-          thisScript.serverCommandSetup(
-            env,
-            command,
-            null,
-            dropEntityId,
-            entityIdList,
-            null
-          );
-          thisScript.serverCommandSubmit(env);
-          break;
+    /**
+     * Handles a row drop atop an ancestor menu item.
+     *
+     * The dragged rows are copied or moved into the item's folder.
+     *
+     * @param {object} ev
+     *   The event to handle.
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {boolean}
+     *   Returns false if the drop was handled, and true otherwise.
+     */
+    ancestorMenuDrop(ev, env) {
+      const $li = $(this);
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
 
-        case "files":
-          // Drop files.
-          //
-          // The drop target can be a row or the table.
-          //
-          // Clean up at the end of a file drag.
-          $thisTable.attr(thisScript.tableDragOperand, "none");
-          $thisTable.attr(thisScript.tableDragEffectAllowed, "none");
-          $thisTable.attr(thisScript.tableDragRowIndex, "NaN");
-          $thisTable.attr(thisScript.tableDropTarget, "none");
+      if (env.gather.$table.attr(thisScript.tableDragOperand) !== "rows") {
+        return true;
+      }
 
-          thisScript.checkFileDragValid(
-            ev,
-            env,
-            (eev, eenv, fileList) => {
-              // Issue the upload command.
-              thisScript.serverCommandSetup(
-                eenv,
-                thisScript.uploadCommand,
-                dropEntityId,
-                null,
-                null,
-                fileList);
-            },
-            (eev, eenv, fileList) => {
-              // Tell the user the drag was not valid.
-              let text = "<div>";
-              if (fileList.length <= 1) {
-                const translated = eenv.settings.foldershare.terminology.text
-                  .upload_dnd_invalid_singular;
-                if (typeof translated === "undefined") {
-                  text += "<p><strong>Drag-and-drop item cannot be uploaded.</strong></p>";
-                  text += "<p>You may not have access to the item, or it may be a folder. Folder upload is not supported.</p>";
-                } else {
-                  text += translated;
-                }
-              } else {
-                const translated = eenv.settings.foldershare.terminology.text
-                  .upload_dnd_invalid_plural;
-                if (typeof translated === "undefined") {
-                  text += "<p><strong>Drag-and-drop items cannot be uploaded.</strong></p>";
-                  text += "<p>You may not have access to these items, or one of them may be a folder. Folder upload is not supported.</p>";
-                } else {
-                  text += translated;
-                }
-              }
-              text += "</div>";
+      const dropEntityId = thisScript.ancestorMenuGetDropId(env, $li);
+      if (dropEntityId === null) {
+        return true;
+      }
 
-              Drupal.dialog(text, {}).showModal();
-            });
-          break;
+      $li.removeClass("foldershare-draghover");
+      $li.closest(".foldershare-ancestormenu-menu").menu().hide();
+
+      const entityIdList = JSON.parse(ev.originalEvent.dataTransfer.getData(
+        "foldershare/local-entity-list"));
+      const command = thisScript.getRowDropCommand(ev);
+      if (command !== null) {
+        // Announce the drop, then issue the copy or move command.
+        thisScript.ariaAnnounce(env, Drupal.foldershare.utility.getText(
+          env.settings.foldershare.terminology,
+          (command === thisScript.copyCommand) ?
+            "drop_copy_announce" : "drop_move_announce",
+          (command === thisScript.copyCommand) ?
+            "Copying @count into @folder" : "Moving @count into @folder",
+          {
+            "@count": thisScript.ariaGetCountText(
+              env,
+              thisScript.tableGetSelectionIdsByKind(env)),
+            "@folder": $li.children("div").text().trim()
+          }));
+
+        thisScript.serverCommandCopyMove(
+          env,
+          command,
+          null,
+          dropEntityId,
+          entityIdList,
+          thisScript.tableGetNames(env, entityIdList));
       }
 
       ev.preventDefault();
@@ -3321,6 +8324,20 @@
       return false;
     },
 
+    /**
+     * Cleans up the ancestor menu at the end of a row drag.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    ancestorMenuDragEnd(env) {
+      const $menu = $(".foldershare-ancestormenu-menu", env.$topElement);
+      $("li.foldershare-draghover", $menu).removeClass("foldershare-draghover");
+      if ($menu.length !== 0 && $menu.is(":visible") === true) {
+        $menu.menu().hide();
+      }
+    },
+
     /*--------------------------------------------------------------------
      *
      * Table.
@@ -3329,6 +8346,98 @@
      *
      *--------------------------------------------------------------------*/
 
+    /**
+     * Shows the context menu for a table row.
+     *
+     * If the row is not selected, it is selected first, clearing any
+     * prior selection. The menu then acts upon the selection.
+     *
+     * @param {object} $tr
+     *   The row.
+     * @param {object} of
+     *   The event, or other jQuery UI position "of" target, at which to
+     *   show the menu.
+     * @param {object} env
+     *   The environment object.
+     */
+    tableShowContextMenu($tr, of, env) {
+      const thisScript = Drupal.foldershare.UIFolderTableMenu;
+      const $contextMenu = $(".foldershare-folder-table-contextmenu", env.gather.$subform);
+
+      if ($tr.hasClass("selected") === false) {
+        // Not selected. Select it now.
+        thisScript.tableSelectRow($tr, env);
+      }
+
+      // Update the menu's text based on the selection.
+      thisScript.menuUpdate(env, $contextMenu);
+
+      // Position the menu and show it.
+      $contextMenu.show().position({
+        my: "left top",
+        at: "left bottom",
+        of: of,
+        collision: "fit"
+      });
+
+      // Register a handler to catch an off-menu click to hide it.
+      $(document).on("click.foldershare", () => {
+        $contextMenu.menu().hide();
+      });
+    },
+
+    /**
+     * Returns the table rows that may be selected.
+     *
+     * Rows without a linked name column, or whose link is marked as
+     * disabled, cannot be selected. Nor can rows hidden by the quick filter.
+     *
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {object}
+     *   Returns the jQuery selectable rows.
+     */
+    tableGetSelectableRows(env) {
+      return $("tr", env.gather.$tbody).filter((index, value) => {
+        if ($(value).hasClass("foldershare-filtered") === true) {
+          return false;
+        }
+
+        const $n = $(`td.${env.gather.nameColumn} a`, $(value));
+        if ($n.length === 0) {
+          return false;
+        }
+
+        const d = $n.attr("data-foldershare-disabled");
+        return typeof d === "undefined" || d === false;
+      });
+    },
+
+    /**
+     * Resets the shift-click selection range to span the selected rows.
+     *
+     * This is used after the selection is changed for many rows at once,
+     * rather than by a click on one row.
+     *
+     * @param {object} env
+     *   The environment object.
+     */
+    tableSetSelectionRange(env) {
+      const $table = env.gather.$table;
+      const $rows = $("tr", env.gather.$tbody);
+      const $selected = $rows.filter(".selected");
+
+      // Row indexes are 1-based, while jQuery is 0-based.
+      if ($selected.length === 0) {
+        $table.attr("selectionFirstRowIndex", "");
+        $table.attr("selectionLastRowIndex", "");
+      } else {
+        $table.attr("selectionFirstRowIndex", $rows.index($selected.first()) + 1);
+        $table.attr("selectionLastRowIndex", $rows.index($selected.last()) + 1);
+      }
+    },
+
     /**
      * Handles a single table row selection as if by a mouse click.
      *
@@ -3344,8 +8453,9 @@
       const $table = env.gather.$table;
       const $tbody = env.gather.$tbody;
 
-      // Selecting a row clears the previous selection (if any) and
-      // selects the row.
+      // Selecting a row clears the previous selection (if any), including
+      // on other pages, and selects the row.
+      Drupal.foldershare.UIFolderTableMenu.selectionClear(env);
       $("tr", $tbody).each((index, value) => {
         $(value).toggleClass("selected", false);
       });
@@ -3372,18 +8482,113 @@
       // moved a little between mouse down and up. Such a text
       // selection is meaningless here, so disable it.
       window.getSelection().removeAllRanges();
+
+      Drupal.foldershare.UIFolderTableMenu.tableSelectionChanged(env);
+    },
+
+    /**
+     * Returns a description of the item on a table row.
+     *
+     * The entity ID, kind, name, access, and ownership and sharing flags
+     * are read from the attributes on the row's name column anchor. The
+     * size is read from the anchor too, or else from the row's size column.
+     *
+     * @param {object} $a
+     *   The name column anchor of the row.
+     * @param {object} env
+     *   The environment object.
+     *
+     * @return {object}
+     *   Returns an object with 'id', 'kind', 'name', 'access', 'extension',
+     *   'size', 'ownerid', and ownership and sharing properties, or null if
+     *   the row is malformed or disabled. The size is null if unknown.
+     */
+    tableGetRowItem($a, env) {
+      // Get the entity ID, kind, and access for the entity on the row.
+      // If any of these is missing, the row is malformed and ignored.
+      const entityId = $a.attr("data-foldershare-id");
+      const kind = $a.attr("data-foldershare-kind");
+      const disabled = $a.attr("data-foldershare-disabled");
+      let access = $a.attr("data-foldershare-access");
+      const ownerid = $a.attr("data-foldershare-ownerid");
+      const extension = $a.attr("data-foldershare-extension");
+      let size = $a.attr("data-foldershare-size");
+
+      if (typeof entityId === "undefined" ||
+        typeof kind === "undefined" ||
+        typeof access === "undefined" ||
+        typeof ownerid === "undefined") {
+        // Fail. Something is missing. Ignore the row.
+        return null;
+      }
+
+      if (typeof disabled !== "undefined" && disabled === true) {
+        // Fail. Item is disabled. Ignore the row.
+        return null;
+      }
+
+      // Parse the access list into an array.
+      try {
+        access = access.split(",");
+      } catch (err) {
+        // Fail. Parse error. Ignore the row.
+        return null;
+      }
+
+      // Parse the size. Sizes not yet known by the server are missing, or
+      // shown as empty cells.
+      if (typeof size !== "undefined") {
+        size = Number(size);
+      } else {
+        size = Drupal.foldershare.utility.parseBytes(
+          $(`td.${env.gather.sizeColumn}`, $a.closest("tr")).text());
+      }
+
+      const ownedbyuser =
+        typeof $a.attr("data-foldershare-ownedbyuser") !== "undefined";
+      const ownedbyanonymous =
+        typeof $a.attr("data-foldershare-ownedbyanonymous") !== "undefined";
+      const ownedbyanother =
+        typeof $a.attr("data-foldershare-ownedbyanother") !== "undefined";
+      const sharedbyuser =
+        typeof $a.attr("data-foldershare-sharedbyuser") !== "undefined";
+      const sharedwithusertoview =
+        typeof $a.attr("data-foldershare-sharedwithusertoview") !== "undefined";
+      const sharedwithusertoauthor =
+        typeof $a.attr("data-foldershare-sharedwithusertoauthor") !== "undefined";
+      const sharedwithanonymoustoview =
+        typeof $a.attr("data-foldershare-sharedwithanonymoustoview") !== "undefined";
+      const sharedwithanonymoustoauthor =
+        typeof $a.attr("data-foldershare-sharedwithanonymoustoauthor") !== "undefined";
+
+      return {
+        id: entityId,
+        kind: kind,
+        name: $a.text().trim(),
+        access: access,
+        extension: extension,
+        size: size,
+        ownerid: ownerid,
+        ownedbyuser: ownedbyuser,
+        ownedbyanonymous: ownedbyanonymous,
+        ownedbyanother: ownedbyanother,
+        sharedbyuser: sharedbyuser,
+        sharedwithusertoview: sharedwithusertoview,
+        sharedwithusertoauthor: sharedwithusertoauthor,
+        sharedwithanonymoustoview: sharedwithanonymoustoview,
+        sharedwithanonymoustoauthor: sharedwithanonymoustoauthor
+      };
     },
 
     /**
-     * Returns the current table row selection, grouped by entity kind.
+     * Returns the current selection, grouped by entity kind.
      *
-     * The view table is scanned for selected rows. The entity ID, kind, and
-     * access information for each selected row are extracted and used to
-     * bin entities into an object with one property for each kind found.
+     * The selection model is used to bin selected entities, including any
+     * on other pages, into an object with one property for each kind found.
      * The value of the property is an array containing one object for each
      * entity found of that property's kind. Each of those objects has 'id'
      * and 'access' properties containing the corresponding values for the
-     * entity.
+     * entity, along with the other properties from tableGetRowItem().
      *
      * @param {object} env
      *   The environment object.
@@ -3394,111 +8599,70 @@
      *   contain an entity ID and access grants for that entity.
      */
     tableGetSelectionIdsByKind(env) {
-      const $tbody = env.gather.$tbody;
+      const items = Drupal.foldershare.UIFolderTableMenu.selectionGet(env).items;
       const result = {};
 
-      $(`tr.selected td.${env.gather.nameColumn} a`, $tbody).each((index, value) => {
-        // Get the entity ID, kind, and access for the entity on the row.
-        // If any of these is missing, the row is malformed and ignored.
-        const entityId = $(value).attr("data-foldershare-id");
-        const kind = $(value).attr("data-foldershare-kind");
-        const disabled = $(value).attr("data-foldershare-disabled");
-        let access = $(value).attr("data-foldershare-access");
-        const ownerid = $(value).attr("data-foldershare-ownerid");
-        const extension = $(value).attr("data-foldershare-extension");
-
-        if (typeof entityId === "undefined" ||
-          typeof kind === "undefined" ||
-          typeof access === "undefined" ||
-          typeof ownerid === "undefined") {
-          // Fail. Something is missing. Ignore the row.
-          return true;
-        }
-
-        if (typeof disabled !== "undefined" && disabled === true) {
-          // Fail. Item is disabled. Ignore the row.
-          return true;
-        }
-
-        // Parse the access list into an array.
-        try {
-          access = access.split(",");
-        } catch (err) {
-          // Fail. Parse error. Ignore the row.
-          return true;
+      Object.keys(items).forEach(entityId => {
+        // Use the item kind to group items.
+        const item = items[entityId];
+        if (typeof result[item.kind] === "undefined") {
+          result[item.kind] = [];
         }
 
-        // Add this row into the selection. Use the row kind to group
-        // rows, and save the entity ID and access array.
-        if (typeof result[kind] === "undefined") {
-          result[kind] = [];
-        }
-
-        const ownedbyuser =
-          typeof $(value).attr("data-foldershare-ownedbyuser") !== "undefined";
-        const ownedbyanonymous =
-          typeof $(value).attr("data-foldershare-ownedbyanonymous") !== "undefined";
-        const ownedbyanother =
-          typeof $(value).attr("data-foldershare-ownedbyanother") !== "undefined";
-        const sharedbyuser =
-          typeof $(value).attr("data-foldershare-sharedbyuser") !== "undefined";
-        const sharedwithusertoview =
-          typeof $(value).attr("data-foldershare-sharedwithusertoview") !== "undefined";
-        const sharedwithusertoauthor =
-          typeof $(value).attr("data-foldershare-sharedwithusertoauthor") !== "undefined";
-        const sharedwithanonymoustoview =
-          typeof $(value).attr("data-foldershare-sharedwithanonymoustoview") !== "undefined";
-        const sharedwithanonymoustoauthor =
-          typeof $(value).attr("data-foldershare-sharedwithanonymoustoauthor") !== "undefined";
-
-        result[kind].push({
-          id: entityId,
-          access: access,
-          extension: extension,
-          ownerid: ownerid,
-          ownedbyuser: ownedbyuser,
-          ownedbyanonymous: ownedbyanonymous,
-          ownedbyanother: ownedbyanother,
-          sharedbyuser: sharedbyuser,
-          sharedwithusertoview: sharedwithusertoview,
-          sharedwithusertoauthor: sharedwithusertoauthor,
-          sharedwithanonymoustoview: sharedwithanonymoustoview,
-          sharedwithanonymoustoauthor: sharedwithanonymoustoauthor
-        });
-
-        return true;
+        result[item.kind].push(item);
       });
 
       return result;
     },
 
     /**
-     * Returns the current table row selection as an array of entity IDs.
+     * Returns the current selection as an array of entity IDs.
      *
-     * The view table is scanned for selected rows. The entity ID for each
-     * selected row is added to an array and the array returned.
+     * The selection model is used, so the IDs include any selected items
+     * on other pages.
      *
      * @param {object} env
      *   the environment object.
      *
-     * @return {int[]}
-     *   Returns an array of entity IDs for selected rows.
+     * @return {string[]}
+     *   Returns an array of entity IDs for selected items.
      */
     tableGetSelectionIds(env) {
-      const $tbody = env.gather.$tbody;
-      const result = [];
+      return Object.keys(
+        Drupal.foldershare.UIFolderTableMenu.selectionGet(env).items);
+    },
+
+    /**
+     * Returns the names of items, given their entity IDs.
+     *
+     * Names are found from the table's rows, or from the selection model
+     * for selected items on other pages.
+     *
+     * @param {object} env
+     *   The environment object.
+     * @param {string[]} entityIdList
+     *   The entity IDs.
+     *
+     * @return {string[]}
+     *   Returns an array of names in the same order as the IDs, with a
+     *   null for an ID that is not known.
+     */
+    tableGetNames(env, entityIdList) {
+      const items = Drupal.foldershare.UIFolderTableMenu.selectionGet(env).items;
+      const names = {};
+      Object.keys(items).forEach(entityId => {
+        names[entityId] = items[entityId].name;
+      });
 
-      $(`tr.selected td.${env.gather.nameColumn} a`, $tbody).each((index, value) => {
+      $(`td.${env.gather.nameColumn} a`, env.gather.$tbody).each((index, value) => {
         const entityId = $(value).attr("data-foldershare-id");
-        if (typeof entityId === "undefined") {
-          // Fail. ID is missing. Ignore the row.
-          return true;
+        if (typeof entityId !== "undefined") {
+          names[entityId] = $(value).text().trim();
         }
-        result.push(entityId);
-        return true;
       });
 
-      return result;
+      return entityIdList.map(id =>
+        (String(id) in names === true) ? names[String(id)] : null);
     },
 
     /*--------------------------------------------------------------------
@@ -0,0 +1,2493 @@
+/**
+ * @file
+ * Implements the FolderShare upload functions.
+ *
+ * The upload functions are used by the folder table menu UI to upload
+ * files chosen from a file dialog, and files and folder trees dragged in
+ * from the host OS.
+ *
+ * Files are sent in chunks to a resumable upload endpoint so that a
+ * transient network failure resumes from the last chunk the server
+ * received, instead of starting the file over. Completed uploads are
+ * then added to their folder by the same server form and command used
+ * for ordinary file uploads. Each file's SHA-256 checksum is computed
+ * as it is sent, and the server rejects a file that does not match.
+ *
+ * A dropped folder is walked using the browser's file system entry API,
+ * and matching folders are created on the server using the REST
+ * "new-folder" operation.
+ *
+ * Files are checked against the site's allowed file name extensions and
+ * maximum file size before they are sent. The user is told which files
+ * cannot be uploaded and may choose to upload the rest.
+ *
+ * Files to upload are added to a queue shown in a collapsible panel in
+ * the folder table menu's toolbar. A few files are sent at a time, and
+ * the user may pause, resume, cancel, or retry each one while continuing
+ * to browse.
+ *
+ * The queue is saved in the browser's IndexedDB database. Uploads left
+ * unfinished by a reload or a closed tab resume the next time a
+ * FolderShare page loads for the same user.
+ *
+ * @ingroup foldershare
+ * @see \Drupal\foldershare\Form\UIFolderTableMenu
+ * @see \Drupal\foldershare\Controller\FileUploadResumable
+ * @see \Drupal\foldershare\Plugin\rest\resource\FolderShareResource
+ */
+(function($, Drupal) {
+  // Check pre-requisits.
+  //
+  // The utility library must have been loaded before this script.
+  if ("foldershare" in Drupal === false ||
+    "utility" in Drupal.foldershare === false) {
+    console.log(
+      "%cFolderShare: Javascript files included in wrong order%c\n%cfoldershare.ui.upload.js requires that foldershare.ui.utility.js be included first.",
+      "font-weight: bold",
+      "font-weight: normal",
+      "padding-left: 2em",
+      "padding-left: 0");
+    window.stop();
+  }
+
+  Drupal.foldershare.UIUpload = {
+    /*--------------------------------------------------------------------
+     *
+     * Constants - server.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The site-relative path for creating entities via REST.
+     */
+    restCreatePath: "entity/foldershare?_format=json",
+
+    /**
+     * The site-relative path for getting a REST CSRF token.
+     */
+    restTokenPath: "session/token",
+
+    /**
+     * The site-relative path for resumable uploads.
+     */
+    resumablePath: "foldershare/upload/resumable",
+
+    /**
+     * The name of the module's standard file upload command.
+     */
+    uploadCommand: "foldersharecommand_upload_files",
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants - resumable uploads.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The number of bytes sent in each upload chunk.
+     *
+     * This must be less than the server's maximum POST size.
+     */
+    chunkSize: 2 * 1024 * 1024,
+
+    /**
+     * The number of times a failed chunk is retried before giving up.
+     */
+    maxRetries: 5,
+
+    /**
+     * The delay, in milliseconds, before the first retry. The delay
+     * doubles on each further retry.
+     */
+    retryDelay: 1000,
+
+    /*--------------------------------------------------------------------
+     *
+     * Server state.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The CSRF token for REST requests, or null if not yet retrieved.
+     */
+    csrfToken: null,
+
+    /*--------------------------------------------------------------------
+     *
+     * Dropped entries.
+     *
+     * Browsers present dropped files and folders as a list of data
+     * transfer items. Each item may be converted to a file system entry
+     * for a file or a directory. Directory entries may then be read to
+     * get their child entries, and so on down through the tree.
+     *
+     * The conversion from items to entries MUST be done during the drop
+     * event. Once the event handler returns, the item list is emptied by
+     * the browser. The entries themselves remain usable afterwards.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns the file system entries for a drop.
+     *
+     * @param {DataTransfer} dataTransfer
+     *   The drop event's data transfer.
+     *
+     * @return {object[]}
+     *   Returns an array of file system entries, or null if the browser
+     *   does not support the entry API.
+     */
+    getDropEntries(dataTransfer) {
+      if (typeof dataTransfer === "undefined" ||
+        typeof dataTransfer.items === "undefined" ||
+        typeof DataTransferItem === "undefined" ||
+        typeof DataTransferItem.prototype.webkitGetAsEntry !== "function") {
+        return null;
+      }
+
+      const entries = [];
+      for (let i = 0; i < dataTransfer.items.length; ++i) {
+        const item = dataTransfer.items[i];
+        if (item.kind === "file") {
+          const entry = item.webkitGetAsEntry();
+          if (entry !== null) {
+            entries.push(entry);
+          }
+        }
+      }
+
+      return entries;
+    },
+
+    /**
+     * Returns true if any of the entries is a directory.
+     *
+     * @param {object[]} entries
+     *   An array of file system entries, or null.
+     *
+     * @return {boolean}
+     *   Returns true if there is a directory entry.
+     */
+    hasDirectoryEntries(entries) {
+      if (entries === null) {
+        return false;
+      }
+
+      return entries.some(entry => entry.isDirectory === true);
+    },
+
+    /**
+     * Reads a list of file system entries into a tree.
+     *
+     * The returned tree node has:
+     * - name: the folder name, or "" for the top of the tree.
+     * - path: the slash-separated path from the top of the tree.
+     * - files: an array of File objects in the folder.
+     * - folders: an array of child tree nodes.
+     *
+     * @param {object[]} entries
+     *   An array of file system entries.
+     * @param {object} node
+     *   (optional, default = null = new top node) The tree node to add to.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to the tree node.
+     */
+    readEntries(entries, node = null) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (node === null) {
+        node = {
+          name: "",
+          path: "",
+          files: [],
+          folders: []
+        };
+      }
+
+      const reads = entries.map(entry => {
+        if (entry.isDirectory === true) {
+          const child = {
+            name: entry.name,
+            path: (node.path === "") ? entry.name : `${node.path}/${entry.name}`,
+            files: [],
+            folders: []
+          };
+          node.folders.push(child);
+
+          return thisScript.readDirectoryEntries(entry)
+            .then(childEntries => thisScript.readEntries(childEntries, child));
+        }
+
+        return new Promise((resolve, reject) => {
+          entry.file(file => {
+            node.files.push(file);
+            resolve();
+          }, reject);
+        });
+      });
+
+      return Promise.all(reads).then(() => node);
+    },
+
+    /**
+     * Reads all of the child entries of a directory entry.
+     *
+     * A directory reader returns children in batches, and must be called
+     * repeatedly until it returns an empty batch.
+     *
+     * @param {object} directoryEntry
+     *   The directory entry.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to an array of child entries.
+     */
+    readDirectoryEntries(directoryEntry) {
+      const reader = directoryEntry.createReader();
+      const entries = [];
+
+      return new Promise((resolve, reject) => {
+        const readBatch = () => {
+          reader.readEntries(batch => {
+            if (batch.length === 0) {
+              resolve(entries);
+              return;
+            }
+
+            entries.push(...batch);
+            readBatch();
+          }, reject);
+        };
+
+        readBatch();
+      });
+    },
+
+    /**
+     * Returns the number of files and folders, and total size of a tree.
+     *
+     * @param {object} node
+     *   The tree node from readEntries().
+     *
+     * @return {object}
+     *   Returns an object with "files", "folders", and "bytes" properties.
+     */
+    getTreeTotals(node) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      const totals = {
+        files: node.files.length,
+        folders: node.folders.length,
+        bytes: node.files.reduce((sum, file) => sum + file.size, 0)
+      };
+
+      node.folders.forEach(child => {
+        const childTotals = thisScript.getTreeTotals(child);
+        totals.files += childTotals.files;
+        totals.folders += childTotals.folders;
+        totals.bytes += childTotals.bytes;
+      });
+
+      return totals;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Server REST.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Gets the CSRF token required by REST requests that change content.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to the token.
+     */
+    restGetCsrfToken() {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (thisScript.csrfToken !== null) {
+        return Promise.resolve(thisScript.csrfToken);
+      }
+
+      return new Promise((resolve, reject) => {
+        $.ajax({
+          url: Drupal.url(thisScript.restTokenPath),
+          method: "GET",
+          dataType: "text"
+        }).done(token => {
+          thisScript.csrfToken = token;
+          resolve(token);
+        }).fail((xhr, status, error) => {
+          reject(new Error(error));
+        });
+      });
+    },
+
+    /**
+     * Creates a new folder using the REST "new-folder" operation.
+     *
+     * When the parent ID is negative, it refers to a root list and the
+     * "new-rootfolder" operation is used instead. The server does not
+     * rename the new folder on a name collision, so an existing item with
+     * the same name causes an error.
+     *
+     * @param {int} parentId
+     *   The entity ID of the parent folder, or a negative root list ID.
+     * @param {string} name
+     *   The name of the new folder.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to the new folder's entity ID.
+     */
+    restNewFolder(parentId, name) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      const dummy = {
+        name: [{value: name}]
+      };
+
+      let operation = "new-rootfolder";
+      if (parentId >= 0) {
+        operation = "new-folder";
+        dummy.parentid = [{target_id: parentId}];
+      }
+
+      return thisScript.restGetCsrfToken().then(token => new Promise((resolve, reject) => {
+        $.ajax({
+          url: Drupal.url(thisScript.restCreatePath),
+          method: "POST",
+          contentType: "application/json",
+          data: JSON.stringify(dummy),
+          headers: {
+            "X-CSRF-Token": token,
+            "X-FolderShare-Post-Operation": operation
+          }
+        }).done((data, status, xhr) => {
+          // The new entity's URL is returned in the Location header and
+          // ends with the entity ID.
+          const location = xhr.getResponseHeader("Location");
+          const match = (location === null) ?
+            null : location.match(/\/(\d+)\/?(?:[?#].*)?$/);
+          if (match === null) {
+            reject(new Error(name));
+            return;
+          }
+
+          resolve(Number(match[1]));
+        }).fail((xhr, status, error) => {
+          let message = error;
+          if (typeof xhr.responseJSON !== "undefined" &&
+            typeof xhr.responseJSON.message !== "undefined") {
+            message = xhr.responseJSON.message;
+          }
+
+          reject(new Error(message));
+        });
+      }));
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Server resumable upload.
+     *
+     * Files are sent to the server's resumable upload endpoint in chunks.
+     * Each chunk says where in the file it starts. The server appends it
+     * to a partial file and replies with the number of bytes it has so
+     * far. If a chunk fails with a network or server error, the client
+     * waits, asks the server how much it has, and resumes from there.
+     *
+     * A completed upload is not yet in a folder. The upload command is
+     * then used to add completed uploads to their folder.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns a new, unique upload ID.
+     *
+     * @return {string}
+     *   Returns an ID using only letters, digits, and "-".
+     */
+    createUploadId() {
+      const random = Math.random().toString(36).substr(2, 10);
+      return `${Date.now().toString(36)}-${random}`;
+    },
+
+    /**
+     * Returns the URL for a resumable upload request.
+     *
+     * @param {string} uploadId
+     *   The upload ID.
+     * @param {object} query
+     *   (optional, default = null = none) Additional query arguments.
+     *
+     * @return {string}
+     *   Returns the URL.
+     */
+    resumableGetUrl(uploadId, query = null) {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const args = $.extend({id: uploadId}, query);
+
+      return `${Drupal.url(thisScript.resumablePath)}?${$.param(args)}`;
+    },
+
+    /**
+     * Gets the number of bytes the server has received for an upload.
+     *
+     * @param {string} uploadId
+     *   The upload ID.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to the number of bytes received.
+     */
+    resumableGetOffset(uploadId) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      return new Promise((resolve, reject) => {
+        $.ajax({
+          url: thisScript.resumableGetUrl(uploadId),
+          method: "GET",
+          dataType: "json",
+          cache: false
+        }).done(data => {
+          resolve(Number(data.offset));
+        }).fail((xhr, status, error) => {
+          reject(new Error(error));
+        });
+      });
+    },
+
+    /**
+     * Sends one chunk of a resumable upload.
+     *
+     * If the server already has a different number of bytes than the
+     * chunk's offset, the chunk is ignored and the promise resolves to
+     * the server's offset. Network and server errors reject with an
+     * error whose "retry" property is true. An aborted request rejects
+     * with an error whose "aborted" property is true.
+     *
+     * @param {string} uploadId
+     *   The upload ID.
+     * @param {File} file
+     *   The file being uploaded.
+     * @param {int} offset
+     *   The offset of the chunk within the file.
+     * @param {int} end
+     *   The offset just after the end of the chunk.
+     * @param {function} onProgress
+     *   The function to call as bytes are sent. The function is called
+     *   with the number of bytes of the chunk sent so far.
+     * @param {object} control
+     *   (optional, default = null = none) An upload control object. Its
+     *   "xhr" property is set to the request so that it may be aborted.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to the server's new offset.
+     */
+    resumableSendChunk(uploadId, file, offset, end, onProgress, control = null) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      return thisScript.restGetCsrfToken().then(token => new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open("POST", thisScript.resumableGetUrl(uploadId, {
+          offset,
+          size: file.size
+        }));
+        xhr.setRequestHeader("Content-Type", "application/octet-stream");
+        xhr.setRequestHeader("X-CSRF-Token", token);
+        if (control !== null) {
+          control.xhr = xhr;
+        }
+
+        xhr.upload.onprogress = ev => {
+          onProgress(ev.loaded);
+        };
+
+        xhr.onabort = () => {
+          const er = new Error(file.name);
+          er.aborted = true;
+          reject(er);
+        };
+
+        xhr.onerror = () => {
+          const er = new Error(file.name);
+          er.retry = true;
+          reject(er);
+        };
+
+        xhr.onload = () => {
+          let data = null;
+          try {
+            data = JSON.parse(xhr.responseText);
+          } catch (er) {
+            data = null;
+          }
+
+          if ((xhr.status === 200 || xhr.status === 409) &&
+            data !== null && typeof data.offset !== "undefined") {
+            resolve(Number(data.offset));
+            return;
+          }
+
+          const er = new Error((data !== null && typeof data.message !== "undefined") ?
+            data.message : xhr.statusText);
+          er.retry = xhr.status >= 500;
+          reject(er);
+        };
+
+        xhr.send(file.slice(offset, end));
+      }));
+    },
+
+    /**
+     * Uploads a file in chunks, resuming after transient failures.
+     *
+     * If the server already has part of the file from an earlier attempt
+     * with the same upload ID, the upload resumes from there.
+     *
+     * The upload may be stopped by setting the control object's "stopped"
+     * property to true and aborting its current "xhr" request. The promise
+     * then rejects with an error whose "aborted" property is true.
+     *
+     * @param {string} uploadId
+     *   The upload ID.
+     * @param {File} file
+     *   The file to upload.
+     * @param {function} onProgress
+     *   The function to call as bytes are sent. The function is called
+     *   with the number of bytes of the file sent so far.
+     * @param {object} control
+     *   (optional, default = null = none) An upload control object with
+     *   "stopped" and "xhr" properties.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the server has the whole file.
+     */
+    resumableUploadFile(uploadId, file, onProgress, control = null) {
+      const thisScript = Drupal.foldershare.UIUpload;
+      let retries = 0;
+
+      const sendFrom = offset => {
+        if (control !== null && control.stopped === true) {
+          const er = new Error(file.name);
+          er.aborted = true;
+          return Promise.reject(er);
+        }
+
+        const end = Math.min(offset + thisScript.chunkSize, file.size);
+
+        return thisScript.resumableSendChunk(
+          uploadId,
+          file,
+          offset,
+          end,
+          loaded => onProgress(offset + loaded),
+          control).then(
+          newOffset => {
+            retries = 0;
+            onProgress(newOffset);
+            if (newOffset >= file.size) {
+              return null;
+            }
+
+            return sendFrom(newOffset);
+          },
+          er => {
+            if (er.retry !== true || retries >= thisScript.maxRetries) {
+              throw er;
+            }
+
+            // Wait, with an increasing delay, then ask the server where
+            // to resume. If the server cannot say, resend the same chunk.
+            const delay = thisScript.retryDelay * (2 ** retries);
+            ++retries;
+            return new Promise(resolve => setTimeout(resolve, delay))
+              .then(() => thisScript.resumableGetOffset(uploadId))
+              .then(sendFrom, () => sendFrom(offset));
+          });
+      };
+
+      return thisScript.resumableGetOffset(uploadId)
+        .then(sendFrom, () => sendFrom(0));
+    },
+
+    /**
+     * Discards a resumable upload on the server.
+     *
+     * @param {string} uploadId
+     *   The upload ID.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the upload is discarded.
+     */
+    resumableCancel(uploadId) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      return thisScript.restGetCsrfToken().then(token => new Promise(resolve => {
+        $.ajax({
+          url: thisScript.resumableGetUrl(uploadId),
+          method: "DELETE",
+          headers: {
+            "X-CSRF-Token": token
+          }
+        }).always(() => resolve());
+      }));
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Server form.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Finishes uploads using the folder table menu's form.
+     *
+     * The form is filled in for the upload command with the folder as
+     * the parent and the list of completed resumable uploads, then posted
+     * in the background. When the form uses AJAX, the returned AJAX
+     * commands are checked for an error dialog.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {int} parentId
+     *   The entity ID of the parent folder, or a negative root list ID.
+     * @param {object[]} uploads
+     *   An array of completed uploads, each with "id", "name", "size",
+     *   "replace", and "sha256" properties.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the files have been added.
+     */
+    formFinishUploads(env, parentId, uploads) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      Drupal.foldershare.UIFolderTableMenu.serverCommandSetup(
+        env,
+        thisScript.uploadCommand,
+        parentId);
+      env.gather.$resumableInput.val(JSON.stringify(uploads));
+
+      // The files were already sent in chunks. Leave out those still in
+      // the upload field from the file dialog or a drop.
+      const formData = new FormData(env.gather.$commandForm[0]);
+      formData.delete(env.gather.$uploadInput.attr("name"));
+
+      let url = env.gather.$commandForm.attr("action");
+      const ajaxEnabled = env.settings.foldershare.ajaxEnabled === true;
+      if (ajaxEnabled === true) {
+        // Mimic a Drupal AJAX submit of the form's submit button.
+        formData.append(
+          "_triggering_element_name",
+          env.gather.$commandSubmitButton.attr("name"));
+        formData.append("_drupal_ajax", "1");
+        url += (url.indexOf("?") === -1) ? "?" : "&";
+        url += "ajax_form=1&_wrapper_format=drupal_ajax";
+      }
+
+      return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open("POST", url);
+
+        xhr.onerror = () => {
+          reject(new Error(xhr.statusText));
+        };
+
+        xhr.onload = () => {
+          if (xhr.status < 200 || xhr.status >= 300) {
+            reject(new Error(xhr.statusText));
+            return;
+          }
+
+          if (ajaxEnabled === false) {
+            resolve();
+            return;
+          }
+
+          // A successful command returns a redirect to refresh the page.
+          // A failed command returns a dialog describing the error.
+          let commands = [];
+          try {
+            commands = JSON.parse(xhr.responseText);
+          } catch (er) {
+            reject(new Error(xhr.statusText));
+            return;
+          }
+
+          const dialog = commands.find(c => c.command === "openDialog");
+          if (typeof dialog !== "undefined") {
+            reject(new Error($("<div>").html(dialog.data).text().trim()));
+            return;
+          }
+
+          resolve();
+        };
+
+        xhr.send(formData);
+      });
+    },
+
+
+    /*--------------------------------------------------------------------
+     *
+     * Checksums.
+     *
+     * Each file's SHA-256 digest is computed in the browser while the
+     * file is being sent, and the server compares it against the file it
+     * received. The browser's crypto.subtle.digest() needs the whole file
+     * in memory at once, so the digest is computed here incrementally as
+     * the file is read a chunk at a time. Each chunk is hashed a slice at
+     * a time, yielding to the browser between slices, so that the page
+     * stays responsive while a large file is hashed.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The number of bytes hashed before yielding to the browser.
+     */
+    checksumSliceSize: 256 * 1024,
+
+    /**
+     * The SHA-256 round constants.
+     */
+    sha256K: [
+      0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5,
+      0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+      0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+      0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+      0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc,
+      0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+      0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7,
+      0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+      0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+      0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+      0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3,
+      0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+      0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5,
+      0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+      0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+      0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ],
+
+    /**
+     * Returns a new SHA-256 digest state.
+     *
+     * @return {object}
+     *   Returns an object with the running hash values, a partial block
+     *   buffer, and the number of bytes added so far.
+     */
+    sha256Create() {
+      return {
+        h: new Int32Array([
+          0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+          0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]),
+        w: new Int32Array(64),
+        buffer: new Uint8Array(64),
+        bufferLength: 0,
+        length: 0
+      };
+    },
+
+    /**
+     * Adds one 64-byte block to a SHA-256 digest state.
+     *
+     * @param {object} state
+     *   The digest state from sha256Create(). The state is updated.
+     * @param {Uint8Array} bytes
+     *   The bytes containing the block.
+     * @param {int} offset
+     *   The offset of the block within the bytes.
+     */
+    sha256Block(state, bytes, offset) {
+      const k = Drupal.foldershare.UIUpload.sha256K;
+      const h = state.h;
+      const w = state.w;
+      const ror = (x, n) => (x >>> n) | (x << (32 - n));
+
+      for (let i = 0; i < 16; ++i) {
+        const j = offset + (i * 4);
+        w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) |
+          (bytes[j + 2] << 8) | bytes[j + 3];
+      }
+
+      for (let i = 16; i < 64; ++i) {
+        const w15 = w[i - 15];
+        const w2 = w[i - 2];
+        const s0 = ror(w15, 7) ^ ror(w15, 18) ^ (w15 >>> 3);
+        const s1 = ror(w2, 17) ^ ror(w2, 19) ^ (w2 >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+      }
+
+      let a = h[0];
+      let b = h[1];
+      let c = h[2];
+      let d = h[3];
+      let e = h[4];
+      let f = h[5];
+      let g = h[6];
+      let hh = h[7];
+
+      for (let i = 0; i < 64; ++i) {
+        const s1 = ror(e, 6) ^ ror(e, 11) ^ ror(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (hh + s1 + ch + k[i] + w[i]) | 0;
+        const s0 = ror(a, 2) ^ ror(a, 13) ^ ror(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (s0 + maj) | 0;
+
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+      }
+
+      h[0] = (h[0] + a) | 0;
+      h[1] = (h[1] + b) | 0;
+      h[2] = (h[2] + c) | 0;
+      h[3] = (h[3] + d) | 0;
+      h[4] = (h[4] + e) | 0;
+      h[5] = (h[5] + f) | 0;
+      h[6] = (h[6] + g) | 0;
+      h[7] = (h[7] + hh) | 0;
+    },
+
+    /**
+     * Adds bytes to a SHA-256 digest state.
+     *
+     * @param {object} state
+     *   The digest state from sha256Create(). The state is updated.
+     * @param {Uint8Array} bytes
+     *   The bytes to add.
+     */
+    sha256Update(state, bytes) {
+      const thisScript = Drupal.foldershare.UIUpload;
+      let i = 0;
+
+      state.length += bytes.length;
+
+      // Complete a partial block left over from the last update.
+      if (state.bufferLength !== 0) {
+        const n = Math.min(64 - state.bufferLength, bytes.length);
+        state.buffer.set(bytes.subarray(0, n), state.bufferLength);
+        state.bufferLength += n;
+        i = n;
+        if (state.bufferLength < 64) {
+          return;
+        }
+
+        thisScript.sha256Block(state, state.buffer, 0);
+        state.bufferLength = 0;
+      }
+
+      for (; i + 64 <= bytes.length; i += 64) {
+        thisScript.sha256Block(state, bytes, i);
+      }
+
+      // Save the rest for the next update.
+      state.buffer.set(bytes.subarray(i), 0);
+      state.bufferLength = bytes.length - i;
+    },
+
+    /**
+     * Finishes a SHA-256 digest.
+     *
+     * @param {object} state
+     *   The digest state from sha256Create(). The state cannot be used
+     *   afterwards.
+     *
+     * @return {string}
+     *   Returns the digest as 64 lower-case hexadecimal digits.
+     */
+    sha256Finish(state) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      // Pad with a 1 bit, zeroes, and the message length in bits as a
+      // 64-bit big-endian number, to a multiple of 64 bytes.
+      const length = state.length;
+      const nZeroes = ((119 - state.bufferLength) % 64);
+      const padding = new Uint8Array(nZeroes + 9);
+      padding[0] = 0x80;
+
+      const high = Math.floor(length / 0x20000000);
+      const low = (length % 0x20000000) * 8;
+      const view = new DataView(padding.buffer);
+      view.setUint32(padding.length - 8, high);
+      view.setUint32(padding.length - 4, low);
+      thisScript.sha256Update(state, padding);
+
+      return Array.from(state.h)
+        .map(x => (x >>> 0).toString(16).padStart(8, "0"))
+        .join("");
+    },
+
+    /**
+     * Computes the SHA-256 digest of a file.
+     *
+     * The file is read a chunk at a time, so it never needs to be in
+     * memory all at once. Each chunk is hashed in slices, with a yield to
+     * the browser after each slice.
+     *
+     * The computation may be stopped by setting the control object's
+     * "stopped" property to true. The promise then rejects with an error
+     * whose "aborted" property is true.
+     *
+     * @param {File} file
+     *   The file to read.
+     * @param {function} onProgress
+     *   The function to call as bytes are read. The function is called
+     *   with the number of bytes of the file read so far.
+     * @param {object} control
+     *   (optional, default = null = none) An upload control object with
+     *   a "stopped" property.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves with the digest as 64 lower-case
+     *   hexadecimal digits.
+     */
+    checksumFile(file, onProgress, control = null) {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const state = thisScript.sha256Create();
+
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        let offset = 0;
+
+        const readNext = () => {
+          if (control !== null && control.stopped === true) {
+            const er = new Error(file.name);
+            er.aborted = true;
+            reject(er);
+            return;
+          }
+
+          if (offset >= file.size) {
+            resolve(thisScript.sha256Finish(state));
+            return;
+          }
+
+          reader.readAsArrayBuffer(file.slice(
+            offset,
+            Math.min(offset + thisScript.chunkSize, file.size)));
+        };
+
+        reader.onerror = () => {
+          reject(new Error(reader.error !== null ?
+            reader.error.message : file.name));
+        };
+        reader.onload = () => {
+          const bytes = new Uint8Array(reader.result);
+          const sliceSize = thisScript.checksumSliceSize;
+          let sliceOffset = 0;
+
+          const hashNext = () => {
+            if (control !== null && control.stopped === true) {
+              readNext();
+              return;
+            }
+
+            const end = Math.min(sliceOffset + sliceSize, bytes.length);
+            thisScript.sha256Update(state, bytes.subarray(sliceOffset, end));
+            onProgress(offset + end);
+            sliceOffset = end;
+
+            if (sliceOffset < bytes.length) {
+              setTimeout(hashNext, 0);
+            } else {
+              offset += bytes.length;
+              readNext();
+            }
+          };
+
+          hashNext();
+        };
+
+        readNext();
+      });
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Upload checks.
+     *
+     * Before files are queued, they are checked against the allowed file
+     * name extensions and maximum file size given in the page's settings.
+     * The server checks these again, but checking first saves the user
+     * from waiting for a large upload only to have it refused.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns why a file cannot be uploaded, or null if it can.
+     *
+     * A file with no extension is always allowed, as it is by the server.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {File} file
+     *   The file to check.
+     *
+     * @return {string}
+     *   Returns a translated reason the file cannot be uploaded, or null
+     *   if it may be uploaded.
+     */
+    checkFile(env, file) {
+      const upload = env.settings.foldershare.upload;
+      const terminology = env.settings.foldershare.terminology;
+      const utility = Drupal.foldershare.utility;
+      if (typeof upload === "undefined") {
+        return null;
+      }
+
+      const extensions = upload.extensions.split(" ")
+        .filter(ext => ext !== "");
+      const dot = file.name.lastIndexOf(".");
+      if (extensions.length !== 0 && dot !== -1) {
+        const ext = file.name.substring(dot + 1).toLowerCase();
+        if (ext !== "" && extensions.indexOf(ext) === -1) {
+          return utility.getText(
+            terminology,
+            "upload_check_extension",
+            "The \".@extension\" file type is not allowed.",
+            {
+              "@extension": Drupal.checkPlain(ext)
+            });
+        }
+      }
+
+      if (upload.maxFileSize > 0 && file.size > upload.maxFileSize) {
+        return utility.getText(
+          terminology,
+          "upload_check_size",
+          "The file is larger than the @maxsize limit.",
+          {
+            "@maxsize": utility.formatBytes(upload.maxFileSize)
+          });
+      }
+
+      return null;
+    },
+
+    /**
+     * Returns a copy of a tree without the files that cannot be uploaded.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} node
+     *   The tree node from readEntries().
+     * @param {object[]} rejects
+     *   An array to which an object is added for each file that cannot
+     *   be uploaded. Each has "path" and "reason" properties.
+     *
+     * @return {object}
+     *   Returns the new tree node.
+     */
+    checkTree(env, node, rejects) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      const files = node.files.filter(file => {
+        const reason = thisScript.checkFile(env, file);
+        if (reason === null) {
+          return true;
+        }
+
+        rejects.push({
+          path: (node.path === "") ? file.name : `${node.path}/${file.name}`,
+          reason
+        });
+        return false;
+      });
+
+      return {
+        name: node.name,
+        path: node.path,
+        files,
+        folders: node.folders.map(child =>
+          thisScript.checkTree(env, child, rejects))
+      };
+    },
+
+    /**
+     * Lists files that cannot be uploaded and asks whether to continue.
+     *
+     * If no files can be uploaded, the dialog only offers to close.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object[]} rejects
+     *   The files that cannot be uploaded, from checkTree().
+     * @param {int} nAccepted
+     *   The number of files that can be uploaded.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves to true if the user chose to
+     *   upload the acceptable files, and false otherwise.
+     */
+    checkConfirm(env, rejects, nAccepted) {
+      const terminology = env.settings.foldershare.terminology;
+      const getText = Drupal.foldershare.utility.getText;
+
+      let html = "<div class=\"foldershare-upload-check\">";
+      html += getText(
+        terminology,
+        "upload_check_rejected",
+        "<p><strong>Some files cannot be uploaded.</strong></p>");
+      html += "<ul>";
+      rejects.forEach(reject => {
+        html += `<li><span class="foldershare-upload-check-name">${Drupal.checkPlain(reject.path)}</span> ${reject.reason}</li>`;
+      });
+      html += "</ul></div>";
+
+      return new Promise(resolve => {
+        const buttons = [];
+        let dialog = null;
+
+        if (nAccepted !== 0) {
+          buttons.push({
+            text: getText(
+              terminology,
+              "upload_check_continue",
+              "Upload the other @count",
+              {
+                "@count": nAccepted
+              }),
+            click() {
+              resolve(true);
+              dialog.close();
+            }
+          });
+        }
+
+        buttons.push({
+          text: getText(
+            terminology,
+            (nAccepted !== 0) ? "upload_check_cancel" : "upload_check_close",
+            (nAccepted !== 0) ? "Cancel" : "Close"),
+          click() {
+            dialog.close();
+          }
+        });
+
+        // Closing the dialog any other way is the same as canceling.
+        const $content = $(html);
+        $content.on("dialogclose", () => resolve(false));
+        dialog = Drupal.dialog($content, {
+          buttons
+        });
+        dialog.showModal();
+      });
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Upload queue.
+     *
+     * Files to upload are added to a queue. A few files at a time are
+     * sent to the server, and each is finished by the upload command as
+     * soon as it is sent. The user may pause, resume, cancel, and retry
+     * each file while the queue runs, and may keep using the page.
+     *
+     * Each queue entry has:
+     * - uploadId: the resumable upload ID.
+     * - file: the File to upload, or null for a folder that failed.
+     * - path: the path of the file or folder within the upload.
+     * - size: the size of the file.
+     * - parentId: the entity ID of the folder to upload into.
+     * - replace: true if the file replaces a same-name file.
+     * - status: one of "queued", "uploading", "verifying", "paused",
+     *   "finishing", "done", "failed", or "canceled".
+     * - loaded: the number of bytes sent so far.
+     * - checked: the number of bytes included in the checksum so far.
+     * - sha256: the file's SHA-256 digest, or "" if not yet computed.
+     * - message: an error message for a failed entry.
+     * - control: the upload control object for a running upload.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The maximum number of files uploaded at the same time.
+     */
+    maxConcurrentUploads: 2,
+
+    /**
+     * The queue of files to upload.
+     */
+    queue: [],
+
+    /**
+     * The folder table menu's environment object for the queue panel.
+     */
+    queueEnv: null,
+
+    /**
+     * True if the queue panel is collapsed to just its summary.
+     */
+    queueCollapsed: false,
+
+    /**
+     * True if uploads have finished since the folder table was refreshed.
+     */
+    queueRefreshNeeded: false,
+
+    /**
+     * Checks and adds a list of files to the upload queue.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {File[]} files
+     *   The files to upload.
+     * @param {int} parentId
+     *   The entity ID of the folder to upload into, or a negative root
+     *   list ID.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the files have been queued,
+     *   or the user has declined to upload them.
+     *
+     * @see ::uploadTree()
+     */
+    uploadFiles(env, files, parentId) {
+      return Drupal.foldershare.UIUpload.uploadTree(
+        env,
+        {
+          name: "",
+          path: "",
+          files,
+          folders: []
+        },
+        parentId);
+    },
+
+    /**
+     * Checks and adds a tree of folders and files to the upload queue.
+     *
+     * Files are first checked against the site's upload limits. If any
+     * cannot be uploaded, the user is shown a list of them and asked
+     * whether to upload the rest. The user is then asked how to handle
+     * files and folders with the same names as items already in the
+     * destination.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} tree
+     *   The tree from readEntries().
+     * @param {int} parentId
+     *   The entity ID of the folder to upload into, or a negative root
+     *   list ID.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when all folders have been created
+     *   and all files queued, or the user has declined to upload them.
+     *   The promise never rejects.
+     */
+    uploadTree(env, tree, parentId) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      const rejects = [];
+      const accepted = thisScript.checkTree(env, tree, rejects);
+      let checked = Promise.resolve(true);
+      if (rejects.length !== 0) {
+        checked = thisScript.checkConfirm(
+          env,
+          rejects,
+          thisScript.getTreeTotals(accepted).files);
+      }
+
+      return checked
+        .then(proceed => {
+          if (proceed === false) {
+            return null;
+          }
+
+          return Drupal.foldershare.UICollision.resolveTree(
+            env,
+            accepted,
+            parentId);
+        })
+        .then(resolved => {
+          if (resolved === null) {
+            return null;
+          }
+
+          return thisScript.queueTree(env, resolved, parentId);
+        });
+    },
+
+    /**
+     * Adds a tree of folders and files to the upload queue.
+     *
+     * Folders are created top-down, and each folder's files are queued
+     * once the folder exists. If a folder cannot be created, its contents
+     * are skipped and the folder is listed in the queue as failed.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} tree
+     *   The tree from readEntries(). The tree node may have a "replace"
+     *   array with the names of files that replace existing files.
+     * @param {int} parentId
+     *   The entity ID of the folder to upload into, or a negative root
+     *   list ID.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when all folders have been created
+     *   and all files queued. The promise never rejects.
+     */
+    queueTree(env, tree, parentId) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      tree.files.forEach(file => {
+        const path = (tree.path === "") ? file.name : `${tree.path}/${file.name}`;
+        thisScript.queueAdd(
+          file,
+          path,
+          parentId,
+          Array.isArray(tree.replace) === true && tree.replace.includes(file.name));
+      });
+      thisScript.queueRun(env);
+
+      let chain = Promise.resolve();
+      tree.folders.forEach(child => {
+        chain = chain
+          .then(() => thisScript.restNewFolder(parentId, child.name))
+          .then(
+            childId => thisScript.queueTree(env, child, childId),
+            er => {
+              thisScript.queue.push({
+                uploadId: null,
+                file: null,
+                path: child.path,
+                size: 0,
+                parentId,
+                replace: false,
+                status: "failed",
+                loaded: 0,
+                checked: 0,
+                sha256: "",
+                message: er.message,
+                control: null
+              });
+              thisScript.queueRender();
+            });
+      });
+
+      return chain;
+    },
+
+    /**
+     * Adds a file to the upload queue.
+     *
+     * @param {File} file
+     *   The file to upload.
+     * @param {string} path
+     *   The path of the file within the upload.
+     * @param {int} parentId
+     *   The entity ID of the folder to upload into.
+     * @param {boolean} replace
+     *   (optional, default = false) True if the file replaces an existing
+     *   file with the same name.
+     */
+    queueAdd(file, path, parentId, replace = false) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      thisScript.queue.push({
+        uploadId: thisScript.createUploadId(),
+        file,
+        path,
+        size: file.size,
+        parentId,
+        replace,
+        status: "queued",
+        loaded: 0,
+        checked: 0,
+        sha256: "",
+        message: "",
+        control: null
+      });
+
+      thisScript.storeAdd(thisScript.queue[thisScript.queue.length - 1]);
+    },
+
+    /**
+     * Starts queued uploads, up to the maximum number at the same time.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     */
+    queueRun(env) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      let nActive = thisScript.queue.filter(entry =>
+        entry.status === "uploading" ||
+        entry.status === "verifying" ||
+        entry.status === "finishing").length;
+
+      thisScript.queue.forEach(entry => {
+        if (entry.status === "queued" &&
+          nActive < thisScript.maxConcurrentUploads) {
+          ++nActive;
+          thisScript.queueStart(env, entry);
+        }
+      });
+
+      thisScript.queueRender();
+      thisScript.queueCheckDone();
+    },
+
+    /**
+     * Starts an upload from the queue.
+     *
+     * The file's checksum is computed while the file is sent. If the file
+     * is sent first, the entry waits with a "verifying" status until the
+     * checksum is done. The checksum is kept if the upload is retried.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} entry
+     *   The queue entry.
+     */
+    queueStart(env, entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const control = {
+        stopped: false,
+        xhr: null
+      };
+
+      entry.status = "uploading";
+      entry.message = "";
+      entry.control = control;
+
+      let checksum = Promise.resolve(entry.sha256);
+      if (entry.sha256 === "") {
+        checksum = thisScript.checksumFile(
+          entry.file,
+          checked => {
+            entry.checked = checked;
+            thisScript.queueRenderEntry(entry);
+          },
+          control).then(sha256 => {
+          entry.sha256 = sha256;
+          return sha256;
+        });
+      }
+
+      const upload = thisScript.resumableUploadFile(
+        entry.uploadId,
+        entry.file,
+        loaded => {
+          entry.loaded = loaded;
+          thisScript.queueRenderEntry(entry);
+        },
+        control).then(() => {
+        if (control.stopped === false && entry.sha256 === "") {
+          entry.status = "verifying";
+          thisScript.queueRender();
+        }
+      });
+
+      Promise.all([upload, checksum]).then(() => {
+        entry.status = "finishing";
+        thisScript.queueRender();
+        // Save the status first, so that an upload that is finished
+        // just as the page reloads is not restored and sent again.
+        return thisScript.storeSave(entry);
+      }).then(() => {
+        // Finish using the current form, which may have been replaced
+        // by an AJAX update since the upload started.
+        return thisScript.formFinishUploads(
+          thisScript.queueEnv,
+          entry.parentId,
+          [
+            {
+              id: entry.uploadId,
+              name: entry.file.name,
+              size: entry.size,
+              replace: entry.replace,
+              sha256: entry.sha256
+            }
+          ]);
+      }).then(
+        () => {
+          entry.status = "done";
+          entry.loaded = entry.size;
+          thisScript.queueRefreshNeeded = true;
+        },
+        er => {
+          // A paused or canceled upload has already had its status set.
+          // Otherwise stop whichever of the upload or checksum is still
+          // running.
+          if (er.aborted !== true) {
+            control.stopped = true;
+            entry.status = "failed";
+            entry.message = er.message;
+          }
+        }).then(() => {
+        if (entry.control === control) {
+          entry.control = null;
+        }
+
+        thisScript.storeUpdate(entry);
+        thisScript.queueRun(env);
+      });
+    },
+
+    /**
+     * Stops a running upload.
+     *
+     * @param {object} entry
+     *   The queue entry.
+     */
+    queueStop(entry) {
+      if (entry.control !== null) {
+        entry.control.stopped = true;
+        if (entry.control.xhr !== null) {
+          entry.control.xhr.abort();
+        }
+
+        entry.control = null;
+      }
+    },
+
+    /**
+     * Pauses an upload.
+     *
+     * The server keeps the part of the file received so far, and the
+     * upload resumes from there.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} entry
+     *   The queue entry.
+     */
+    queuePause(env, entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (entry.status === "queued" ||
+        entry.status === "uploading" ||
+        entry.status === "verifying") {
+        entry.status = "paused";
+        thisScript.queueStop(entry);
+        thisScript.storeSave(entry);
+        thisScript.queueRun(env);
+      }
+    },
+
+    /**
+     * Resumes a paused upload, or retries a failed or canceled upload.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} entry
+     *   The queue entry.
+     */
+    queueResume(env, entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (entry.file === null) {
+        return;
+      }
+
+      if (entry.status === "paused" ||
+        entry.status === "failed" ||
+        entry.status === "canceled") {
+        entry.status = "queued";
+        thisScript.storeSave(entry);
+        thisScript.queueRun(env);
+      }
+    },
+
+    /**
+     * Cancels an upload.
+     *
+     * The part of the file received so far is discarded by the server.
+     * A failed upload may be canceled too, so that one the server will
+     * always reject can be dismissed.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} entry
+     *   The queue entry.
+     */
+    queueCancel(env, entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (entry.status === "queued" ||
+        entry.status === "uploading" ||
+        entry.status === "verifying" ||
+        entry.status === "paused" ||
+        entry.status === "failed") {
+        entry.status = "canceled";
+        entry.loaded = 0;
+        thisScript.queueStop(entry);
+        thisScript.queueDiscard(entry);
+        thisScript.queueRun(env);
+      }
+    },
+
+    /**
+     * Discards the saved entry and server partial file for an upload.
+     *
+     * Entries for folders that could not be created have no upload, and
+     * nothing to discard.
+     *
+     * @param {object} entry
+     *   The queue entry.
+     */
+    queueDiscard(entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (entry.uploadId !== null) {
+        thisScript.storeDelete(entry);
+        thisScript.resumableCancel(entry.uploadId);
+      }
+    },
+
+    /**
+     * Removes finished entries from the queue.
+     *
+     * Failed uploads are finished too. They are canceled first, so that
+     * the server discards the parts of their files received so far.
+     */
+    queueClear() {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      thisScript.queue.forEach(entry => {
+        if (entry.status === "failed") {
+          entry.status = "canceled";
+          entry.loaded = 0;
+          thisScript.queueDiscard(entry);
+        }
+      });
+
+      thisScript.queue = thisScript.queue.filter(entry =>
+        entry.status !== "done" && entry.status !== "canceled");
+      thisScript.queueRender();
+    },
+
+    /**
+     * Returns true if no uploads are waiting, running, or paused.
+     *
+     * @return {boolean}
+     *   Returns true if the queue is idle.
+     */
+    queueIsIdle() {
+      return Drupal.foldershare.UIUpload.queue.every(entry =>
+        entry.status === "done" ||
+        entry.status === "failed" ||
+        entry.status === "canceled");
+    },
+
+    /**
+     * Refreshes the folder table once the queue is idle after uploads.
+     *
+     * The page is not reloaded, so that whatever the user is doing is
+     * left alone. If the table cannot be refreshed by AJAX, the queue
+     * panel's "Refresh" button is left for the user instead. Uploads that
+     * failed or were canceled stay listed in the panel either way.
+     */
+    queueCheckDone() {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (thisScript.queueRefreshNeeded === true &&
+        thisScript.queueIsIdle() === true &&
+        thisScript.queueEnv !== null) {
+        thisScript.queueRefreshNeeded = false;
+        thisScript.queueRefreshTable(thisScript.queueEnv);
+      }
+    },
+
+    /**
+     * Refreshes the folder table using the view's AJAX refresh.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     *
+     * @return {boolean}
+     *   Returns true if a refresh was started, and false if the view does
+     *   not use AJAX.
+     */
+    queueRefreshTable(env) {
+      const page = env.settings["foldershare-view-page"];
+      if (typeof page === "undefined" || page.viewAjaxEnabled !== true) {
+        return false;
+      }
+
+      // Views' AJAX support listens for this event on the view's element,
+      // which is marked with a "js-view-dom-id-*" class.
+      const $view = env.gather.$table.closest("[class*=\"js-view-dom-id-\"]");
+      if ($view.length === 0) {
+        return false;
+      }
+
+      $view.trigger("RefreshView");
+      return true;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Upload queue storage.
+     *
+     * Queued files are saved in the browser's IndexedDB database, along
+     * with their folder and status, so that a reload or a sleeping laptop
+     * does not lose them. The next time a FolderShare page loads for the
+     * same user, unfinished uploads are put back in the queue and resume
+     * from wherever the server left off.
+     *
+     * Each file is saved once, in its own object store, when it is queued.
+     * Status changes only update a small record without the file, since
+     * saving a file copies all of its bytes into the database. Progress is
+     * not saved, since the server says where to resume. Saved uploads that
+     * have not changed for a while are discarded instead of restored.
+     *
+     * If the browser has no IndexedDB, or it cannot be opened (such as in
+     * some private browsing modes), the queue still works but is not saved.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The name of the IndexedDB database for saved uploads.
+     */
+    storeDatabaseName: "foldershare-uploads",
+
+    /**
+     * The version of the IndexedDB database for saved uploads.
+     */
+    storeDatabaseVersion: 2,
+
+    /**
+     * The name of the object store for saved uploads.
+     */
+    storeObjectStoreName: "queue",
+
+    /**
+     * The name of the object store for the files of saved uploads.
+     */
+    storeFileStoreName: "files",
+
+    /**
+     * The time, in milliseconds, after which an unchanged saved upload is
+     * discarded. The server discards its partial file sooner than this.
+     */
+    storeMaximumAge: 7 * 24 * 60 * 60 * 1000,
+
+    /**
+     * A promise for the open database, or null if not yet opened.
+     */
+    storeDatabase: null,
+
+    /**
+     * True once saved uploads have been restored for this page.
+     */
+    storeRestored: false,
+
+    /**
+     * Opens the database for saved uploads.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves with the database, or with null
+     *   if the database is not available.
+     */
+    storeOpen() {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (thisScript.storeDatabase !== null) {
+        return thisScript.storeDatabase;
+      }
+
+      thisScript.storeDatabase = new Promise(resolve => {
+        if (typeof window.indexedDB === "undefined" ||
+          window.indexedDB === null) {
+          resolve(null);
+          return;
+        }
+
+        let request = null;
+        try {
+          request = window.indexedDB.open(
+            thisScript.storeDatabaseName,
+            thisScript.storeDatabaseVersion);
+        } catch (er) {
+          resolve(null);
+          return;
+        }
+
+        // Version 1 saved each file in its upload's record. Those records
+        // are kept, and restored with their files.
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (db.objectStoreNames.contains(thisScript.storeObjectStoreName) === false) {
+            const store = db.createObjectStore(
+              thisScript.storeObjectStoreName,
+              {
+                keyPath: "uploadId"
+              });
+            store.createIndex("userId", "userId");
+          }
+
+          if (db.objectStoreNames.contains(thisScript.storeFileStoreName) === false) {
+            db.createObjectStore(
+              thisScript.storeFileStoreName,
+              {
+                keyPath: "uploadId"
+              });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      });
+
+      return thisScript.storeDatabase;
+    },
+
+    /**
+     * Runs a request on an object store for saved uploads.
+     *
+     * @param {string} mode
+     *   The transaction mode, either "readonly" or "readwrite".
+     * @param {function} makeRequest
+     *   The function to call with the object store. The function returns
+     *   the IndexedDB request to run.
+     * @param {string} storeName
+     *   (optional, default = the saved uploads store) The name of the
+     *   object store.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves with the request's result, or with
+     *   null if the database is not available or the request fails.
+     */
+    storeRequest(mode, makeRequest, storeName = null) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      return thisScript.storeOpen().then(db => new Promise(resolve => {
+        if (db === null) {
+          resolve(null);
+          return;
+        }
+
+        try {
+          const name = (storeName === null) ?
+            thisScript.storeObjectStoreName : storeName;
+          const request = makeRequest(db
+            .transaction(name, mode)
+            .objectStore(name));
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve(null);
+        } catch (er) {
+          resolve(null);
+        }
+      }));
+    },
+
+    /**
+     * Saves a new upload queue entry and its file.
+     *
+     * If the file cannot be saved, such as when the browser's storage is
+     * full, the entry is not saved either, and the upload is not restored
+     * if the page is closed.
+     *
+     * @param {object} entry
+     *   The queue entry.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the entry has been saved.
+     */
+    storeAdd(entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (entry.file === null || thisScript.queueEnv === null) {
+        return Promise.resolve(null);
+      }
+
+      return thisScript.storeRequest(
+        "readwrite",
+        store => store.put({
+          uploadId: entry.uploadId,
+          file: entry.file
+        }),
+        thisScript.storeFileStoreName).then(result => {
+        if (result === null) {
+          Drupal.foldershare.utility.printMessage(
+            "Upload could not be saved",
+            `"${entry.path}" will not be resumed if the page is closed.`);
+          return null;
+        }
+
+        return thisScript.storeSave(entry);
+      });
+    },
+
+    /**
+     * Saves an upload queue entry, without its file.
+     *
+     * The entry's file is saved once by storeAdd(). Entries for folders
+     * that could not be created have no file and are not saved.
+     *
+     * @param {object} entry
+     *   The queue entry.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the entry has been saved.
+     */
+    storeSave(entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (entry.file === null || thisScript.queueEnv === null) {
+        return Promise.resolve(null);
+      }
+
+      const record = {
+        uploadId: entry.uploadId,
+        userId: String(thisScript.queueEnv.settings.foldershare.user.id),
+        savedTime: Date.now(),
+        path: entry.path,
+        size: entry.size,
+        parentId: entry.parentId,
+        replace: entry.replace,
+        status: entry.status,
+        loaded: entry.loaded,
+        sha256: entry.sha256,
+        message: entry.message
+      };
+
+      return thisScript.storeRequest("readwrite", store => store.put(record));
+    },
+
+    /**
+     * Deletes a saved upload queue entry and its file.
+     *
+     * @param {object} entry
+     *   The queue entry.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the entry has been deleted.
+     */
+    storeDelete(entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      return Promise.all([
+        thisScript.storeRequest(
+          "readwrite",
+          store => store.delete(entry.uploadId)),
+        thisScript.storeRequest(
+          "readwrite",
+          store => store.delete(entry.uploadId),
+          thisScript.storeFileStoreName)
+      ]);
+    },
+
+    /**
+     * Saves or deletes an upload queue entry based upon its status.
+     *
+     * Finished and canceled entries are deleted. All others are saved.
+     *
+     * @param {object} entry
+     *   The queue entry.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the entry has been saved or
+     *   deleted.
+     */
+    storeUpdate(entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (entry.status === "done" || entry.status === "canceled") {
+        return thisScript.storeDelete(entry);
+      }
+
+      return thisScript.storeSave(entry);
+    },
+
+    /**
+     * Restores saved uploads to the queue and starts them.
+     *
+     * Only uploads saved for the current user are restored, and only once
+     * per page load. Uploads that were running are queued again. Paused
+     * and failed uploads stay paused or failed until the user resumes or
+     * retries them. Uploads that were finishing are checked by
+     * storeRestoreFinishing() before they are sent again.
+     *
+     * Uploads that have not been saved for storeMaximumAge, or whose file
+     * was not saved, are discarded along with the server's partial file.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     */
+    storeRestore(env) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      if (thisScript.storeRestored === true) {
+        return;
+      }
+
+      thisScript.storeRestored = true;
+
+      const userId = String(env.settings.foldershare.user.id);
+      const now = Date.now();
+      thisScript.storeRequest(
+        "readonly",
+        store => store.index("userId").getAll(userId)).then(records => {
+        if (records === null || records.length === 0) {
+          return null;
+        }
+
+        // Records saved before files had their own store include the file.
+        return Promise.all(records.map(record => {
+          if (record.file !== undefined) {
+            return record.file;
+          }
+
+          return thisScript.storeRequest(
+            "readonly",
+            store => store.get(record.uploadId),
+            thisScript.storeFileStoreName).then(fileRecord =>
+            ((fileRecord === null || fileRecord === undefined) ?
+              null : fileRecord.file));
+        })).then(files => {
+          records.forEach((record, index) => {
+            if (thisScript.queue.some(entry =>
+              entry.uploadId === record.uploadId) === true) {
+              return;
+            }
+
+            if (files[index] === null ||
+              (typeof record.savedTime === "number" &&
+              now - record.savedTime > thisScript.storeMaximumAge)) {
+              thisScript.storeDelete(record);
+              thisScript.resumableCancel(record.uploadId);
+              return;
+            }
+
+            thisScript.storeRestoreRecord(record, files[index]);
+          });
+
+          thisScript.queueRun(thisScript.queueEnv);
+        });
+      });
+    },
+
+    /**
+     * Adds a saved upload to the queue.
+     *
+     * @param {object} record
+     *   The saved upload's record.
+     * @param {File} file
+     *   The saved upload's file.
+     */
+    storeRestoreRecord(record, file) {
+      const thisScript = Drupal.foldershare.UIUpload;
+
+      let status = "queued";
+      if (record.status === "paused" ||
+        record.status === "failed" ||
+        record.status === "finishing") {
+        status = record.status;
+      }
+
+      const entry = {
+        uploadId: record.uploadId,
+        file,
+        path: record.path,
+        size: record.size,
+        parentId: record.parentId,
+        replace: record.replace,
+        status,
+        loaded: record.loaded,
+        checked: 0,
+        sha256: record.sha256,
+        message: (status === "failed") ? record.message : "",
+        control: null
+      };
+      thisScript.queue.push(entry);
+
+      // Move a file saved in its record into the file store.
+      if (record.file !== undefined) {
+        thisScript.storeAdd(entry);
+      }
+
+      if (status === "finishing") {
+        thisScript.storeRestoreFinishing(entry);
+      }
+    },
+
+    /**
+     * Decides whether a restored upload that was finishing was added.
+     *
+     * Finishing an upload moves its partial file into the folder. If the
+     * server still has the whole partial file, the upload was not added
+     * and is queued again to be finished. If the server has less, the
+     * upload was added, and it is marked done. An empty file cannot be
+     * told apart either way, so it is marked failed for the user to retry
+     * if it is missing.
+     *
+     * @param {object} entry
+     *   The restored queue entry.
+     */
+    storeRestoreFinishing(entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const getText = Drupal.foldershare.utility.getText;
+      const terminology = thisScript.queueEnv.settings.foldershare.terminology;
+
+      const markUnknown = () => {
+        entry.status = "failed";
+        entry.message = getText(
+          terminology,
+          "upload_restore_unknown",
+          "The file may already have been added. Retry only if it is missing.");
+      };
+
+      thisScript.resumableGetOffset(entry.uploadId).then(
+        offset => {
+          if (entry.size === 0) {
+            markUnknown();
+          } else if (offset === entry.size) {
+            entry.status = "queued";
+          } else {
+            entry.status = "done";
+            entry.loaded = entry.size;
+            thisScript.queueRefreshNeeded = true;
+          }
+        },
+        markUnknown).then(() => {
+        thisScript.storeUpdate(entry);
+        thisScript.queueRun(thisScript.queueEnv);
+      });
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Upload queue panel.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Adds the upload queue panel to the folder table menu's toolbar.
+     *
+     * If there is a panel there already, it is removed first.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} $after
+     *   The toolbar element after which to add the panel.
+     */
+    queueAttach(env, $after) {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const terminology = env.settings.foldershare.terminology;
+      const getText = Drupal.foldershare.utility.getText;
+
+      thisScript.queueEnv = env;
+
+      // Clicking on the pending uploads badge expands the panel.
+      $(".foldershare-upload-pending", env.gather.$subform)
+        .off("click.foldershare")
+        .on("click.foldershare", () => {
+          thisScript.queueCollapsed = false;
+          thisScript.queueRender();
+          $(".foldershare-upload-queue-toggle", env.gather.$subform).focus();
+          return false;
+        });
+
+      $(".foldershare-upload-queue", env.gather.$subform).remove();
+      $after.after(`<div class="foldershare-upload-queue hidden">
+<div class="foldershare-upload-queue-header">
+<button type="button" class="foldershare-upload-queue-toggle" aria-expanded="true"></button>
+<progress class="foldershare-upload-queue-total" max="1" value="0"></progress>
+<button type="button" class="foldershare-upload-queue-refresh">${getText(terminology, "upload_queue_refresh", "Refresh")}</button>
+<button type="button" class="foldershare-upload-queue-clear">${getText(terminology, "upload_queue_clear", "Clear finished")}</button>
+</div>
+<table class="foldershare-upload-queue-list"><tbody></tbody></table>
+</div>`);
+
+      const $panel = $(".foldershare-upload-queue", env.gather.$subform);
+
+      $(".foldershare-upload-queue-toggle", $panel)
+        .on("click.foldershare", () => {
+          thisScript.queueCollapsed = !thisScript.queueCollapsed;
+          thisScript.queueRender();
+          return false;
+        });
+      $(".foldershare-upload-queue-refresh", $panel)
+        .on("click.foldershare", () => {
+          if (thisScript.queueRefreshTable(env) === false) {
+            window.location.reload();
+          }
+
+          return false;
+        });
+      $(".foldershare-upload-queue-clear", $panel)
+        .on("click.foldershare", () => {
+          thisScript.queueClear();
+          return false;
+        });
+
+      $panel.on("click.foldershare", "button[data-foldershare-upload-action]", ev => {
+        const $button = $(ev.currentTarget);
+        const index = Number($button.closest("tr").attr("data-foldershare-upload-index"));
+        const entry = thisScript.queue[index];
+        if (typeof entry !== "undefined") {
+          switch ($button.attr("data-foldershare-upload-action")) {
+            case "pause":
+              thisScript.queuePause(env, entry);
+              break;
+
+            case "resume":
+            case "retry":
+              thisScript.queueResume(env, entry);
+              break;
+
+            case "cancel":
+              thisScript.queueCancel(env, entry);
+              break;
+
+            default:
+              break;
+          }
+        }
+
+        return false;
+      });
+
+      thisScript.queueRender();
+      thisScript.storeRestore(env);
+    },
+
+    /**
+     * Renders the upload queue panel.
+     *
+     * The panel is hidden when the queue is empty.
+     */
+    queueRender() {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const env = thisScript.queueEnv;
+      if (env === null) {
+        return;
+      }
+
+      thisScript.queueRenderPending();
+
+      const $panel = $(".foldershare-upload-queue", env.gather.$subform);
+      if (thisScript.queue.length === 0) {
+        $panel.addClass("hidden");
+        return;
+      }
+
+      $panel.removeClass("hidden");
+      $panel.toggleClass(
+        "foldershare-upload-queue-collapsed",
+        thisScript.queueCollapsed);
+      $(".foldershare-upload-queue-toggle", $panel)
+        .attr("aria-expanded", thisScript.queueCollapsed === false ? "true" : "false");
+
+      const nDone = thisScript.queue.filter(entry =>
+        entry.status === "done").length;
+      const nFinished = thisScript.queue.filter(entry =>
+        entry.status === "done" ||
+        entry.status === "failed" ||
+        entry.status === "canceled").length;
+      $(".foldershare-upload-queue-refresh", $panel)
+        .toggle(nDone !== 0 && thisScript.queueIsIdle() === true);
+      $(".foldershare-upload-queue-clear", $panel)
+        .toggle(nFinished !== 0);
+
+      const $tbody = $(".foldershare-upload-queue-list tbody", $panel);
+      $tbody.empty();
+      thisScript.queue.forEach((entry, index) => {
+        $tbody.append(thisScript.queueBuildRow(env, entry, index));
+      });
+
+      thisScript.queueRenderSummary();
+    },
+
+    /**
+     * Renders the pending uploads badge beside the menu button.
+     *
+     * The badge counts uploads that are waiting, running, or paused, and
+     * is hidden when there are none.
+     */
+    queueRenderPending() {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const env = thisScript.queueEnv;
+      const $badge = $(".foldershare-upload-pending", env.gather.$subform);
+
+      const nPending = thisScript.queue.filter(entry =>
+        entry.status !== "done" &&
+        entry.status !== "failed" &&
+        entry.status !== "canceled").length;
+
+      $badge
+        .toggleClass("hidden", nPending === 0)
+        .text(Drupal.formatPlural(
+          nPending,
+          "1 upload pending",
+          "@count uploads pending"));
+    },
+
+    /**
+     * Renders the upload queue panel's summary line and total progress.
+     */
+    queueRenderSummary() {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const env = thisScript.queueEnv;
+      const $panel = $(".foldershare-upload-queue", env.gather.$subform);
+
+      let total = 0;
+      let loaded = 0;
+      thisScript.queue.forEach(entry => {
+        if (entry.status !== "canceled") {
+          total += entry.size;
+          loaded += entry.loaded;
+        }
+      });
+
+      $(".foldershare-upload-queue-total", $panel)
+        .attr("max", Math.max(total, 1))
+        .attr("value", loaded);
+      $(".foldershare-upload-queue-toggle", $panel)
+        .text(Drupal.foldershare.utility.getText(
+          env.settings.foldershare.terminology,
+          "upload_queue_summary",
+          "Uploads: @done of @total done",
+          {
+            "@done": thisScript.queue.filter(entry =>
+              entry.status === "done").length,
+            "@total": thisScript.queue.length
+          }));
+    },
+
+    /**
+     * Updates one upload queue panel row with the entry's progress.
+     *
+     * @param {object} entry
+     *   The queue entry.
+     */
+    queueRenderEntry(entry) {
+      const thisScript = Drupal.foldershare.UIUpload;
+      const env = thisScript.queueEnv;
+      if (env === null) {
+        return;
+      }
+
+      const index = thisScript.queue.indexOf(entry);
+      const $tr = $(
+        `.foldershare-upload-queue tr[data-foldershare-upload-index="${index}"]`,
+        env.gather.$subform);
+      $(".foldershare-upload-progress", $tr).attr("value", entry.loaded);
+      $(".foldershare-upload-checksum", $tr).attr("value", entry.checked);
+      thisScript.queueRenderSummary();
+    },
+
+    /**
+     * Builds one upload queue panel row.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} entry
+     *   The queue entry.
+     * @param {int} index
+     *   The entry's index in the queue.
+     *
+     * @return {object}
+     *   Returns the jQuery row.
+     */
+    queueBuildRow(env, entry, index) {
+      const terminology = env.settings.foldershare.terminology;
+      const getText = Drupal.foldershare.utility.getText;
+
+      const statusText = {
+        queued: getText(terminology, "upload_status_queued", "Waiting"),
+        uploading: getText(terminology, "upload_status_uploading", "Uploading"),
+        verifying: getText(terminology, "upload_status_verifying", "Verifying"),
+        paused: getText(terminology, "upload_status_paused", "Paused"),
+        finishing: getText(terminology, "upload_status_finishing", "Finishing"),
+        done: getText(terminology, "upload_status_done", "Done"),
+        failed: getText(terminology, "upload_status_failed", "Failed"),
+        canceled: getText(terminology, "upload_status_canceled", "Canceled")
+      };
+
+      const actions = [];
+      switch (entry.status) {
+        case "queued":
+        case "uploading":
+        case "verifying":
+          actions.push("pause", "cancel");
+          break;
+
+        case "paused":
+          actions.push("resume", "cancel");
+          break;
+
+        case "failed":
+          if (entry.file !== null) {
+            actions.push("retry");
+          }
+          actions.push("cancel");
+          break;
+
+        case "canceled":
+          if (entry.file !== null) {
+            actions.push("retry");
+          }
+          break;
+
+        default:
+          break;
+      }
+
+      const actionText = {
+        pause: getText(terminology, "upload_pause", "Pause"),
+        resume: getText(terminology, "upload_resume", "Resume"),
+        cancel: getText(terminology, "upload_cancel", "Cancel"),
+        retry: getText(terminology, "upload_retry", "Retry")
+      };
+
+      const $tr = $(`<tr class="foldershare-upload-${entry.status}" data-foldershare-upload-index="${index}"><td class="foldershare-upload-name"></td><td class="foldershare-upload-size"></td><td class="foldershare-upload-status"></td><td class="foldershare-upload-actions"></td></tr>`);
+
+      $(".foldershare-upload-name", $tr).text(entry.path);
+      if (entry.file !== null) {
+        $(".foldershare-upload-size", $tr)
+          .text(Drupal.foldershare.utility.formatBytes(entry.size));
+      }
+
+      const $status = $(".foldershare-upload-status", $tr);
+      $status.text(statusText[entry.status]);
+      const max = Math.max(entry.size, 1);
+      if (entry.status === "uploading" || entry.status === "paused") {
+        $status.append(
+          `<progress class="foldershare-upload-progress" max="${max}" value="${entry.loaded}"></progress>`);
+      }
+
+      if (entry.sha256 === "" &&
+        (entry.status === "uploading" ||
+        entry.status === "verifying" ||
+        entry.status === "paused")) {
+        $(`<progress class="foldershare-upload-checksum" max="${max}" value="${entry.checked}"></progress>`)
+          .attr("title", getText(
+            terminology,
+            "upload_checksum",
+            "Computing checksum"))
+          .appendTo($status);
+      }
+
+      if (entry.message !== "") {
+        $status.attr("title", entry.message);
+        $("<span class=\"foldershare-upload-message\"></span>")
+          .text(entry.message)
+          .appendTo($status);
+      }
+
+      const $actions = $(".foldershare-upload-actions", $tr);
+      actions.forEach(action => {
+        $(`<button type="button" data-foldershare-upload-action="${action}"></button>`)
+          .text(actionText[action])
+          .attr("aria-label", `${actionText[action]} ${entry.path}`)
+          .appendTo($actions);
+      });
+
+      return $tr;
+    }
+  };
+})(jQuery, Drupal);
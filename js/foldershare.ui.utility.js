@@ -3,7 +3,8 @@
  * Implements the FolderShare utility functions.
  *
  * The utility functions are shared among multiple UI scripts for the module.
- * They provide string handling and error message printing.
+ * They provide string handling and natural ordering, table type-ahead find,
+ * and error message printing.
  *
  * @ingroup foldershare
  */
@@ -124,6 +125,219 @@
       return term;
     },
 
+    /**
+     * Returns translated text, or a default if there is no translation.
+     *
+     * The text is looked up in the list of translated text provided by
+     * the server. Unlike getTerm(), the text is returned as-is without
+     * changing its case. It may contain HTML and "@name" placeholders.
+     *
+     * @param {object} terminology
+     *   A terminology object containing a 'text' property that is an array
+     *   with strings as keys, and the translated form of the string as
+     *   values.
+     * @param {string} key
+     *   The key of the text to look up.
+     * @param {string} defaultText
+     *   The (English) text to return if the key is not found.
+     * @param {object} replacements
+     *   (optional, default = null = none) An object with "@name" keys and
+     *   values to substitute into the text.
+     *
+     * @return {string}
+     *   The translated text.
+     */
+    getText(terminology, key, defaultText, replacements = null) {
+      let text = defaultText;
+      if ("text" in terminology === true && key in terminology.text === true) {
+        text = terminology.text[key];
+      }
+
+      if (replacements !== null) {
+        Object.keys(replacements).forEach(name => {
+          text = text.split(name).join(replacements[name]);
+        });
+      }
+
+      return text;
+    },
+
+    /**
+     * The collator used by naturalCompare(), or null if not yet created.
+     */
+    naturalCollator: null,
+
+    /**
+     * Compares two strings in natural order.
+     *
+     * Runs of digits are compared by value, so "file2" comes before
+     * "file10". Letters are compared without regard to case or accents.
+     *
+     * @param {string} a
+     *   The first string.
+     * @param {string} b
+     *   The second string.
+     *
+     * @return {number}
+     *   Returns a negative number if a comes before b, a positive number
+     *   if a comes after b, and zero if they are equivalent.
+     */
+    naturalCompare(a, b) {
+      const utility = Drupal.foldershare.utility;
+      if (utility.naturalCollator === null) {
+        utility.naturalCollator = new Intl.Collator(undefined, {
+          numeric: true,
+          sensitivity: "base"
+        });
+      }
+
+      return utility.naturalCollator.compare(a, b);
+    },
+
+    /**
+     * Returns a string describing a number of bytes.
+     *
+     * This mirrors the server's Utilities::formatBytes() with its default
+     * arguments, using "K", "M", "G", etc. for multiples of 1000.
+     *
+     * @param {int} number
+     *   The number of bytes.
+     *
+     * @return {string}
+     *   The formatted size, such as "1 byte", "12 bytes", or "1.50 MB".
+     */
+    formatBytes(number) {
+      if (number < 1000) {
+        return Drupal.formatPlural(number, "1 byte", "@count bytes");
+      }
+
+      let value = number / 1000;
+      let unit = "K";
+      const units = ["M", "G", "T", "P", "E", "Z", "Y"];
+      for (let i = 0; i < units.length && value >= 1000; ++i) {
+        value /= 1000;
+        unit = units[i];
+      }
+
+      return `${value.toFixed(2)} ${unit}B`;
+    },
+
+    /**
+     * Returns the number of bytes described by a string.
+     *
+     * This reverses the server's Utilities::formatBytes() for any of its
+     * settings, such as "12 bytes", "1.50 MB", "1.50 MiB", or "1.50
+     * Megabytes". Since the string is rounded, the result is approximate.
+     *
+     * @param {string} text
+     *   The formatted size.
+     *
+     * @return {number}
+     *   Returns the number of bytes, or null if the text is not a size.
+     */
+    parseBytes(text) {
+      const match = /^([0-9][0-9,]*(?:\.[0-9]+)?)\s*([a-z]*)/i
+        .exec(text.trim());
+      if (match === null) {
+        return null;
+      }
+
+      const value = Number(match[1].replace(/,/g, ""));
+      const units = "KMGTPEZY";
+      const power = units.indexOf(match[2].charAt(0).toUpperCase()) + 1;
+      if (match[2].length === 0 || power === 0) {
+        return value;
+      }
+
+      // Kibibytes, Mebibytes, etc. are abbreviated "KiB", "MiB", etc.
+      const binary = /^[a-z]iB$|bibyte/i.test(match[2]);
+      return Math.round(value * ((binary === true ? 1024 : 1000) ** power));
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Table utilities.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The delay, in milliseconds, after which a type-ahead prefix resets.
+     */
+    typeAheadResetDelay: 1000,
+
+    /**
+     * Returns a new type-ahead state object.
+     *
+     * @return {object}
+     *   Returns an object with the current "prefix" and the "time" of
+     *   the last key added to it.
+     */
+    typeAheadCreate() {
+      return {
+        prefix: "",
+        time: 0
+      };
+    },
+
+    /**
+     * Returns true if a type-ahead prefix is being typed.
+     *
+     * @param {object} state
+     *   The type-ahead state from typeAheadCreate().
+     *
+     * @return {boolean}
+     *   Returns true if there is a prefix and it has not yet reset.
+     */
+    typeAheadIsActive(state) {
+      return state.prefix.length !== 0 &&
+        (Date.now() - state.time) <= Drupal.foldershare.utility.typeAheadResetDelay;
+    },
+
+    /**
+     * Adds a character to a type-ahead prefix and finds a matching row.
+     *
+     * If the user has paused since the last character, the prefix is reset
+     * first. Rows are matched by a case-insensitive comparison of the prefix
+     * against the text of the anchor in each row's name column. Rows
+     * without an anchor, or with a disabled anchor, are skipped.
+     *
+     * @param {object} state
+     *   The type-ahead state from typeAheadCreate(). The state is updated.
+     * @param {string} character
+     *   The character typed.
+     * @param {object} $rows
+     *   The table rows to search.
+     * @param {string} nameColumn
+     *   The class of the name column.
+     *
+     * @return {Element}
+     *   Returns the first matching row, or null if there is no match.
+     */
+    typeAheadFind(state, character, $rows, nameColumn) {
+      if (Drupal.foldershare.utility.typeAheadIsActive(state) === false) {
+        state.prefix = "";
+      }
+
+      state.prefix += character.toLowerCase();
+      state.time = Date.now();
+
+      const match = $rows.toArray().find(tr => {
+        const $a = $(`td.${nameColumn} a`, tr);
+        if ($a.length === 0) {
+          return false;
+        }
+
+        const disabled = $a.attr("data-foldershare-disabled");
+        if (typeof disabled !== "undefined" && disabled === true) {
+          return false;
+        }
+
+        return $a.text().trim().toLowerCase().startsWith(state.prefix);
+      });
+
+      return (typeof match === "undefined") ? null : match;
+    },
+
     /*--------------------------------------------------------------------
      *
      * Print utilities.
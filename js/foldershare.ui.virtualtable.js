@@ -0,0 +1,902 @@
+/**
+ * @file
+ * Implements the FolderShare virtual folder table.
+ *
+ * A folder with many items would give the folder table thousands of rows,
+ * each with its own markup and behaviors. For such folders, the rows from
+ * Views are replaced by a virtual table that loads items from the server a
+ * window at a time and renders only the rows near the visible part of the
+ * page. Spacer rows above and below the rendered rows keep the table the
+ * height it would have if every row were present, so the page's scroll
+ * bar covers the whole listing.
+ *
+ * Items are loaded using the REST "get-descendants" operation, with the
+ * "X-FolderShare-Offset" and "X-FolderShare-Limit" headers selecting a
+ * window of the folder's items sorted by name. Each rendered row mimics a
+ * Views row, including the data attributes on the name anchor, so that
+ * the folder table menu's behaviors work on it unchanged.
+ *
+ * The selection model holds items whether or not they have rows, so
+ * selections survive rows scrolling out of view. A shift-click selects
+ * the items between the clicked row and the last row clicked, loading
+ * any windows in between. Selecting all, or inverting the selection,
+ * loads the whole listing.
+ *
+ * A virtual table is always sorted by name, cannot be filtered, and is
+ * always shown as a table rather than a grid. Selecting by pattern only
+ * matches rows that have been rendered.
+ *
+ * @ingroup foldershare
+ * @see \Drupal\foldershare\Form\UIFolderTableMenu
+ * @see \Drupal\foldershare\Plugin\rest\resource\FolderShareResource
+ */
+(function($, Drupal) {
+  // Check pre-requisits.
+  //
+  // The utility and collision libraries must have been loaded before this
+  // script.
+  if ("foldershare" in Drupal === false ||
+    "utility" in Drupal.foldershare === false ||
+    "UICollision" in Drupal.foldershare === false) {
+    console.log(
+      "%cFolderShare: Javascript files included in wrong order%c\n%cfoldershare.ui.virtualtable.js requires that foldershare.ui.utility.js and foldershare.ui.collision.js be included first.",
+      "font-weight: bold",
+      "font-weight: normal",
+      "padding-left: 2em",
+      "padding-left: 0");
+    window.stop();
+  }
+
+  Drupal.foldershare.UIVirtualTable = {
+    /*--------------------------------------------------------------------
+     *
+     * Constants - server.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The REST path for an existing entity, before its entity ID.
+     */
+    restEntityPath: "foldershare/",
+
+    /**
+     * The page path for an existing entity, before its entity ID.
+     */
+    entityPath: "foldershare/",
+
+    /*--------------------------------------------------------------------
+     *
+     * Constants - listing.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * The number of items loaded by each request.
+     */
+    windowSize: 200,
+
+    /**
+     * The number of rows rendered above and below the visible rows.
+     */
+    overscan: 20,
+
+    /**
+     * The row height, in pixels, used until a row has been measured.
+     */
+    defaultRowHeight: 32,
+
+    /*--------------------------------------------------------------------
+     *
+     * Setup.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Returns true if the folder table is virtual.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     *
+     * @return {boolean}
+     *   Returns true if the table is virtual.
+     */
+    isActive(env) {
+      return typeof env.virtual !== "undefined" && env.virtual !== null;
+    },
+
+    /**
+     * Replaces the table's rows with a virtual table, if the folder is large.
+     *
+     * The table's header links for sorting are removed, since the listing
+     * is always sorted by name, and any Views pager is hidden. The body
+     * is emptied, leaving only spacer rows, and rows for the visible part
+     * of the listing are rendered as their items load.
+     *
+     * The table is only virtual if the server has enabled virtual tables,
+     * which load items from the REST resource, and the folder has at least
+     * the server's minimum number of items.
+     *
+     * The environment's "virtual" property is set to an object describing
+     * the listing, or to null if the table is not virtual.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     *
+     * @return {boolean}
+     *   Returns true if the table is virtual, and false otherwise.
+     */
+    attach(env) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const menuScript = Drupal.foldershare.UIFolderTableMenu;
+      const $thead = env.gather.$thead;
+      const $tbody = env.gather.$tbody;
+      const total = Number(env.settings.foldershare.page.childcount);
+      const settings = env.settings.foldershare.virtualTable;
+
+      $(window).off("scroll.foldershare-virtual resize.foldershare-virtual");
+      env.virtual = null;
+
+      if (typeof settings === "undefined" ||
+        settings.enabled !== true ||
+        Number.isNaN(total) === true ||
+        total < Number(settings.minimumItems)) {
+        return false;
+      }
+
+      //
+      // Header
+      // ------
+      // Note each column's class and ID for use on rendered cells, then
+      // remove the sort links and mark the name column as sorted.
+      const columns = [];
+      $("th", $thead).not(".foldershare-checkbox-column").each((index, th) => {
+        columns.push({
+          column: menuScript.tableGetColumnClass(th),
+          id: $(th).attr("id")
+        });
+      });
+
+      $("th", $thead).removeClass("is-active").removeAttr("aria-sort");
+      $("th .tablesort", $thead).remove();
+      $("th a", $thead).contents().unwrap();
+      $(`th.${env.gather.nameColumn}`, $thead).attr("aria-sort", "ascending");
+
+      $(".pager", env.$topElement).addClass("hidden");
+
+      //
+      // Body
+      // ----
+      // Replace the rows with spacers. Rendered rows go between them.
+      const spacer = `<tr class="foldershare-virtual-spacer" aria-hidden="true"><td colspan="${columns.length}"></td></tr>`;
+      $tbody.empty();
+      $tbody.append(spacer);
+      $tbody.append(spacer);
+
+      env.virtual = {
+        total: total,
+        columns: columns,
+        rowHeight: thisScript.defaultRowHeight,
+        measured: false,
+        entries: [],
+        items: [],
+        windows: [],
+        failed: false,
+        first: 0,
+        last: 0,
+        anchor: NaN,
+        frame: null,
+        $top: $("tr.foldershare-virtual-spacer", $tbody).first(),
+        $bottom: $("tr.foldershare-virtual-spacer", $tbody).last()
+      };
+
+      $(window).on("scroll.foldershare-virtual resize.foldershare-virtual", () =>
+        thisScript.renderRequest(env));
+
+      thisScript.render(env);
+      return true;
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Load.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Loads the items in a range of the listing.
+     *
+     * Windows are requested one at a time, so that loading a large range,
+     * such as the whole listing, does not flood the server with requests.
+     * Windows that are already loaded, or loading, are not requested again.
+     * Loading stops if the table is rebuilt before the range is loaded.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {int} first
+     *   The 0-based listing index of the first item.
+     * @param {int} last
+     *   The listing index after the last item.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the items are loaded.
+     */
+    loadRange(env, first, last) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const size = thisScript.windowSize;
+      const v = env.virtual;
+
+      let load = Promise.resolve();
+      for (let w = Math.floor(first / size); w * size < last; ++w) {
+        load = load.then(() => {
+          if (env.virtual !== v) {
+            return null;
+          }
+
+          return thisScript.loadWindow(env, w);
+        });
+      }
+
+      return load;
+    },
+
+    /**
+     * Loads one window of the listing.
+     *
+     * When the window arrives, its items are saved and the rows are
+     * rendered again to replace any rows waiting on the window. If the
+     * window cannot be loaded, it is forgotten so that a later attempt
+     * requests it again, and the waiting rows offer to retry.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {int} w
+     *   The 0-based window number.
+     *
+     * @return {Promise}
+     *   Returns a promise that resolves when the window is loaded.
+     */
+    loadWindow(env, w) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const v = env.virtual;
+      const offset = w * thisScript.windowSize;
+
+      if (typeof v.windows[w] !== "undefined") {
+        return v.windows[w];
+      }
+
+      v.failed = false;
+      v.windows[w] = new Promise((resolve, reject) => {
+        $.ajax({
+          url: Drupal.url(`${thisScript.restEntityPath}${env.settings.foldershare.page.id}?_format=json`),
+          method: "GET",
+          dataType: "json",
+          headers: {
+            "X-FolderShare-Get-Operation": "get-descendants",
+            "X-FolderShare-Return-Format": "keyvalue",
+            "X-FolderShare-Offset": offset,
+            "X-FolderShare-Limit": thisScript.windowSize
+          }
+        }).done((data, status, xhr) => {
+          const entries = (xhr.status === 204 || Array.isArray(data) === false) ?
+            [] : data;
+          entries.forEach((entry, index) => {
+            v.entries[offset + index] = entry;
+            v.items[offset + index] = thisScript.createItem(env, entry);
+          });
+
+          // Items added or deleted since the page was built change the
+          // listing's length.
+          const total = Number(xhr.getResponseHeader("X-FolderShare-Total"));
+          if (Number.isNaN(total) === false && total !== v.total) {
+            v.total = total;
+          }
+
+          thisScript.renderRequest(env);
+          resolve();
+        }).fail((xhr, status, error) => {
+          delete v.windows[w];
+          v.failed = true;
+          thisScript.renderRequest(env);
+          reject(new Error(
+            Drupal.foldershare.UICollision.restGetError(xhr, error)));
+        });
+      });
+
+      return v.windows[w];
+    },
+
+    /**
+     * Returns a description of a loaded item.
+     *
+     * The description matches that returned by the folder table menu's
+     * tableGetRowItem() for the item's row. Items share the sharing state
+     * of the page, since access grants are set on the root item only.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {object} entry
+     *   The item's key-value description from the server.
+     *
+     * @return {object}
+     *   Returns the item's description, or null if the item is disabled.
+     */
+    createItem(env, entry) {
+      const page = env.settings.foldershare.page;
+      const userId = String(env.settings.foldershare.user.id);
+
+      if (entry.systemdisabled === "1") {
+        return null;
+      }
+
+      const name = String(entry.name);
+      const dot = name.lastIndexOf(".");
+      const ownerid = String(entry["user-id"]);
+
+      return {
+        id: String(entry.id),
+        kind: entry.kind,
+        name: name,
+        access: entry.access,
+        extension: (entry.kind === "folder" || dot === -1) ?
+          "" : name.substring(dot + 1).toLowerCase(),
+        size: (typeof entry.size === "undefined") ? null : Number(entry.size),
+        ownerid: ownerid,
+        ownedbyuser: ownerid === userId,
+        ownedbyanonymous: ownerid === "0",
+        ownedbyanother: ownerid !== userId,
+        sharedbyuser: page.sharedbyuser === true,
+        sharedwithusertoview: page.sharedwithusertoview === true,
+        sharedwithusertoauthor: page.sharedwithusertoauthor === true,
+        sharedwithanonymoustoview: page.sharedwithanonymoustoview === true,
+        sharedwithanonymoustoauthor: page.sharedwithanonymoustoauthor === true
+      };
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Render.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Renders the rows on the next animation frame.
+     *
+     * Repeated requests before the frame render only once.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     */
+    renderRequest(env) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const v = env.virtual;
+
+      if (v === null || v.frame !== null) {
+        return;
+      }
+
+      v.frame = window.requestAnimationFrame(() => {
+        v.frame = null;
+        thisScript.render(env);
+      });
+    },
+
+    /**
+     * Returns the range of listing indexes that should have rows.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     *
+     * @return {object}
+     *   Returns an object with 'first' and 'last' properties for the
+     *   0-based listing index of the first row and the index after the
+     *   last row.
+     */
+    getRenderRange(env) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const v = env.virtual;
+
+      // The top spacer starts where the first item's row would be.
+      const top = v.$top[0].getBoundingClientRect().top;
+      const clamp = index => Math.min(Math.max(index, 0), v.total);
+
+      const last = clamp(
+        Math.ceil((window.innerHeight - top) / v.rowHeight) + thisScript.overscan);
+      const first = Math.min(
+        clamp(Math.floor(-top / v.rowHeight) - thisScript.overscan),
+        last);
+
+      return {
+        first: first,
+        last: last
+      };
+    },
+
+    /**
+     * Renders the rows near the visible part of the listing.
+     *
+     * Rows that are already rendered are kept, so that their state and
+     * any drag in progress are not disturbed. Rows outside the range are
+     * removed, except during a row drag, since a drag ends if its row
+     * leaves the document. Rows for items that are not loaded yet are
+     * rendered as placeholders, and their windows requested.
+     *
+     * The table's cursor and drag-over row indexes are kept on the same
+     * items as rows are added and removed above them.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     */
+    render(env) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const menuScript = Drupal.foldershare.UIFolderTableMenu;
+      const v = env.virtual;
+      const $table = env.gather.$table;
+      const $tbody = env.gather.$tbody;
+      const indexAttr = "data-foldershare-virtual-index";
+
+      let { first, last } = thisScript.getRenderRange(env);
+      if ($table.attr(menuScript.tableDragOperand) === "rows" &&
+        v.last > v.first) {
+        first = Math.min(first, v.first);
+        last = Math.max(last, Math.min(v.last, v.total));
+      }
+
+      if (first < last && v.failed === false) {
+        thisScript.loadRange(env, first, last).catch(err => {
+          Drupal.foldershare.utility.printMessage(
+            "Folder list could not be loaded", err.message);
+        });
+      }
+
+      // Note the listing index of the rows that table attributes refer to.
+      const marks = {};
+      [menuScript.tableCursorRowIndex, menuScript.tableDragRowIndex].forEach(attr => {
+        const rowIndex = Number($table.attr(attr));
+        const tr = $("tr", $tbody)[rowIndex - 1];
+        marks[attr] = (typeof tr === "undefined") ?
+          NaN : Number($(tr).attr(indexAttr));
+      });
+
+      //
+      // Remove rows
+      // -----------
+      // Remove rows outside the range, placeholders for loaded items, and
+      // placeholders that say the wrong thing about loading.
+      const rows = new Map();
+      let changed = false;
+      $(`tr[${indexAttr}]`, $tbody).each((index, tr) => {
+        const listingIndex = Number($(tr).attr(indexAttr));
+        if (listingIndex < first || listingIndex >= last ||
+          ($(tr).hasClass("foldershare-virtual-pending") === true &&
+            (typeof v.entries[listingIndex] !== "undefined" ||
+            $(tr).hasClass("foldershare-virtual-failed") !== v.failed))) {
+          $(tr).remove();
+          changed = true;
+        } else {
+          rows.set(listingIndex, tr);
+        }
+      });
+
+      //
+      // Add rows
+      // --------
+      // Add rows that are missing from the range, in order.
+      const items = menuScript.selectionGet(env).items;
+      let prev = v.$top[0];
+      for (let listingIndex = first; listingIndex < last; ++listingIndex) {
+        let tr = rows.get(listingIndex);
+        if (typeof tr === "undefined") {
+          tr = thisScript.createRow(env, listingIndex);
+          const item = v.items[listingIndex];
+          if (typeof item !== "undefined" && item !== null &&
+            item.id in items === true) {
+            tr.classList.add("selected");
+          }
+
+          $(prev).after(tr);
+          changed = true;
+        }
+
+        prev = tr;
+      }
+
+      // Measure a real row once, since the spacers depend upon it.
+      if (v.measured === false) {
+        const tr = $(`tr[${indexAttr}]`, $tbody).not(".foldershare-virtual-pending")[0];
+        if (typeof tr !== "undefined" && tr.offsetHeight > 0) {
+          v.measured = true;
+          if (tr.offsetHeight !== v.rowHeight) {
+            v.rowHeight = tr.offsetHeight;
+            thisScript.renderRequest(env);
+          }
+        }
+      }
+
+      v.first = first;
+      v.last = last;
+      $("td", v.$top).css("height", `${first * v.rowHeight}px`);
+      $("td", v.$bottom).css("height", `${(v.total - last) * v.rowHeight}px`);
+
+      if (changed === false) {
+        return;
+      }
+
+      //
+      // Restore state
+      // -------------
+      // Point the table attributes at the same items' rows, then update
+      // the column layout, checkboxes, cut marks, and screen reader
+      // attributes of the new rows.
+      Object.keys(marks).forEach(attr => {
+        const tr = $(`tr[${indexAttr}="${marks[attr]}"]`, $tbody)[0];
+        $table.attr(attr, (typeof tr === "undefined") ? "NaN" : tr.rowIndex);
+        if (attr === menuScript.tableCursorRowIndex && typeof tr !== "undefined") {
+          tr.classList.add("foldershare-cursor");
+        }
+      });
+
+      menuScript.tableSetSelectionRange(env);
+      menuScript.tableColumnsApply(env);
+      if ($("th.foldershare-checkbox-column", env.gather.$thead).length !== 0) {
+        menuScript.tableCheckboxAttach(env);
+      }
+
+      menuScript.clipboardUpdate(env);
+      menuScript.ariaUpdate(env);
+    },
+
+    /**
+     * Creates the row for an item in the listing.
+     *
+     * Rows for loaded items mimic the rows built by Views and the module's
+     * name field formatter. Text is wrapped in spans, as for Views rows,
+     * so that drags can tell text from blank space. Items that are not
+     * loaded yet get a placeholder row, with a button to retry if loading
+     * failed.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {int} listingIndex
+     *   The 0-based listing index of the item.
+     *
+     * @return {Element}
+     *   Returns the row.
+     */
+    createRow(env, listingIndex) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const utility = Drupal.foldershare.utility;
+      const v = env.virtual;
+      const entry = v.entries[listingIndex];
+
+      const $tr = $("<tr></tr>");
+      $tr.attr("data-foldershare-virtual-index", listingIndex);
+
+      if (typeof entry === "undefined") {
+        const terminology = env.settings.foldershare.terminology;
+        const $td = $(`<td colspan="${v.columns.length}"></td>`);
+        $tr.addClass("foldershare-virtual-pending");
+        $tr.append($td);
+
+        if (v.failed === false) {
+          $td.append($("<span></span>").text(utility.getText(
+            terminology,
+            "virtual_loading",
+            "Loading...")));
+          return $tr[0];
+        }
+
+        // Mouse downs and clicks stop here so that they do not also
+        // select the row or start a marquee.
+        $tr.addClass("foldershare-virtual-failed");
+        $td.append($("<span></span>").text(utility.getText(
+          terminology,
+          "virtual_failed",
+          "The list could not be loaded.")));
+        $td.append($('<button type="button" class="foldershare-virtual-retry"></button>')
+          .text(utility.getText(terminology, "virtual_retry", "Retry"))
+          .on("mousedown.foldershare", ev => {
+            ev.stopPropagation();
+          })
+          .on("click.foldershare", () => {
+            v.failed = false;
+            thisScript.render(env);
+            return false;
+          }));
+        return $tr[0];
+      }
+
+      if (env.dndCopyEnabled === true || env.dndMoveEnabled === true) {
+        $tr.attr("draggable", "true");
+      }
+
+      v.columns.forEach(column => {
+        const $td = $("<td></td>");
+        $td.addClass(`views-field ${column.column}`);
+        if (typeof column.id !== "undefined") {
+          $td.attr("headers", column.id);
+        }
+
+        let text = "";
+        switch (column.column) {
+          case env.gather.nameColumn:
+            $td.append(thisScript.createNameAnchor(env, listingIndex));
+            break;
+
+          case env.gather.sizeColumn:
+            if (typeof entry.size !== "undefined") {
+              text = utility.formatBytes(Number(entry.size));
+            }
+            break;
+
+          case "views-field-changed":
+            text = entry["changed-date"];
+            break;
+
+          case "views-field-uid":
+            text = entry["user-display-name"];
+            break;
+
+          default:
+            break;
+        }
+
+        if (typeof text === "string" && text !== "") {
+          $td.append($("<span></span>").text(text));
+        }
+
+        $tr.append($td);
+      });
+
+      return $tr[0];
+    },
+
+    /**
+     * Creates the name anchor for an item.
+     *
+     * The anchor has the same classes and data attributes as one built by
+     * the module's name field formatter, except for image thumbnails, which
+     * are only used by the grid view.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {int} listingIndex
+     *   The 0-based listing index of the item.
+     *
+     * @return {object}
+     *   Returns the jQuery anchor.
+     */
+    createNameAnchor(env, listingIndex) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const v = env.virtual;
+      const entry = v.entries[listingIndex];
+      const item = v.items[listingIndex];
+
+      const classes = ["file"];
+      if (entry.kind === "folder") {
+        classes.push("file--mime-folder-directory", "file--folder");
+      } else {
+        classes.push(`file--mime-${String(entry.mime).replace(/[/.]/g, "-")}`);
+        if (typeof entry["mime-icon-class"] !== "undefined") {
+          classes.push(`file--${entry["mime-icon-class"]}`);
+        }
+      }
+
+      if (entry.systemhidden === "1") {
+        classes.push("foldershare-hidden-entity");
+      }
+
+      const $name = $("<span></span>").text(entry.name);
+      if (item === null) {
+        // Disabled items have no link or data attributes.
+        classes.push("foldershare-disabled-entity");
+        return $name.addClass(classes.join(" "));
+      }
+
+      const $a = $("<a></a>").attr("href", Drupal.url(`${thisScript.entityPath}${item.id}`));
+      $a.addClass(classes.join(" "));
+      $a.attr({
+        "data-foldershare-id": item.id,
+        "data-foldershare-kind": item.kind,
+        "data-foldershare-access": item.access.join(","),
+        "data-foldershare-extension": item.extension,
+        "data-foldershare-ownerid": item.ownerid
+      });
+
+      if (item.size !== null) {
+        $a.attr("data-foldershare-size", item.size);
+      }
+
+      if (typeof entry.changed !== "undefined") {
+        $a.attr("data-foldershare-changed", entry.changed);
+      }
+
+      // Flags are present when true, as for boolean formatter attributes.
+      [
+        "ownedbyuser",
+        "ownedbyanonymous",
+        "ownedbyanother",
+        "sharedbyuser",
+        "sharedwithusertoview",
+        "sharedwithusertoauthor",
+        "sharedwithanonymoustoview",
+        "sharedwithanonymoustoauthor"
+      ].forEach(flag => {
+        if (item[flag] === true) {
+          $a.attr(`data-foldershare-${flag}`, "");
+        }
+      });
+
+      return $a.append($name);
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Select.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Handles a click selection on a virtual table row.
+     *
+     * Plain and control/command-clicks are left to the folder table menu,
+     * since they only change the clicked row. The row is remembered as the
+     * anchor for later shift-clicks.
+     *
+     * A shift-click selects every item from the anchor through the clicked
+     * row, replacing the rest of the selection, including items without
+     * rows. Windows between the two are loaded first.
+     *
+     * @param {Element} tr
+     *   The clicked row.
+     * @param {object} ev
+     *   The row event, or an object with 'ctrlKey', 'metaKey', and
+     *   'shiftKey' properties.
+     * @param {object} env
+     *   The folder table menu's environment object.
+     *
+     * @return {boolean}
+     *   Returns true if the click was handled, and false if it should be
+     *   handled by the folder table menu.
+     */
+    clickSelect(tr, ev, env) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const menuScript = Drupal.foldershare.UIFolderTableMenu;
+      const v = env.virtual;
+
+      if (thisScript.isActive(env) === false) {
+        return false;
+      }
+
+      const listingIndex = Number($(tr).attr("data-foldershare-virtual-index"));
+      const isMac = navigator.appVersion.indexOf("Mac") !== -1;
+      if ((isMac === true && ev.metaKey === true) ||
+        (isMac === false && ev.ctrlKey === true) ||
+        ev.shiftKey !== true) {
+        v.anchor = listingIndex;
+        return false;
+      }
+
+      // With no anchor, select from the start of the listing.
+      const anchor = Number.isNaN(v.anchor) === true ? 0 : v.anchor;
+      const first = Math.min(anchor, listingIndex);
+      const last = Math.max(anchor, listingIndex) + 1;
+
+      window.getSelection().removeAllRanges();
+
+      thisScript.loadRange(env, first, last).then(() => {
+        menuScript.selectionClear(env);
+        thisScript.selectionAdd(env, first, last);
+        menuScript.selectionApply(env);
+        menuScript.tableSelectionChanged(env);
+      }).catch(err => {
+        Drupal.foldershare.utility.printMessage(
+          "Folder list could not be loaded", err.message);
+      });
+
+      return true;
+    },
+
+    /**
+     * Runs a selection operation on the whole listing.
+     *
+     * Selecting all and inverting the selection load the whole listing,
+     * then change the selection model. Other operations are left to the
+     * folder table menu, since they do not need items without rows.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {string} operation
+     *   The selection operation, "all", "none", "invert", or "pattern".
+     *
+     * @return {boolean}
+     *   Returns true if the operation was handled, and false if it should
+     *   be handled by the folder table menu.
+     */
+    selectionRun(env, operation) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const menuScript = Drupal.foldershare.UIFolderTableMenu;
+
+      if (thisScript.isActive(env) === false ||
+        (operation !== "all" && operation !== "invert")) {
+        return false;
+      }
+
+      const total = env.virtual.total;
+      thisScript.loadRange(env, 0, total).then(() => {
+        if (operation === "all") {
+          thisScript.selectionAdd(env, 0, total);
+        } else {
+          const selected = Object.keys(menuScript.selectionGet(env).items);
+          menuScript.selectionClear(env);
+          thisScript.selectionAdd(env, 0, total);
+
+          const items = menuScript.selectionGet(env).items;
+          selected.forEach(entityId => {
+            delete items[entityId];
+          });
+        }
+
+        menuScript.selectionApply(env);
+        menuScript.tableSelectionChanged(env);
+      }).catch(err => {
+        Drupal.foldershare.utility.printMessage(
+          "Folder list could not be loaded", err.message);
+      });
+
+      return true;
+    },
+
+    /**
+     * Adds a range of loaded items to the selection model.
+     *
+     * Disabled items are skipped. The caller is responsible for updating
+     * the table's rows.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {int} first
+     *   The 0-based listing index of the first item.
+     * @param {int} last
+     *   The listing index after the last item.
+     */
+    selectionAdd(env, first, last) {
+      const items = Drupal.foldershare.UIFolderTableMenu.selectionGet(env).items;
+      const v = env.virtual;
+
+      for (let listingIndex = first; listingIndex < last; ++listingIndex) {
+        const item = v.items[listingIndex];
+        if (typeof item !== "undefined" && item !== null) {
+          items[item.id] = item;
+        }
+      }
+    },
+
+    /*--------------------------------------------------------------------
+     *
+     * Navigate.
+     *
+     *--------------------------------------------------------------------*/
+
+    /**
+     * Scrolls the page to show an item's row, and renders it.
+     *
+     * @param {object} env
+     *   The folder table menu's environment object.
+     * @param {int} listingIndex
+     *   The 0-based listing index of the item. Indexes past the end of the
+     *   listing show the last item.
+     */
+    scrollToIndex(env, listingIndex) {
+      const thisScript = Drupal.foldershare.UIVirtualTable;
+      const v = env.virtual;
+
+      const index = Math.min(Math.max(listingIndex, 0), v.total - 1);
+      const top = v.$top[0].getBoundingClientRect().top + (index * v.rowHeight);
+      if (top < 0 || top + v.rowHeight > window.innerHeight) {
+        window.scrollBy(0, (top < 0) ? top : top + v.rowHeight - window.innerHeight);
+      }
+
+      thisScript.render(env);
+    }
+  };
+})(jQuery, Drupal);
@@ -645,6 +645,46 @@ final class Constants {
    */
   const FILE_DIRECTORY = 'foldersharefiles';
 
+  /*---------------------------------------------------------------------
+   *
+   * Resumable uploads.
+   *
+   *---------------------------------------------------------------------*/
+
+  /**
+   * The age, in seconds, after which an idle partial upload is deleted.
+   *
+   * Partial files from resumable uploads are normally deleted when the
+   * upload finishes or is cancelled. An upload abandoned by the user,
+   * such as by closing the page, leaves its partial file behind. CRON
+   * deletes partial files that have not been appended to for this long.
+   *
+   * The age should be long enough that a paused upload may still be
+   * resumed on a later visit to the site.
+   *
+   * @var int
+   */
+  const RESUMABLE_UPLOAD_MAXIMUM_AGE = 2 * 24 * 60 * 60;
+
+  /**
+   * The maximum number of partial uploads each user may have at once.
+   *
+   * @var int
+   */
+  const RESUMABLE_UPLOAD_MAXIMUM_COUNT = 100;
+
+  /**
+   * The maximum total size, in bytes, of each user's partial uploads.
+   *
+   * When a chunk is appended, the upload's full size, as given by the
+   * client, counts against the limit along with the bytes received so far
+   * for the user's other uploads. Uploads sent in parallel therefore
+   * cannot together go far past the limit.
+   *
+   * @var int
+   */
+  const RESUMABLE_UPLOAD_MAXIMUM_BYTES = 10 * 1024 * 1024 * 1024;
+
   /*---------------------------------------------------------------------
    *
    * Work queue.
@@ -818,4 +858,32 @@ final class Constants {
    */
   const ENABLE_UI_COMMAND_DIALOGS = TRUE;
 
+  /*--------------------------------------------------------------------
+   *
+   * UI limits.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * The number of items in a folder before its folder table becomes virtual.
+   *
+   * A virtual table loads a folder's items from the REST resource a window
+   * at a time. The value is passed to the virtual table script.
+   *
+   * @var int
+   */
+  const UI_VIRTUAL_TABLE_MINIMUM_ITEMS = 1000;
+
+  /**
+   * The number of rows per page built for a folder in a virtual table.
+   *
+   * The virtual table script replaces the rows built by the view listing
+   * the folder. If the view has no pager, one is added with this many rows
+   * per page, so that the rows are not all built only to be replaced.
+   * Clients without scripts page through the folder instead.
+   *
+   * @var int
+   */
+  const UI_VIRTUAL_TABLE_PAGE_ITEMS = 50;
+
 }
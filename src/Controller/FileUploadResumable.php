@@ -0,0 +1,294 @@
+<?php
+
+namespace Drupal\foldershare\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpKernel\Exception\BadRequestHttpException;
+use Symfony\Component\HttpKernel\Exception\HttpException;
+
+use Drupal\foldershare\Constants;
+use Drupal\foldershare\FileUtilities;
+use Drupal\foldershare\Settings;
+use Drupal\foldershare\Utilities;
+
+/**
+ * Defines a class to handle resumable, chunked file uploads.
+ *
+ * <B>Warning:</B> This class is strictly internal to the FolderShare
+ * module. The class's existance, name, and content may change from
+ * release to release without any promise of backwards compatability.
+ *
+ * A resumable upload sends a file in a series of chunks. Each chunk is
+ * appended to a partial file in the temporary directory. If the network
+ * connection fails part way through, the client asks for the size of the
+ * partial file received so far and resumes from there, instead of starting
+ * the whole file over.
+ *
+ * Each upload is identified by a client-chosen upload ID passed as the
+ * "id" query argument:
+ *
+ * - GET returns the number of bytes received so far.
+ *
+ * - POST appends the request body to the partial file. The "offset"
+ *   query argument must equal the number of bytes received so far, and
+ *   the "size" query argument gives the total size of the file.
+ *
+ * - DELETE discards the partial file.
+ *
+ * Responses are JSON objects with an "offset" property giving the number
+ * of bytes received so far.
+ *
+ * Each user may only have a limited number of partial files, of limited
+ * total size, at once. Partial files left behind by abandoned uploads are
+ * deleted by CRON once they have not been appended to for a while.
+ *
+ * A completed upload is not yet a FolderShare file. The upload files
+ * command finishes the upload by adding the partial file to a folder.
+ *
+ * @ingroup foldershare
+ *
+ * @see \Drupal\foldershare\FileUtilities::getResumableUploadUri()
+ * @see \Drupal\foldershare\Plugin\FolderShareCommand\UploadFiles
+ */
+class FileUploadResumable extends ControllerBase {
+
+  /*--------------------------------------------------------------------
+   *
+   * Upload.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * Returns the number of bytes received so far for an upload.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   Returns a JSON response with the current offset.
+   *
+   * @throws \Symfony\Component\HttpKernel\Exception\BadRequestHttpException
+   *   Throws an exception if the upload ID is malformed.
+   */
+  public function status(Request $request) {
+    $uri = $this->getUploadUri($request);
+
+    return new JsonResponse([
+      'offset' => $this->getUploadOffset($uri),
+    ]);
+  }
+
+  /**
+   * Appends a chunk to an upload.
+   *
+   * If the chunk's offset does not match the number of bytes received so
+   * far, the chunk is ignored and a 409 (conflict) response returned with
+   * the current offset. The client should resume from that offset.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   Returns a JSON response with the new offset.
+   *
+   * @throws \Symfony\Component\HttpKernel\Exception\BadRequestHttpException
+   *   Throws an exception if the upload ID, offset, or size are malformed,
+   *   if the size exceeds the module's maximum upload file size, or if the
+   *   chunk extends past the end of the file.
+   * @throws \Symfony\Component\HttpKernel\Exception\HttpException
+   *   Throws an exception if the user has too many partial uploads, or if
+   *   they are too large, or if the partial file cannot be written.
+   *
+   * @see \Drupal\foldershare\Constants::RESUMABLE_UPLOAD_MAXIMUM_COUNT
+   * @see \Drupal\foldershare\Constants::RESUMABLE_UPLOAD_MAXIMUM_BYTES
+   */
+  public function append(Request $request) {
+    $uri = $this->getUploadUri($request);
+
+    $offset = $request->query->get('offset', '');
+    $size = $request->query->get('size', '');
+    if (ctype_digit((string) $offset) === FALSE ||
+        ctype_digit((string) $size) === FALSE) {
+      throw new BadRequestHttpException($this->t(
+        'The upload offset or size is missing or malformed.'));
+    }
+
+    $offset = (int) $offset;
+    $size = (int) $size;
+
+    if ($size > Settings::getUploadMaximumFileSize()) {
+      throw new BadRequestHttpException($this->t(
+        'The upload is larger than the maximum allowed file size of @maxsize.',
+        [
+          '@maxsize' => Utilities::formatBytes(Settings::getUploadMaximumFileSize()),
+        ]));
+    }
+
+    //
+    // Check limits
+    // ------------
+    // Each user may only have so many partial uploads, taking up so much
+    // space, at once. This upload's full size counts against the space,
+    // along with the bytes received so far for the user's other uploads.
+    $others = array_diff(
+      FileUtilities::getResumableUploadUris((int) $this->currentUser()->id()),
+      [$uri]);
+
+    if (file_exists($uri) === FALSE &&
+        count($others) >= Constants::RESUMABLE_UPLOAD_MAXIMUM_COUNT) {
+      throw new HttpException(
+        Response::HTTP_TOO_MANY_REQUESTS,
+        $this->t('There are too many unfinished uploads. Finish or cancel some of them, then try again.'));
+    }
+
+    $used = $size;
+    foreach ($others as $other) {
+      $used += $this->getUploadOffset($other);
+    }
+
+    if ($used > Constants::RESUMABLE_UPLOAD_MAXIMUM_BYTES) {
+      throw new HttpException(
+        Response::HTTP_REQUEST_ENTITY_TOO_LARGE,
+        $this->t(
+          'Unfinished uploads may not total more than @maxsize. Finish or cancel some of them, then try again.',
+          [
+            '@maxsize' => Utilities::formatBytes(Constants::RESUMABLE_UPLOAD_MAXIMUM_BYTES),
+          ]));
+    }
+
+    //
+    // Check offset
+    // ------------
+    // The chunk must start where the partial file ends. If not, an
+    // earlier chunk was lost or resent.
+    $current = $this->getUploadOffset($uri);
+    if ($offset !== $current) {
+      return new JsonResponse(
+        [
+          'offset' => $current,
+        ],
+        Response::HTTP_CONFLICT);
+    }
+
+    //
+    // Append chunk
+    // ------------
+    // Copy the request body onto the end of the partial file.
+    $stream = fopen('php://input', 'rb');
+    $partial = fopen($uri, 'ab');
+    if ($stream === FALSE || $partial === FALSE) {
+      if ($stream !== FALSE) {
+        fclose($stream);
+      }
+
+      \Drupal::logger(Constants::MODULE)->error(
+        "File system error. A partial upload file at '@path' could not be written.\nThere may be a problem with directories or permissions.",
+        [
+          '@path' => $uri,
+        ]);
+      throw new HttpException(
+        Response::HTTP_INTERNAL_SERVER_ERROR,
+        $this->t('System error. The upload could not be saved.'));
+    }
+
+    $written = stream_copy_to_stream($stream, $partial);
+    fclose($stream);
+    fclose($partial);
+    clearstatcache(TRUE, $uri);
+
+    if ($written === FALSE) {
+      throw new HttpException(
+        Response::HTTP_INTERNAL_SERVER_ERROR,
+        $this->t('System error. The upload could not be saved.'));
+    }
+
+    $current = $this->getUploadOffset($uri);
+    if ($current > $size) {
+      // The client sent more than it said it would. Start over.
+      FileUtilities::unlink($uri);
+      throw new BadRequestHttpException($this->t(
+        'The upload is larger than its stated size.'));
+    }
+
+    return new JsonResponse([
+      'offset' => $current,
+    ]);
+  }
+
+  /**
+   * Discards an upload.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   Returns a JSON response with a zero offset.
+   *
+   * @throws \Symfony\Component\HttpKernel\Exception\BadRequestHttpException
+   *   Throws an exception if the upload ID is malformed.
+   */
+  public function cancel(Request $request) {
+    $uri = $this->getUploadUri($request);
+
+    if (file_exists($uri) === TRUE) {
+      FileUtilities::unlink($uri);
+    }
+
+    return new JsonResponse([
+      'offset' => 0,
+    ]);
+  }
+
+  /*--------------------------------------------------------------------
+   *
+   * Utilities.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * Returns the partial file URI for the upload named in a request.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return string
+   *   Returns the URI of the partial file.
+   *
+   * @throws \Symfony\Component\HttpKernel\Exception\BadRequestHttpException
+   *   Throws an exception if the upload ID is malformed.
+   */
+  private function getUploadUri(Request $request) {
+    $uri = FileUtilities::getResumableUploadUri(
+      (int) $this->currentUser()->id(),
+      (string) $request->query->get('id', ''));
+
+    if ($uri === NULL) {
+      throw new BadRequestHttpException($this->t(
+        'The upload ID is missing or malformed.'));
+    }
+
+    return $uri;
+  }
+
+  /**
+   * Returns the number of bytes received so far for a partial file.
+   *
+   * @param string $uri
+   *   The URI of the partial file.
+   *
+   * @return int
+   *   Returns the size of the partial file, or 0 if it does not exist.
+   */
+  private function getUploadOffset(string $uri) {
+    if (file_exists($uri) === FALSE) {
+      return 0;
+    }
+
+    return (int) FileUtilities::filesize($uri);
+  }
+
+}
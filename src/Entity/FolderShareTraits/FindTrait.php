@@ -803,6 +803,18 @@ trait FindTrait {
    *
    *---------------------------------------------------------------------*/
 
+  /**
+   * {@inheritdoc}
+   */
+  public function countChildren() {
+
+    $connection = Database::getConnection();
+    $query = $connection->select(self::BASE_TABLE, 'fs');
+    $query->condition('parentid', $this->id(), '=');
+
+    return (int) $query->countQuery()->execute()->fetchField();
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -1825,4 +1825,81 @@ trait OperationAddFileTrait {
     return $this->addFile($file, $allowRename);
   }
 
+  /*---------------------------------------------------------------------
+   *
+   * Add local file.
+   *
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Adds a local temporary file into the root list.
+   *
+   * When a file is uploaded in chunks by a resumable upload, the chunks
+   * are gathered into a local temporary file. This method moves that
+   * file into the module's directory tree, creates a File entity for it,
+   * and adds it to the root list with the given name.
+   *
+   * @param string $uri
+   *   The URI of the local temporary file.
+   * @param string $filename
+   *   The name for the new file.
+   * @param bool $allowRename
+   *   (optional, default = TRUE) When TRUE, if $filename collides with the
+   *   name of an existing entity, the name is modified by adding a number on
+   *   the end so that it doesn't collide. When FALSE, a file name collision
+   *   throws an exception.
+   *
+   * @return \Drupal\foldershare\FolderShareInterface
+   *   Returns the newly added FolderShare entity wrapping the file.
+   *
+   * @section locking Process locks
+   * The root list is locked for exclusive editing access by this
+   * function for the duration of the modification.
+   *
+   * @see ::addInputFileToRoot()
+   * @see \Drupal\foldershare\Controller\FileUploadResumable
+   */
+  public static function addLocalFileToRoot(
+    string $uri,
+    string $filename,
+    bool $allowRename = TRUE) {
+
+    if (empty($filename) === TRUE) {
+      throw new ValidationException(Utilities::createFormattedMessage(
+        t(
+          'The name "@name" cannot be used.',
+          [
+            '@name' => $filename,
+          ]),
+        t('The file could not be added because it\'s name is too long or it uses one of the prohibited ":", "/", or "\\" punctuation marks.')));
+    }
+
+    $file = self::createFileEntityFromLocalFile($uri, $filename);
+
+    return self::addFileToRoot($file, $allowRename);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function addLocalFile(
+    string $uri,
+    string $filename,
+    bool $allowRename = TRUE) {
+
+    if (empty($filename) === TRUE) {
+      throw new ValidationException(Utilities::createFormattedMessage(
+        t(
+          'The name "@name" cannot be used.',
+          [
+            '@name' => $filename,
+          ]),
+        t('The file could not be added to the folder because it\'s name is too long or it uses one of the prohibited ":", "/", or "\\" punctuation marks.')));
+    }
+
+    $file = self::createFileEntityFromLocalFile($uri, $filename);
+
+    return $this->addFile($file, $allowRename);
+  }
+
 }
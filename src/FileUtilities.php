@@ -689,6 +689,69 @@ class FileUtilities {
     return 'temporary://';
   }
 
+  /**
+   * Returns the URI for a partial file from a resumable upload.
+   *
+   * Resumable uploads send a file in a series of chunks that are appended
+   * to a partial file in the temporary directory. The partial file is
+   * named using the user ID and a client-chosen upload ID so that a user
+   * cannot append to, or finish, another user's upload.
+   *
+   * @param int $uid
+   *   The user ID of the user doing the upload.
+   * @param string $uploadId
+   *   The client-chosen upload ID. The ID must be 1 to 64 characters
+   *   long and use only letters, digits, '-', and '_'.
+   *
+   * @return string
+   *   Returns the URI for the partial file, or NULL if the upload ID
+   *   is malformed.
+   *
+   * @see \Drupal\foldershare\Controller\FileUploadResumable
+   */
+  public static function getResumableUploadUri(int $uid, string $uploadId) {
+    if (preg_match('/^[A-Za-z0-9_-]{1,64}$/', $uploadId) !== 1) {
+      return NULL;
+    }
+
+    return self::getTempDirectoryUri() . 'foldershare-upload-' .
+      $uid . '-' . $uploadId;
+  }
+
+  /**
+   * Returns the URIs of partial files from resumable uploads.
+   *
+   * @param int $uid
+   *   (optional, default = -1) The user ID of the user doing the uploads,
+   *   or -1 for all users.
+   *
+   * @return string[]
+   *   Returns an array of URIs for partial files, or an empty array if
+   *   there are none.
+   *
+   * @see ::getResumableUploadUri()
+   */
+  public static function getResumableUploadUris(int $uid = -1) {
+    $prefix = 'foldershare-upload-';
+    if ($uid >= 0) {
+      $prefix .= $uid . '-';
+    }
+
+    $names = self::scandir(self::getTempDirectoryUri(), SCANDIR_SORT_NONE);
+    if ($names === FALSE) {
+      return [];
+    }
+
+    $uris = [];
+    foreach ($names as $name) {
+      if (strpos($name, $prefix) === 0) {
+        $uris[] = self::getTempDirectoryUri() . $name;
+      }
+    }
+
+    return $uris;
+  }
+
   /*---------------------------------------------------------------------
    *
    * URIs.
@@ -993,6 +993,19 @@ interface FolderShareInterface extends ContentEntityInterface, EntityOwnerInterf
    *
    *---------------------------------------------------------------------*/
 
+  /**
+   * Returns the number of children of this item.
+   *
+   * System hidden and disabled items are counted.
+   *
+   * @return int
+   *   Returns the number of children of this item, or zero if there
+   *   are no children.
+   *
+   * @see ::findChildrenIds()
+   */
+  public function countChildren();
+
   /**
    * Returns a list of children IDs of this item.
    *
@@ -2353,6 +2366,39 @@ interface FolderShareInterface extends ContentEntityInterface, EntityOwnerInterf
    */
   public function addInputFile(string $filename, bool $allowRename = TRUE);
 
+  /**
+   * Adds a local temporary file into this folder.
+   *
+   * When a file is uploaded in chunks by a resumable upload, the chunks
+   * are gathered into a local temporary file. This method moves that
+   * file into the module's directory tree, creates a File entity for it,
+   * and adds it to this folder with the given name.
+   *
+   * @param string $uri
+   *   The URI of the local temporary file.
+   * @param string $filename
+   *   The name for the new file.
+   * @param bool $allowRename
+   *   (optional, default = TRUE) When TRUE, if $filename collides with the
+   *   name of an existing entity, the name is modified by adding a number on
+   *   the end so that it doesn't collide. When FALSE, a file name collision
+   *   throws an exception.
+   *
+   * @return \Drupal\foldershare\FolderShareInterface
+   *   Returns the newly added FolderShare entity wrapping the file.
+   *
+   * @section locking Process locks
+   * This folder is locked for exclusive editing access by this
+   * function for the duration of the modification.
+   *
+   * @see ::addInputFile()
+   * @see \Drupal\foldershare\Controller\FileUploadResumable
+   */
+  public function addLocalFile(
+    string $uri,
+    string $filename,
+    bool $allowRename = TRUE);
+
   /*---------------------------------------------------------------------
    *
    * Archive operations.
@@ -43,6 +43,7 @@ use Drupal\foldershare\Entity\Exception\RuntimeExceptionWithMarkup;
  * - A field containing the current selection, if any.
  * - A set of fields with command operands, such as the parent and destination.
  * - A file field used to specify uploaded files.
+ * - A field listing files already uploaded by resumable uploads, if any.
  * - A submit button.
  *
  * This form is hidden and none of its fields are intended to be directly
@@ -97,6 +98,23 @@ class UIFolderTableMenu extends FormBase {
    */
   private $formBuilder;
 
+  /*--------------------------------------------------------------------
+   *
+   * Fields - virtual tables.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * The IDs of folders listed in a virtual table during this request.
+   *
+   * The folder IDs are the array's keys. A folder is added when this form
+   * tells the virtual table script to list the folder, so that the view
+   * listing the folder knows its rows are replaced.
+   *
+   * @var array
+   */
+  private static $virtualTableIds = [];
+
   /*--------------------------------------------------------------------
    *
    * Fields - set by menu choice.
@@ -274,6 +292,54 @@ class UIFolderTableMenu extends FormBase {
     return $command;
   }
 
+  /*--------------------------------------------------------------------
+   *
+   * Virtual table utilities.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * Returns TRUE if a folder is listed in a virtual table.
+   *
+   * @param int $id
+   *   The folder's entity ID.
+   *
+   * @return bool
+   *   Returns TRUE if this form has told the virtual table script to list
+   *   the folder during this request, and FALSE otherwise.
+   */
+  public static function isVirtualTable(int $id) {
+    return isset(self::$virtualTableIds[$id]) === TRUE;
+  }
+
+  /**
+   * Returns TRUE if the virtual table script can load folder listings.
+   *
+   * The script loads a large folder's items from the module's REST
+   * resource, using GET requests for JSON with the user's session cookie.
+   *
+   * @return bool
+   *   Returns TRUE if the REST resource is enabled for those requests,
+   *   and FALSE otherwise.
+   */
+  private function isVirtualTableEnabled() {
+    if ($this->moduleHandler->moduleExists('rest') === FALSE) {
+      return FALSE;
+    }
+
+    $config = \Drupal::entityTypeManager()
+      ->getStorage('rest_resource_config')
+      ->load('entity.foldershare');
+    if ($config === NULL ||
+        $config->status() === FALSE ||
+        in_array('GET', $config->getMethods(), TRUE) === FALSE) {
+      return FALSE;
+    }
+
+    return in_array('json', $config->getFormats('GET'), TRUE) === TRUE &&
+      in_array('cookie', $config->getAuthenticationProviders('GET'), TRUE) === TRUE;
+  }
+
   /*--------------------------------------------------------------------
    *
    * Form setup.
@@ -378,6 +444,8 @@ class UIFolderTableMenu extends FormBase {
     // attached to the page. Here we use it to:
     // - Flag whether AJAX is enabled.
     // - Give the ID and human-readable name of this module.
+    // - Give the upload limits for checking files before they are sent.
+    // - Say whether large folders are listed in a virtual table.
     // - Give translations for various terms.
     // - Give singular and plural translations of entity kinds.
     // - List all installed commands and their attributes.
@@ -418,6 +486,8 @@ class UIFolderTableMenu extends FormBase {
     $sharedWithUserToAuthor      = FALSE;
     $sharedWithAnonymousToView   = FALSE;
     $sharedWithAnonymousToAuthor = FALSE;
+    $childCount                  = 0;
+    $virtualTableEnabled         = $this->isVirtualTableEnabled();
 
     if ($pageEntity !== NULL) {
       $ownerId = $pageEntity->getOwnerId();
@@ -444,6 +514,17 @@ class UIFolderTableMenu extends FormBase {
       $sharedWithUserToAuthor      = $root->isSharedWith($userId, 'author');
       $sharedWithAnonymousToView   = $root->isSharedWith($anonId, 'view');
       $sharedWithAnonymousToAuthor = $root->isSharedWith($anonId, 'author');
+
+      // Large folders are listed a window at a time by the client, so
+      // it needs to know the listing's size before any rows are loaded.
+      if ($pageEntity->isFolder() === TRUE) {
+        $childCount = $pageEntity->countChildren();
+
+        if ($virtualTableEnabled === TRUE &&
+            $childCount >= Constants::UI_VIRTUAL_TABLE_MINIMUM_ITEMS) {
+          self::$virtualTableIds[$pageEntityId] = TRUE;
+        }
+      }
     }
     elseif ($pageEntityId === FolderShareInterface::USER_ROOT_LIST) {
       $ownerId = $user->id();
@@ -478,6 +559,7 @@ class UIFolderTableMenu extends FormBase {
         'sharedwithusertoauthor'      => $sharedWithUserToAuthor,
         'sharedwithanonymoustoview'   => $sharedWithAnonymousToView,
         'sharedwithanonymoustoauthor' => $sharedWithAnonymousToAuthor,
+        'childcount'                  => $childCount,
       ],
       'user'          => [
         'id'          => $user->id(),
@@ -493,6 +575,14 @@ class UIFolderTableMenu extends FormBase {
         'sharepublicpermission' => $hasSharePublic,
         'viewpermission'        => $hasView,
       ],
+      'upload'        => [
+        'extensions'  => (string) FolderShare::getAllowedNameExtensions(),
+        'maxFileSize' => Settings::getUploadMaximumFileSize(),
+      ],
+      'virtualTable'  => [
+        'enabled'      => $virtualTableEnabled,
+        'minimumItems' => Constants::UI_VIRTUAL_TABLE_MINIMUM_ITEMS,
+      ],
       'terminology'   => [
         'kinds'       => $kindTerms,
         'text'        => [
@@ -504,6 +594,107 @@ class UIFolderTableMenu extends FormBase {
             "<p><strong>Drag-and-drop item cannot be uploaded.</strong></p><p>You may not have access to the item, or it may be a folder. Folder upload is not supported.</p>"),
           'upload_dnd_invalid_plural' => (string) $this->t(
             "<p><strong>Drag-and-drop items cannot be uploaded.</strong></p><p>You may not have access to these items, or one of them may be a folder. Folder upload is not supported.</p>"),
+          'upload_dnd_invalid_entry_singular' => (string) $this->t(
+            "<p><strong>Drag-and-drop item cannot be uploaded.</strong></p><p>You may not have access to the item.</p>"),
+          'upload_dnd_invalid_entry_plural' => (string) $this->t(
+            "<p><strong>Drag-and-drop items cannot be uploaded.</strong></p><p>You may not have access to these items.</p>"),
+          'menu_label' => (string) $this->t('Commands for @operand'),
+          'selection_announce' => (string) $this->t('@count selected'),
+          'selection_all' => (string) $this->t('Select all'),
+          'selection_none' => (string) $this->t('Select none'),
+          'selection_invert' => (string) $this->t('Invert selection'),
+          'selection_pattern' => (string) $this->t('Select by pattern...'),
+          'selection_pattern_title' => (string) $this->t('Select by pattern'),
+          'selection_pattern_name' => (string) $this->t('Name'),
+          'selection_pattern_glob' => (string) $this->t('Wildcards (* and ?)'),
+          'selection_pattern_regex' => (string) $this->t('Regular expression'),
+          'selection_pattern_kind' => (string) $this->t('Kind'),
+          'selection_pattern_kind_any' => (string) $this->t('Any'),
+          'selection_pattern_extensions' => (string) $this->t('Extensions (optional, such as: jpg, png)'),
+          'selection_pattern_invalid' => (string) $this->t('The regular expression is not valid.'),
+          'selection_pattern_select' => (string) $this->t('Select'),
+          'selection_pattern_cancel' => (string) $this->t('Cancel'),
+          'selection_badge' => (string) $this->t('@count selected'),
+          'selection_badge_offpage' => (string) $this->t('@count selected (@offpage on other pages)'),
+          'selection_checkbox' => (string) $this->t('Select @name'),
+          'preference_checkboxes_show' => (string) $this->t('Show checkboxes'),
+          'preference_checkboxes_hide' => (string) $this->t('Hide checkboxes'),
+          'view_grid' => (string) $this->t('Show as grid'),
+          'view_table' => (string) $this->t('Show as table'),
+          'filter_label' => (string) $this->t('Filter by name'),
+          'columns_button' => (string) $this->t('Columns'),
+          'columns_title' => (string) $this->t('Columns'),
+          'columns_show' => (string) $this->t('Show @column'),
+          'columns_up' => (string) $this->t('Move @column up'),
+          'columns_down' => (string) $this->t('Move @column down'),
+          'columns_resize' => (string) $this->t('Resize @column'),
+          'columns_reset' => (string) $this->t('Reset'),
+          'columns_close' => (string) $this->t('Close'),
+          'virtual_loading' => (string) $this->t('Loading...'),
+          'virtual_failed' => (string) $this->t('The list could not be loaded.'),
+          'virtual_retry' => (string) $this->t('Retry'),
+          'selection_summary' => (string) $this->t('@count selected: @kinds'),
+          'selection_summary_size' => (string) $this->t('@count selected: @kinds, @size total'),
+          'selection_summary_size_partial' => (string) $this->t('@count selected: @kinds, at least @size total'),
+          'selection_summary_no_view' => (string) $this->t('@count cannot be viewed'),
+          'selection_summary_no_update' => (string) $this->t('@count cannot be changed'),
+          'selection_summary_no_delete' => (string) $this->t('@count cannot be deleted'),
+          'selection_summary_no_share' => (string) $this->t('@count cannot be shared'),
+          'selection_summary_no_access' => (string) $this->t('@count lack @access access'),
+          'selection_none_announce' => (string) $this->t('No items selected'),
+          'drop_self_announce' => (string) $this->t('Items cannot be dropped onto themselves'),
+          'drop_copy_announce' => (string) $this->t('Copying @count into @folder'),
+          'drop_move_announce' => (string) $this->t('Moving @count into @folder'),
+          'drop_upload_announce' => (string) $this->t('Uploading @count'),
+          'drop_invalid_announce' => (string) $this->t('The dropped items cannot be uploaded'),
+          'paste_image_name' => (string) $this->t('Pasted image @date'),
+          'upload_queue_summary' => (string) $this->t('Uploads: @done of @total done'),
+          'upload_queue_refresh' => (string) $this->t('Refresh'),
+          'upload_queue_clear' => (string) $this->t('Clear finished'),
+          'upload_status_queued' => (string) $this->t('Waiting'),
+          'upload_status_uploading' => (string) $this->t('Uploading'),
+          'upload_status_verifying' => (string) $this->t('Verifying'),
+          'upload_status_paused' => (string) $this->t('Paused'),
+          'upload_status_finishing' => (string) $this->t('Finishing'),
+          'upload_status_done' => (string) $this->t('Done'),
+          'upload_status_failed' => (string) $this->t('Failed'),
+          'upload_status_canceled' => (string) $this->t('Canceled'),
+          'upload_pause' => (string) $this->t('Pause'),
+          'upload_resume' => (string) $this->t('Resume'),
+          'upload_cancel' => (string) $this->t('Cancel'),
+          'upload_retry' => (string) $this->t('Retry'),
+          'upload_restore_unknown' => (string) $this->t('The file may already have been added. Retry only if it is missing.'),
+          'upload_checksum' => (string) $this->t('Computing checksum'),
+          'upload_check_rejected' => (string) $this->t(
+            "<p><strong>Some files cannot be uploaded.</strong></p>"),
+          'upload_check_extension' => (string) $this->t('The ".@extension" file type is not allowed.'),
+          'upload_check_size' => (string) $this->t('The file is larger than the @maxsize limit.'),
+          'upload_check_continue' => (string) $this->t('Upload the other @count'),
+          'upload_check_cancel' => (string) $this->t('Cancel'),
+          'upload_check_close' => (string) $this->t('Close'),
+          'collision_title' => (string) $this->t('Name already in use'),
+          'collision_message' => (string) $this->t(
+            "<p>An item named <strong>@name</strong> already exists in the destination.</p>"),
+          'collision_all' => (string) $this->t('Do this for all @count conflicts'),
+          'collision_replace' => (string) $this->t('Replace'),
+          'collision_keep' => (string) $this->t('Keep both'),
+          'collision_skip' => (string) $this->t('Skip'),
+          'collision_failed' => (string) $this->t(
+            "<p><strong>Some items could not be copied or moved.</strong></p>"),
+          'clipboard_cut' => (string) $this->t('Cut'),
+          'clipboard_copy' => (string) $this->t('Copy to clipboard'),
+          'clipboard_paste' => (string) $this->t('Paste'),
+          'clipboard_cut_operand' => (string) $this->t('Cut @operand'),
+          'clipboard_copy_operand' => (string) $this->t('Copy @operand to clipboard'),
+          'clipboard_paste_operand' => (string) $this->t('Paste @operand'),
+          'clipboard_badge_cut' => (string) $this->t('@operand to move'),
+          'clipboard_badge_copy' => (string) $this->t('@operand to copy'),
+          'clipboard_clear' => (string) $this->t('Clear clipboard'),
+          'shortcuts_title' => (string) $this->t('Keyboard shortcuts'),
+          'shortcuts_key' => (string) $this->t('Key'),
+          'shortcuts_command' => (string) $this->t('Command'),
+          'shortcuts_none' => (string) $this->t(
+            "<p>There are no keyboard shortcuts available on this page.</p>"),
         ],
         'categories'  => $categories,
       ],
@@ -527,6 +718,7 @@ class UIFolderTableMenu extends FormBase {
     $selectionClass     = $uiClass . '-selection';
     $parentIdClass      = $uiClass . '-parentId';
     $destinationIdClass = $uiClass . '-destinationId';
+    $resumableClass     = $uiClass . '-resumable';
 
     // When AJAX is enabled, add an AJAX callback to the submit button.
     $submitAjax = '';
@@ -653,6 +845,24 @@ class UIFolderTableMenu extends FormBase {
           ],
         ],
 
+        // Add the resumable uploads field that lists files already sent
+        // to the server in chunks. Javascript sets this field when it
+        // finishes an upload command after sending files itself, instead
+        // of through the file field above.
+        //
+        // The field is optional and it is only used by file upload commands.
+        //
+        // Implementation note: The textfield will be set with a JSON-encoded
+        // array of objects, each with the upload's ID, file name, and size.
+        // Like the selection, this could be long, so use the HTML default
+        // maximum.
+        $resumableClass      => [
+          '#type'            => 'textfield',
+          '#maxlength'       => 524288,
+          '#size'            => 1,
+          '#default_value'   => '',
+        ],
+
         // Add the submit button for the form. Javascript triggers the
         // submit when a command is selected from the menu.
         $submitClass         => [
@@ -730,6 +940,7 @@ class UIFolderTableMenu extends FormBase {
     $parentIdClass      = $uiClass . '-parentId';
     $destinationIdClass = $uiClass . '-destinationId';
     $uploadClass        = $uiClass . '-upload';
+    $resumableClass     = $uiClass . '-resumable';
 
     //
     // Get parent ID (if any)
@@ -788,15 +999,26 @@ class UIFolderTableMenu extends FormBase {
       $destinationId = intval($destinationId);
     }
 
+    //
+    // Get resumable uploads (if any)
+    // ------------------------------
+    // The resumable uploads field contains a JSON encoded array of files
+    // already uploaded in chunks. The value could be empty.
+    $resumableUploads = json_decode($formState->getValue($resumableClass), TRUE);
+    if (is_array($resumableUploads) === FALSE) {
+      $resumableUploads = [];
+    }
+
     //
     // Create configuration
     // --------------------
     // Create an initial command configuration.
     $configuration = [
-      'parentId'      => $parentId,
-      'selectionIds'  => $selectionIds,
-      'destinationId' => $destinationId,
-      'uploadClass'   => $uploadClass,
+      'parentId'         => $parentId,
+      'selectionIds'     => $selectionIds,
+      'destinationId'    => $destinationId,
+      'uploadClass'      => $uploadClass,
+      'resumableUploads' => $resumableUploads,
     ];
 
     //
@@ -363,6 +363,7 @@ class FolderShareInternalFolderName extends FormatterBase implements ContainerFa
           $prefix . 'kind'     => $kind,
           $prefix . 'access'   => implode(',', $access),
           $prefix . 'extension' => $entity->getExtension(),
+          $prefix . 'size'     => $entity->getSize(),
           $prefix . 'ownerid'  => $entity->getOwnerId(),
           $prefix . 'ownedbyuser' => $entity->isOwnedBy($userId),
           $prefix . 'ownedbyanonymous' => $entity->isOwnedBy($anonId),
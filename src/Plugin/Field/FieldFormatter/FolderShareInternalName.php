@@ -9,6 +9,7 @@ use Drupal\Core\Field\FormatterBase;
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
 use Drupal\Component\Utility\Html;
+use Drupal\image\Entity\ImageStyle;
 use Drupal\user\Entity\User;
 use Drupal\Core\Session\AccountProxyInterface;
 
@@ -351,6 +352,8 @@ class FolderShareInternalName extends FormatterBase implements ContainerFactoryP
         $prefix . 'kind'      => $kind,
         $prefix . 'access'    => implode(',', $access),
         $prefix . 'extension' => $entity->getExtension(),
+        $prefix . 'size'      => $entity->getSize(),
+        $prefix . 'changed'   => $entity->getChangedTime(),
         $prefix . 'ownerid'   => $entity->getOwnerId(),
         $prefix . 'ownedbyuser' => $entity->isOwnedBy($userId),
         $prefix . 'ownedbyanonymous' => $entity->isOwnedBy($anonId),
@@ -361,6 +364,17 @@ class FolderShareInternalName extends FormatterBase implements ContainerFactoryP
         $prefix . 'sharedwithanonymoustoview' => $root->isSharedWith($anonId, 'view'),
         $prefix . 'sharedwithanonymoustoauthor' => $root->isSharedWith($anonId, 'author'),
       ];
+
+      // Images link to a small derivative of their image file, made by
+      // core's "thumbnail" image style, so that the user interface can
+      // show a thumbnail without downloading the whole image. If the
+      // style has been deleted, no thumbnail is offered.
+      $image = $entity->getImage();
+      $style = ImageStyle::load('thumbnail');
+      if ($image !== NULL && $style !== NULL) {
+        $attr[$prefix . 'thumbnail'] = file_url_transform_relative(
+          $style->buildUrl($image->getFileUri()));
+      }
     }
 
     //
@@ -6,16 +6,25 @@ use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Render\Element\File;
 
 use Drupal\foldershare\Constants;
+use Drupal\foldershare\FileUtilities;
 use Drupal\foldershare\Utilities;
 use Drupal\foldershare\Entity\FolderShare;
+use Drupal\foldershare\Entity\Exception\ValidationException;
 
 /**
  * Defines a command plugin to upload files for a folder.
  *
- * The command uploads files and adds them to the parent folder.
+ * The command uploads files and adds them to the parent folder. Files
+ * may be uploaded with the command's form, or they may have been uploaded
+ * earlier in chunks by a resumable upload, and then finished here.
  *
  * Configuration parameters:
  * - 'parentId': the parent folder, if any.
+ * - 'resumableUploads': completed resumable uploads, if any. Each entry
+ *   is an array with 'id', 'name', and 'size' keys, an optional
+ *   'replace' key that is TRUE to replace an existing file with the same
+ *   name, and an optional 'sha256' key with the file's SHA-256 checksum
+ *   computed by the client.
  *
  * @ingroup foldershare
  *
@@ -46,6 +55,22 @@ use Drupal\foldershare\Entity\FolderShare;
  */
 class UploadFiles extends FolderShareCommandBase {
 
+  /*--------------------------------------------------------------------
+   *
+   * Configuration.
+   *
+   *--------------------------------------------------------------------*/
+
+  /**
+   * {@inheritdoc}
+   */
+  public function defaultConfiguration() {
+    // Include room for completed resumable uploads in the configuration.
+    $config = parent::defaultConfiguration();
+    $config['resumableUploads'] = [];
+    return $config;
+  }
+
   /*--------------------------------------------------------------------
    *
    * Configuration form.
@@ -64,6 +89,11 @@ class UploadFiles extends FolderShareCommandBase {
       return TRUE;
     }
 
+    if (empty($configuration['resumableUploads']) === FALSE) {
+      // Completed resumable uploads? No form.
+      return FALSE;
+    }
+
     if (empty($configuration['uploadClass']) === TRUE) {
       // No command upload class specified? Need a form.
       return TRUE;
@@ -194,9 +224,15 @@ class UploadFiles extends FolderShareCommandBase {
     // wrap them with FolderShare entities and add them to the parent folder.
     $configuration = $this->getConfiguration();
     $uploadClass = $configuration['uploadClass'];
+    $results = [];
 
     try {
-      if ($parent === NULL) {
+      if (empty($configuration['resumableUploads']) === FALSE) {
+        $results = $this->addResumableUploads(
+          $parent,
+          $configuration['resumableUploads']);
+      }
+      elseif ($parent === NULL) {
         $results = FolderShare::addUploadFilesToRoot($uploadClass);
       }
       else {
@@ -257,4 +293,153 @@ class UploadFiles extends FolderShareCommandBase {
     }
   }
 
+  /**
+   * Adds completed resumable uploads to the parent folder or root list.
+   *
+   * Each upload's partial file must exist and have the size the client
+   * says it uploaded. Otherwise the upload is incomplete and skipped.
+   * If the client sent a checksum, the partial file must also have that
+   * checksum. Otherwise the file was corrupted on the way, and it is
+   * discarded.
+   *
+   * An upload marked to replace an existing file is first added with a
+   * unique name. The same-name file is then deleted and the upload given
+   * its name, so that a failed upload never loses the existing file.
+   * Otherwise a name collision gives the upload a new unique name.
+   *
+   * @param \Drupal\foldershare\FolderShareInterface $parent
+   *   The parent folder, or NULL for the root list.
+   * @param array $uploads
+   *   An array of uploads, each an array with 'id', 'name', and 'size' keys,
+   *   and optional 'replace' and 'sha256' keys.
+   *
+   * @return array
+   *   Returns an array with one entry per upload. An entry is a File
+   *   object for a file added to the parent, or a string containing an
+   *   error message about why the file could not be added.
+   */
+  private function addResumableUploads($parent, array $uploads) {
+    $uid = (int) \Drupal::currentUser()->id();
+    $results = [];
+
+    foreach ($uploads as $upload) {
+      $id = isset($upload['id']) === TRUE ? (string) $upload['id'] : '';
+      $name = isset($upload['name']) === TRUE ? (string) $upload['name'] : '';
+      $size = isset($upload['size']) === TRUE ? (int) $upload['size'] : -1;
+      $sha256 = isset($upload['sha256']) === TRUE ?
+        strtolower((string) $upload['sha256']) : '';
+
+      $uri = FileUtilities::getResumableUploadUri($uid, $id);
+      if ($uri === NULL ||
+          file_exists($uri) === FALSE ||
+          FileUtilities::filesize($uri) !== $size) {
+        $results[] = (string) t(
+          "Interrupted file upload.\nThe file '@file' could not be added to the folder because the upload was interrupted and only part of the file was received.",
+          [
+            '@file' => $name,
+          ]);
+        continue;
+      }
+
+      if ($sha256 !== '' &&
+          hash_equals($sha256, (string) hash_file('sha256', $uri)) === FALSE) {
+        FileUtilities::unlink($uri);
+        $results[] = (string) t(
+          "Corrupted file upload.\nThe file '@file' could not be added to the folder because the file received does not match the checksum of the file sent. Please try again.",
+          [
+            '@file' => $name,
+          ]);
+        continue;
+      }
+
+      try {
+        // Check that a file to replace may be deleted before adding
+        // anything.
+        $replaced = NULL;
+        if (empty($upload['replace']) === FALSE) {
+          $replaced = $this->findReplacedFile($parent, $name);
+        }
+
+        if ($parent === NULL) {
+          $item = FolderShare::addLocalFileToRoot($uri, $name);
+        }
+        else {
+          $item = $parent->addLocalFile($uri, $name);
+        }
+
+        // The upload was given a unique name beside the file it replaces.
+        // Only now delete that file and take its name.
+        if ($replaced !== NULL) {
+          $replaced->delete();
+          $item->rename($name);
+        }
+
+        // Images are wrapped in an image field rather than a file field.
+        $file = $item->getFile();
+        if ($file === NULL) {
+          $file = $item->getImage();
+        }
+
+        $results[] = $file;
+      }
+      catch (\Exception $e) {
+        FileUtilities::unlink($uri);
+        $results[] = $e->getMessage();
+      }
+    }
+
+    return $results;
+  }
+
+  /**
+   * Returns the file with the given name that an upload is to replace.
+   *
+   * Folders are never replaced by uploaded files.
+   *
+   * @param \Drupal\foldershare\FolderShareInterface $parent
+   *   The parent folder, or NULL for the root list.
+   * @param string $name
+   *   The name of the file to replace.
+   *
+   * @return \Drupal\foldershare\FolderShareInterface
+   *   Returns the file, or NULL if there is no item with the name.
+   *
+   * @throws \Drupal\foldershare\Entity\Exception\ValidationException
+   *   Throws an exception if the item is a folder, or the user does not
+   *   have access to delete it.
+   */
+  private function findReplacedFile($parent, string $name) {
+    if ($parent === NULL) {
+      $ids = FolderShare::findAllRootItemIds(
+        (int) \Drupal::currentUser()->id(),
+        $name);
+      $id = (empty($ids) === TRUE) ? FALSE : reset($ids);
+    }
+    else {
+      $id = FolderShare::findNamedChildId((int) $parent->id(), $name);
+    }
+
+    if ($id === FALSE) {
+      return NULL;
+    }
+
+    $item = FolderShare::load($id);
+    if ($item === NULL) {
+      return NULL;
+    }
+
+    if ($item->isFolder() === TRUE ||
+        $item->access('delete') === FALSE) {
+      throw new ValidationException(Utilities::createFormattedMessage(
+        t(
+          "The item '@name' could not be replaced.",
+          [
+            '@name' => $name,
+          ]),
+        t('It is a folder, or you do not have permission to delete it.')));
+    }
+
+    return $item;
+  }
+
 }
@@ -131,6 +131,12 @@ use Drupal\foldershare\Entity\FolderShare;
  *   a simplified key-value pair array, an entity ID, a path, or a "Linux"
  *   formatted result.
  *
+ * Lists of a folder's children may be returned a window at a time:
+ *
+ * - X-FolderShare-Offset and X-FolderShare-Limit select a window of
+ *   children, sorted by name. The response's X-FolderShare-Total header
+ *   gives the number of children in the whole list.
+ *
  * @internal
  * <B>Collision with default entity response</B><BR>
  * The Drupal REST module automatically creates a resource for every entity
@@ -304,6 +310,38 @@ class FolderShareResource extends ResourceBase implements DependentPluginInterfa
    */
   const HEADER_DESTINATION_PATH = "X-FolderShare-Destination-Path";
 
+  /**
+   * A custom request header to specify the start of a list window.
+   *
+   * Header values are non-negative integers for the index of the first
+   * item to return from a list sorted by name.
+   *
+   * For operations that return a list of a folder's children, if this
+   * header or self::HEADER_LIMIT is present, only a window of the list is
+   * returned and the response includes a self::HEADER_TOTAL header.
+   */
+  const HEADER_OFFSET = "X-FolderShare-Offset";
+
+  /**
+   * A custom request header to specify the size of a list window.
+   *
+   * Header values are positive integers for the maximum number of items
+   * to return.
+   *
+   * @see self::HEADER_OFFSET
+   */
+  const HEADER_LIMIT = "X-FolderShare-Limit";
+
+  /**
+   * A custom response header giving the size of a whole list.
+   *
+   * Header values are non-negative integers for the number of items in
+   * the list that a window was taken from.
+   *
+   * @see self::HEADER_OFFSET
+   */
+  const HEADER_TOTAL = "X-FolderShare-Total";
+
   /*--------------------------------------------------------------------
    *
    * Constants - header values.
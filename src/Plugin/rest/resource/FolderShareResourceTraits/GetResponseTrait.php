@@ -564,9 +564,16 @@ trait GetResponseTrait {
    * - X-FolderShare-Get-Operation = "get-descendants".
    * - X-FolderShare-Source-Path = entity path (overrides URL entity ID).
    * - X-FolderShare-Return-Format = "full" or "keyvalue".
+   * - X-FolderShare-Offset = (optional) the first child to return.
+   * - X-FolderShare-Limit = (optional) the maximum number of children.
    *
    * The HTTP response contains:
    * - A list of serialized entities.
+   * - X-FolderShare-Total = the number of children, if a window of a
+   *   folder's children was requested.
+   *
+   * When an offset or limit is given, children are sorted by name so that
+   * consecutive windows tile the whole list.
    *
    * @param int $id
    *   The ID of the entity from the URL.
@@ -614,7 +621,24 @@ trait GetResponseTrait {
       return $this->formatEntityListResponse([$entity]);
     }
 
-    return $this->formatEntityListResponse($entity->findChildren());
+    $range = $this->getRange();
+    if ($range === NULL) {
+      return $this->formatEntityListResponse($entity->findChildren());
+    }
+
+    // Query and load only the requested window of children sorted by name.
+    // Names are unique within a folder, so the order is stable between
+    // requests.
+    $ids = \Drupal::entityQuery(FolderShare::ENTITY_TYPE_ID)
+      ->condition('parentid', $entity->id(), '=')
+      ->sort('name', 'ASC')
+      ->range($range[0], $range[1])
+      ->execute();
+
+    $response = $this->formatEntityListResponse(
+      array_values(FolderShare::loadMultiple($ids)));
+    $response->headers->set(self::HEADER_TOTAL, $entity->countChildren());
+    return $response;
   }
 
   /**
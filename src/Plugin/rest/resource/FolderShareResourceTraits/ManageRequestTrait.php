@@ -323,6 +323,44 @@ trait ManageRequestTrait {
     return rawurldecode($value);
   }
 
+  /**
+   * Gets the list window from the request headers.
+   *
+   * @return int[]
+   *   Returns an array with the window's offset and limit, or NULL if
+   *   neither request header was set. A missing offset defaults to 0,
+   *   and a missing limit defaults to PHP_INT_MAX.
+   *
+   * @throws \Symfony\Component\HttpKernel\Exception\HttpException
+   *   Throws a BadRequestHttpException if the offset is not a non-negative
+   *   integer or the limit is not a positive integer.
+   *
+   * @see ::HEADER_OFFSET
+   * @see ::HEADER_LIMIT
+   */
+  private function getRange() {
+    $requestHeaders = $this->currentRequest->headers;
+    if ($requestHeaders->has(self::HEADER_OFFSET) === FALSE &&
+        $requestHeaders->has(self::HEADER_LIMIT) === FALSE) {
+      return NULL;
+    }
+
+    $offset = (string) $requestHeaders->get(self::HEADER_OFFSET, '0');
+    $limit = (string) $requestHeaders->get(self::HEADER_LIMIT, (string) PHP_INT_MAX);
+    if (ctype_digit($offset) === FALSE ||
+        ctype_digit($limit) === FALSE ||
+        (int) $limit === 0) {
+      throw new BadRequestHttpException(t(
+        "The requested list offset '@offset' or limit '@limit' is malformed.\nThe web services client may be out of date.",
+        [
+          '@offset' => $offset,
+          '@limit'  => $limit,
+        ]));
+    }
+
+    return [(int) $offset, (int) $limit];
+  }
+
   /**
    * Gets the destination path from the request header.
    *
@@ -11,6 +11,7 @@ use Drupal\user\Entity\User;
 use Symfony\Component\HttpFoundation\Response;
 
 use Drupal\foldershare\FolderShareInterface;
+use Drupal\foldershare\Entity\FolderShareAccessControlHandler;
 use Drupal\foldershare\Plugin\rest\resource\UncacheableResponse;
 
 /**
@@ -168,6 +169,12 @@ trait ManageResponseTrait {
     // - The formatted dates merely use the numeric timestamp already
     //   returned in the 'created' and 'changed' fields, and formats it
     //   for easier use.
+    //
+    // - The access list names the operations the client's own user may
+    //   perform, which the client could discover by trying them.
+    //
+    // - The MIME icon class is the File module's generic icon name for the
+    //   entity's MIME type, which themes use to choose a file icon.
     $content['host'] = $this->currentRequest->getHttpHost();
 
     $uid = $entity->getOwnerId();
@@ -186,6 +193,13 @@ trait ManageResponseTrait {
 
     $content['path'] = $entity->getPath();
 
+    $content['access'] = array_keys(array_filter(
+      FolderShareAccessControlHandler::getAccessSummary($entity)));
+
+    if ($entity->isFolder() === FALSE) {
+      $content['mime-icon-class'] = file_icon_class($entity->getMimeType());
+    }
+
     // Provide formatted dates. We don't need to support a format that
     // includes every part of the date, such as seconds and microseconds.
     // The client can create its own formatting if it wants to by using
@@ -0,0 +1,324 @@
+<?php
+
+namespace Drupal\Tests\foldershare\Functional;
+
+use Drupal\Core\Url;
+use Drupal\Tests\BrowserTestBase;
+
+use Drupal\foldershare\Constants;
+use Drupal\foldershare\FileUtilities;
+use Drupal\foldershare\Settings;
+
+/**
+ * Functional tests the FileUploadResumable controller.
+ *
+ * @group foldershare
+ *
+ * @coversDefaultClass \Drupal\foldershare\Controller\FileUploadResumable
+ */
+class FileUploadResumableTest extends BrowserTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  public static $modules = ['foldershare'];
+
+  /**
+   * The user doing the uploads.
+   *
+   * @var \Drupal\user\UserInterface
+   */
+  protected $uploader;
+
+  /*---------------------------------------------------------------------
+   * Setup
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Set up a test.
+   */
+  public function setUp() {
+    parent::setUp();
+
+    $this->uploader = $this->drupalCreateUser([
+      Constants::VIEW_PERMISSION,
+      Constants::AUTHOR_PERMISSION,
+    ]);
+    $this->drupalLogin($this->uploader);
+  }
+
+  /*---------------------------------------------------------------------
+   * Utilities
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Sends a request to the resumable upload endpoint.
+   *
+   * @param string $method
+   *   The HTTP method.
+   * @param array $query
+   *   The query arguments.
+   * @param string $body
+   *   (optional, default = '') The request body.
+   * @param bool $withToken
+   *   (optional, default = TRUE) When TRUE, the session's CSRF token is
+   *   sent in the "X-CSRF-Token" header.
+   *
+   * @return \Psr\Http\Message\ResponseInterface
+   *   Returns the response.
+   */
+  protected function request(
+    string $method,
+    array $query,
+    string $body = '',
+    bool $withToken = TRUE) {
+
+    $headers = [
+      'Content-Type' => 'application/octet-stream',
+    ];
+    if ($withToken === TRUE) {
+      $headers['X-CSRF-Token'] = $this->drupalGet('session/token');
+    }
+
+    $url = Url::fromRoute(
+      'foldershare.upload.resumable.status',
+      [],
+      [
+        'absolute' => TRUE,
+        'query'    => $query,
+      ]);
+
+    return $this->getHttpClient()->request(
+      $method,
+      $url->toString(),
+      [
+        'body'        => $body,
+        'cookies'     => $this->getSessionCookies(),
+        'headers'     => $headers,
+        'http_errors' => FALSE,
+      ]);
+  }
+
+  /**
+   * Returns the offset in a response.
+   *
+   * @param \Psr\Http\Message\ResponseInterface $response
+   *   The response.
+   *
+   * @return int
+   *   Returns the response's offset, or -1 if there is none.
+   */
+  protected function getOffset($response) {
+    $data = json_decode((string) $response->getBody(), TRUE);
+    if (is_array($data) === FALSE || isset($data['offset']) === FALSE) {
+      return -1;
+    }
+
+    return (int) $data['offset'];
+  }
+
+  /**
+   * Returns the URI of one of the uploader's partial files.
+   *
+   * @param string $uploadId
+   *   The upload ID.
+   *
+   * @return string
+   *   Returns the URI.
+   */
+  protected function getUri(string $uploadId) {
+    return FileUtilities::getResumableUploadUri(
+      (int) $this->uploader->id(),
+      $uploadId);
+  }
+
+  /*---------------------------------------------------------------------
+   * Tests
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Tests the status of an upload that has not started.
+   */
+  public function testStatusOfNewUpload() {
+    $response = $this->request('GET', ['id' => 'new']);
+    $this->assertEquals(200, $response->getStatusCode());
+    $this->assertEquals(0, $this->getOffset($response));
+  }
+
+  /**
+   * Tests appending chunks and getting the status between them.
+   */
+  public function testAppend() {
+    $response = $this->request(
+      'POST',
+      ['id' => 'append', 'offset' => 0, 'size' => 6],
+      'abc');
+    $this->assertEquals(200, $response->getStatusCode());
+    $this->assertEquals(3, $this->getOffset($response));
+
+    $response = $this->request('GET', ['id' => 'append']);
+    $this->assertEquals(3, $this->getOffset($response));
+
+    $response = $this->request(
+      'POST',
+      ['id' => 'append', 'offset' => 3, 'size' => 6],
+      'def');
+    $this->assertEquals(200, $response->getStatusCode());
+    $this->assertEquals(6, $this->getOffset($response));
+    $this->assertEquals('abcdef', file_get_contents($this->getUri('append')));
+  }
+
+  /**
+   * Tests appending a chunk at the wrong offset.
+   */
+  public function testAppendOffsetMismatch() {
+    $this->request(
+      'POST',
+      ['id' => 'mismatch', 'offset' => 0, 'size' => 6],
+      'abc');
+
+    $response = $this->request(
+      'POST',
+      ['id' => 'mismatch', 'offset' => 1, 'size' => 6],
+      'bcd');
+    $this->assertEquals(409, $response->getStatusCode());
+    $this->assertEquals(3, $this->getOffset($response));
+    $this->assertEquals('abc', file_get_contents($this->getUri('mismatch')));
+  }
+
+  /**
+   * Tests appending more than the upload's stated size.
+   */
+  public function testAppendPastSize() {
+    $response = $this->request(
+      'POST',
+      ['id' => 'pastsize', 'offset' => 0, 'size' => 3],
+      'abcdef');
+    $this->assertEquals(400, $response->getStatusCode());
+    $this->assertFileNotExists($this->getUri('pastsize'));
+  }
+
+  /**
+   * Tests appending to an upload larger than the maximum file size.
+   */
+  public function testAppendOverMaximumFileSize() {
+    $response = $this->request(
+      'POST',
+      [
+        'id'     => 'oversize',
+        'offset' => 0,
+        'size'   => Settings::getUploadMaximumFileSize() + 1,
+      ],
+      'abc');
+    $this->assertEquals(400, $response->getStatusCode());
+    $this->assertFileNotExists($this->getUri('oversize'));
+  }
+
+  /**
+   * Tests appending with malformed arguments.
+   */
+  public function testAppendMalformed() {
+    $response = $this->request(
+      'POST',
+      ['id' => 'bad id!', 'offset' => 0, 'size' => 3],
+      'abc');
+    $this->assertEquals(400, $response->getStatusCode());
+
+    $response = $this->request(
+      'POST',
+      ['id' => 'malformed', 'offset' => -1, 'size' => 3],
+      'abc');
+    $this->assertEquals(400, $response->getStatusCode());
+    $this->assertFileNotExists($this->getUri('malformed'));
+  }
+
+  /**
+   * Tests appending without a CSRF token.
+   */
+  public function testAppendWithoutToken() {
+    $response = $this->request(
+      'POST',
+      ['id' => 'notoken', 'offset' => 0, 'size' => 3],
+      'abc',
+      FALSE);
+    $this->assertEquals(403, $response->getStatusCode());
+    $this->assertFileNotExists($this->getUri('notoken'));
+  }
+
+  /**
+   * Tests appending when the user has too many partial uploads.
+   */
+  public function testAppendOverMaximumCount() {
+    for ($i = 0; $i < Constants::RESUMABLE_UPLOAD_MAXIMUM_COUNT; ++$i) {
+      file_put_contents($this->getUri('count' . $i), 'a');
+    }
+
+    $response = $this->request(
+      'POST',
+      ['id' => 'countnew', 'offset' => 0, 'size' => 3],
+      'abc');
+    $this->assertEquals(429, $response->getStatusCode());
+    $this->assertFileNotExists($this->getUri('countnew'));
+
+    // An upload already started may still be appended to.
+    $response = $this->request(
+      'POST',
+      ['id' => 'count0', 'offset' => 1, 'size' => 4],
+      'bcd');
+    $this->assertEquals(200, $response->getStatusCode());
+    $this->assertEquals(4, $this->getOffset($response));
+  }
+
+  /**
+   * Tests appending when the user's partial uploads are too large.
+   */
+  public function testAppendOverMaximumBytes() {
+    // Make a sparse partial file that fills the user's space.
+    $partial = fopen($this->getUri('bytes'), 'wb');
+    ftruncate($partial, Constants::RESUMABLE_UPLOAD_MAXIMUM_BYTES);
+    fclose($partial);
+
+    $response = $this->request(
+      'POST',
+      ['id' => 'bytesnew', 'offset' => 0, 'size' => 3],
+      'abc');
+    $this->assertEquals(413, $response->getStatusCode());
+    $this->assertFileNotExists($this->getUri('bytesnew'));
+  }
+
+  /**
+   * Tests cancelling an upload.
+   */
+  public function testCancel() {
+    $this->request(
+      'POST',
+      ['id' => 'cancel', 'offset' => 0, 'size' => 6],
+      'abc');
+    $this->assertFileExists($this->getUri('cancel'));
+
+    $response = $this->request('DELETE', ['id' => 'cancel']);
+    $this->assertEquals(200, $response->getStatusCode());
+    $this->assertEquals(0, $this->getOffset($response));
+    $this->assertFileNotExists($this->getUri('cancel'));
+
+    $response = $this->request('DELETE', ['id' => 'cancel'], '', FALSE);
+    $this->assertEquals(403, $response->getStatusCode());
+  }
+
+  /**
+   * Tests that CRON deletes only idle partial uploads.
+   */
+  public function testCronDeletesIdleUploads() {
+    file_put_contents($this->getUri('idle'), 'abc');
+    FileUtilities::touch(
+      $this->getUri('idle'),
+      time() - Constants::RESUMABLE_UPLOAD_MAXIMUM_AGE - 60);
+    file_put_contents($this->getUri('active'), 'abc');
+
+    $this->cronRun();
+
+    $this->assertFileNotExists($this->getUri('idle'));
+    $this->assertFileExists($this->getUri('active'));
+  }
+
+}
@@ -0,0 +1,277 @@
+<?php
+
+namespace Drupal\Tests\foldershare\Kernel;
+
+use Drupal\KernelTests\KernelTestBase;
+use Drupal\user\Entity\User;
+
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpKernel\Exception\BadRequestHttpException;
+
+use Drupal\foldershare\Entity\FolderShare;
+use Drupal\foldershare\Plugin\rest\resource\FolderShareResource;
+
+/**
+ * Kernel tests the REST resource's windows of a folder's children.
+ *
+ * @group foldershare
+ *
+ * @coversDefaultClass \Drupal\foldershare\Plugin\rest\resource\FolderShareResource
+ */
+class FolderShareResourceWindowTest extends KernelTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  public static $modules = [
+    'system',
+    'user',
+    'datetime',
+    'field',
+    'file',
+    'filter',
+    'image',
+    'link',
+    'media',
+    'options',
+    'text',
+    'views',
+    'serialization',
+    'rest',
+    'foldershare',
+  ];
+
+  /**
+   * The names of the folder's children, in the order they are created.
+   *
+   * @var string[]
+   */
+  const NAMES = ['e', 'c', 'a', 'd', 'b'];
+
+  /**
+   * The folder whose children are listed.
+   *
+   * @var \Drupal\foldershare\Entity\FolderShare
+   */
+  protected $folder;
+
+  /*---------------------------------------------------------------------
+   * Setup
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Set up a test.
+   */
+  public function setUp() {
+    parent::setUp();
+
+    $this->installSchema('system', ['sequences']);
+    $this->installEntitySchema('user');
+    $this->installEntitySchema('file');
+    $this->installEntitySchema(FolderShare::ENTITY_TYPE_ID);
+    $this->installConfig(['foldershare']);
+
+    // The first user may do anything, including view the folders.
+    $user = User::create([
+      'uid'  => 1,
+      'name' => 'owner',
+    ]);
+    $user->save();
+    $this->container->get('current_user')->setAccount($user);
+
+    // Children are created out of name order, so that their IDs are too.
+    $this->folder = FolderShare::createRootFolder('listed');
+    foreach (self::NAMES as $name) {
+      $this->folder->createFolder($name);
+    }
+  }
+
+  /*---------------------------------------------------------------------
+   * Utilities
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Creates the REST resource for a request with the given headers.
+   *
+   * @param array $headers
+   *   The request headers, with header names as keys.
+   *
+   * @return \Drupal\foldershare\Plugin\rest\resource\FolderShareResource
+   *   Returns the resource.
+   */
+  protected function createResource(array $headers) {
+    $request = Request::create('/foldershare/' . $this->folder->id(), 'GET');
+    $request->headers->add($headers);
+    $this->container->get('request_stack')->push($request);
+
+    return $this->container->get('plugin.manager.rest')
+      ->createInstance('entity:foldershare');
+  }
+
+  /**
+   * Returns the list window from the request headers.
+   *
+   * @param array $headers
+   *   The request headers, with header names as keys.
+   *
+   * @return int[]
+   *   Returns the window's offset and limit, or NULL if there is none.
+   */
+  protected function getRange(array $headers) {
+    $method = new \ReflectionMethod(FolderShareResource::class, 'getRange');
+    $method->setAccessible(TRUE);
+    return $method->invoke($this->createResource($headers));
+  }
+
+  /**
+   * Gets the folder's children, or a window of them.
+   *
+   * @param array $headers
+   *   The request headers for the window, if any.
+   *
+   * @return \Drupal\foldershare\Plugin\rest\resource\UncacheableResponse
+   *   Returns the response.
+   */
+  protected function getDescendants(array $headers) {
+    $headers[FolderShareResource::HEADER_GET_OPERATION] = 'get-descendants';
+    return $this->createResource($headers)->get((int) $this->folder->id());
+  }
+
+  /**
+   * Returns the names of the items in a response, in order.
+   *
+   * @param \Drupal\foldershare\Plugin\rest\resource\UncacheableResponse $response
+   *   The response.
+   *
+   * @return string[]
+   *   Returns the names.
+   */
+  protected function getNames($response) {
+    $names = [];
+    foreach ((array) $response->getResponseData() as $item) {
+      $names[] = $item->getName();
+    }
+
+    return $names;
+  }
+
+  /*---------------------------------------------------------------------
+   * Tests
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Tests counting a folder's children.
+   *
+   * @covers \Drupal\foldershare\Entity\FolderShare::countChildren
+   */
+  public function testCountChildren() {
+    $this->assertEquals(count(self::NAMES), $this->folder->countChildren());
+
+    $empty = $this->folder->createFolder('empty');
+    $this->assertEquals(0, $empty->countChildren());
+  }
+
+  /**
+   * Tests getting the list window from the request headers.
+   *
+   * @covers ::getRange
+   */
+  public function testGetRange() {
+    $this->assertNull($this->getRange([]));
+
+    $this->assertEquals([2, 3], $this->getRange([
+      FolderShareResource::HEADER_OFFSET => '2',
+      FolderShareResource::HEADER_LIMIT  => '3',
+    ]));
+    $this->assertEquals([0, 3], $this->getRange([
+      FolderShareResource::HEADER_LIMIT  => '3',
+    ]));
+    $this->assertEquals([2, PHP_INT_MAX], $this->getRange([
+      FolderShareResource::HEADER_OFFSET => '2',
+    ]));
+  }
+
+  /**
+   * Tests getting a malformed list window from the request headers.
+   *
+   * @covers ::getRange
+   */
+  public function testGetRangeMalformed() {
+    $malformed = [
+      [FolderShareResource::HEADER_OFFSET => '-1'],
+      [FolderShareResource::HEADER_OFFSET => 'first'],
+      [FolderShareResource::HEADER_LIMIT => '0'],
+      [FolderShareResource::HEADER_LIMIT => '1.5'],
+    ];
+
+    foreach ($malformed as $headers) {
+      try {
+        $this->getRange($headers);
+        $this->fail('Malformed window headers were accepted.');
+      }
+      catch (BadRequestHttpException $e) {
+        $this->assertEquals(400, $e->getStatusCode());
+      }
+    }
+  }
+
+  /**
+   * Tests getting all of a folder's children.
+   */
+  public function testGetAllChildren() {
+    $response = $this->getDescendants([]);
+    $this->assertEquals(Response::HTTP_OK, $response->getStatusCode());
+    $this->assertFalse(
+      $response->headers->has(FolderShareResource::HEADER_TOTAL));
+
+    $names = $this->getNames($response);
+    sort($names);
+    $this->assertEquals(['a', 'b', 'c', 'd', 'e'], $names);
+  }
+
+  /**
+   * Tests getting windows of a folder's children.
+   */
+  public function testGetWindows() {
+    $response = $this->getDescendants([
+      FolderShareResource::HEADER_OFFSET => '0',
+      FolderShareResource::HEADER_LIMIT  => '2',
+    ]);
+    $this->assertEquals(['a', 'b'], $this->getNames($response));
+    $this->assertEquals(
+      count(self::NAMES),
+      $response->headers->get(FolderShareResource::HEADER_TOTAL));
+
+    $response = $this->getDescendants([
+      FolderShareResource::HEADER_OFFSET => '2',
+      FolderShareResource::HEADER_LIMIT  => '2',
+    ]);
+    $this->assertEquals(['c', 'd'], $this->getNames($response));
+
+    $response = $this->getDescendants([
+      FolderShareResource::HEADER_OFFSET => '4',
+    ]);
+    $this->assertEquals(['e'], $this->getNames($response));
+    $this->assertEquals(
+      count(self::NAMES),
+      $response->headers->get(FolderShareResource::HEADER_TOTAL));
+  }
+
+  /**
+   * Tests getting a window past the end of a folder's children.
+   */
+  public function testGetWindowPastEnd() {
+    $response = $this->getDescendants([
+      FolderShareResource::HEADER_OFFSET => '5',
+      FolderShareResource::HEADER_LIMIT  => '2',
+    ]);
+    $this->assertEquals(
+      Response::HTTP_NO_CONTENT,
+      $response->getStatusCode());
+    $this->assertEquals(
+      count(self::NAMES),
+      $response->headers->get(FolderShareResource::HEADER_TOTAL));
+  }
+
+}
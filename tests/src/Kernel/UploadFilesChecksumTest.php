@@ -0,0 +1,138 @@
+<?php
+
+namespace Drupal\Tests\foldershare\Kernel;
+
+use Drupal\KernelTests\KernelTestBase;
+
+use Drupal\foldershare\FileUtilities;
+use Drupal\foldershare\Plugin\FolderShareCommand\UploadFiles;
+
+/**
+ * Kernel tests the UploadFiles command's checksum check on uploads.
+ *
+ * @group foldershare
+ *
+ * @coversDefaultClass \Drupal\foldershare\Plugin\FolderShareCommand\UploadFiles
+ */
+class UploadFilesChecksumTest extends KernelTestBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  public static $modules = [
+    'system',
+    'user',
+    'file',
+    'image',
+    'foldershare',
+  ];
+
+  /**
+   * The contents of the uploaded file.
+   *
+   * @var string
+   */
+  const CONTENTS = 'The quick brown fox jumps over the lazy dog';
+
+  /**
+   * The URI of the uploaded file's partial file.
+   *
+   * @var string
+   */
+  protected $uri;
+
+  /*---------------------------------------------------------------------
+   * Setup
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Set up a test.
+   */
+  public function setUp() {
+    parent::setUp();
+
+    $this->uri = FileUtilities::getResumableUploadUri(
+      (int) \Drupal::currentUser()->id(),
+      'checksum');
+    file_put_contents($this->uri, self::CONTENTS);
+  }
+
+  /*---------------------------------------------------------------------
+   * Utilities
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Adds the uploaded file to the root list and returns the result.
+   *
+   * @param string $sha256
+   *   The checksum sent by the client, or NULL to send none.
+   *
+   * @return \Drupal\file\FileInterface|string
+   *   Returns the File object added, or an error message.
+   */
+  protected function addUpload($sha256) {
+    $upload = [
+      'id'   => 'checksum',
+      'name' => 'fox.txt',
+      'size' => strlen(self::CONTENTS),
+    ];
+    if ($sha256 !== NULL) {
+      $upload['sha256'] = $sha256;
+    }
+
+    // The command is not configured, since adding uploads only needs
+    // the current user.
+    $command = (new \ReflectionClass(UploadFiles::class))
+      ->newInstanceWithoutConstructor();
+    $method = new \ReflectionMethod(UploadFiles::class, 'addResumableUploads');
+    $method->setAccessible(TRUE);
+
+    $results = $method->invoke($command, NULL, [$upload]);
+    $this->assertCount(1, $results);
+    return $results[0];
+  }
+
+  /**
+   * Returns TRUE if a result reports a checksum mismatch.
+   *
+   * @param \Drupal\file\FileInterface|string $result
+   *   The result from addUpload().
+   *
+   * @return bool
+   *   Returns TRUE if the result is a checksum mismatch message.
+   */
+  protected function isCorrupted($result) {
+    return is_string($result) === TRUE &&
+      strpos($result, 'Corrupted file upload.') === 0;
+  }
+
+  /*---------------------------------------------------------------------
+   * Tests
+   *---------------------------------------------------------------------*/
+
+  /**
+   * Tests an upload whose checksum does not match the file received.
+   */
+  public function testMismatchedChecksum() {
+    $result = $this->addUpload(hash('sha256', 'something else'));
+    $this->assertTrue($this->isCorrupted($result));
+    $this->assertFileNotExists($this->uri);
+  }
+
+  /**
+   * Tests an upload whose checksum matches, in either letter case.
+   */
+  public function testMatchingChecksum() {
+    $result = $this->addUpload(strtoupper(hash('sha256', self::CONTENTS)));
+    $this->assertFalse($this->isCorrupted($result));
+  }
+
+  /**
+   * Tests an upload sent without a checksum.
+   */
+  public function testMissingChecksum() {
+    $result = $this->addUpload(NULL);
+    $this->assertFalse($this->isCorrupted($result));
+  }
+
+}